@@ -290,7 +290,7 @@ export const contracts: Array<ContractConfig> = [
     id: "nft-collection-factory",
     name: "NFTCollectionFactory",
     alias: "erc721ExtFactory",
-    path: "../../contracts/extensions/NFTCollectionFactory",
+    path: "../../contracts/extensions/nft/NFTCollectionFactory",
     enabled: true,
     version: "1.0.0",
     type: ContractType.Factory,
@@ -653,7 +653,7 @@ export const contracts: Array<ContractConfig> = [
     id: adaptersIdsMap.VOTING_ADAPTER,
     name: "VotingContract",
     alias: "voting",
-    path: "../../contracts/adapters/VotingContract",
+    path: "../../contracts/adapters/voting/VotingContract",
     enabled: true,
     version: "1.0.0",
     type: ContractType.Adapter,
@@ -3,13 +3,13 @@ import {
   ContractConfig,
 } from "../contracts.config";
 
-const disabled: Array<string> = [
+export const disabled: Array<string> = [
   // Utility & Test Contracts disabled by default
   "OLToken",
   "TestFairShareCalc",
   "PixelNFT",
-  "ProxToken",
-  "ERC20Minter",
+  "ProxTokenContract",
+  "ERC20MinterContract",
   "MockDao",
 ];
 
@@ -3,15 +3,15 @@ import {
   ContractConfig,
 } from "../contracts.config";
 
-const disabled: Array<String> = [
+export const disabled: Array<String> = [
   // Utility & Test Contracts disabled by default
   "OLToken",
   "TestToken1",
   "TestToken2",
   "TestFairShareCalc",
   "PixelNFT",
-  "ProxToken",
-  "ERC20Minter",
+  "ProxTokenContract",
+  "ERC20MinterContract",
   "MockDao",
   // Adapters disabled for Muse0 DAO Deployment
   "RagequitContract",
@@ -3,15 +3,15 @@ import {
   ContractConfig,
 } from "../contracts.config";
 
-const disabled: Array<string> = [
+export const disabled: Array<string> = [
   // Utility & Test Contracts disabled by default
   "OLToken",
   "TestToken1",
   "TestToken2",
   "TestFairShareCalc",
   "PixelNFT",
-  "ProxToken",
-  "ERC20Minter",
+  "ProxTokenContract",
+  "ERC20MinterContract",
   "MockDao",
 ];
 
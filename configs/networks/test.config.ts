@@ -10,7 +10,7 @@ import {
   erc721ExtensionAclFlagsMap,
 } from "../../utils/access-control-util";
 
-const disabled: Array<string> = [];
+export const disabled: Array<string> = [];
 
 const testContracts = [
   {
@@ -14,5 +14,10 @@ module.exports = {
      * be stored in json format.
      */
     deployedContractsDir: "./build/deployed",
+    /**
+     * Directory where the deployment manifests of each network are stored.
+     * The manifest declares all the options used to deploy the DAO.
+     */
+    manifestsDir: "./configs/manifests",
   },
 };
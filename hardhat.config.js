@@ -12,6 +12,10 @@ if (!process.env.TEST === "true") {
   require("hardhat-gas-reporter");
 }
 require("./tasks/deploy");
+require("./tasks/dao");
+require("./tasks/artifacts");
+require("./tasks/sourcify");
+require("./tasks/acl");
 require("./signers");
 
 module.exports = {
@@ -47,12 +51,12 @@ module.exports = {
       chainId: 5,
       skipDryRun: true,
       gas: 2100000,
-      gasPrice: 4000000000,
       accounts: {
         mnemonic: process.env.WALLET_MNEMONIC || "",
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
     rinkeby: {
       url: process.env.ETH_NODE_URL,
@@ -60,24 +64,24 @@ module.exports = {
       chainId: 4,
       skipDryRun: true,
       gas: 2100000,
-      gasPrice: 4000000000,
       accounts: {
         mnemonic: process.env.WALLET_MNEMONIC || "",
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
     ropsten: {
       url: process.env.ETH_NODE_URL,
       network_id: 3,
       chainId: 3,
       gas: 2100000,
-      gasPrice: 4000000000,
       accounts: {
         mnemonic: process.env.WALLET_MNEMONIC || "",
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
     harmonytest: {
       url: process.env.ETH_NODE_URL,
@@ -85,12 +89,12 @@ module.exports = {
       chainId: 1666700000,
       skipDryRun: true,
       gas: 2100000,
-      gasPrice: 10000000000,
       accounts: {
         mnemonic: process.env.WALLET_MNEMONIC || "",
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
     polygontest: {
       url: process.env.ETH_NODE_URL,
@@ -98,12 +102,12 @@ module.exports = {
       chainId: 80001,
       skipDryRun: true,
       gas: 2100000,
-      gasPrice: 10000000000,
       accounts: {
         mnemonic: process.env.WALLET_MNEMONIC || "",
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
     coverage: {
       url: "http://127.0.0.1:8555",
@@ -119,12 +123,12 @@ module.exports = {
       chainId: 43113,
       skipDryRun: true,
       gas: 2100000,
-      gasPrice: 25000000000,
       accounts: {
         mnemonic: process.env.WALLET_MNEMONIC || "",
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
 
     // Main Networks
@@ -138,6 +142,7 @@ module.exports = {
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
     harmony: {
       url: process.env.ETH_NODE_URL,
@@ -149,6 +154,7 @@ module.exports = {
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
     polygon: {
       url: process.env.ETH_NODE_URL,
@@ -160,6 +166,7 @@ module.exports = {
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
     avalanche: {
       url: process.env.ETH_NODE_URL,
@@ -171,6 +178,7 @@ module.exports = {
         count: 10,
       },
       signerId: process.env.SIGNER || undefined,
+      signerPolicy: process.env.SIGNER_POLICY || undefined,
     },
   },
 
@@ -189,6 +197,17 @@ module.exports = {
       keyId: process.env.KMS_KEY_ID || undefined,
       keyVersion: process.env.KMS_KEY_VERSION || undefined,
     },
+    keystore: {
+      enabled: process.env.KEYSTORE_SIGNER_ENABLED || false,
+      file: process.env.KEYSTORE_FILE || undefined,
+      password: process.env.KEYSTORE_PASSWORD || undefined,
+    },
+    remote: {
+      enabled: process.env.REMOTE_SIGNER_ENABLED || false,
+      url: process.env.REMOTE_SIGNER_URL || undefined,
+      address: process.env.REMOTE_SIGNER_ADDRESS || undefined,
+      api: process.env.REMOTE_SIGNER_API || undefined,
+    },
   },
 
   // Solc Settings
@@ -0,0 +1,25 @@
+import { ProviderWrapper } from "hardhat/internal/core/providers/wrapper";
+import { EIP1193Provider, RequestArguments } from "hardhat/types";
+const { sendTransaction } = require("../utils/fee-strategy-util");
+
+/**
+ * Sets the fees of every transaction sent to the network using the fee strategy
+ * of the network, see utils/fee-strategy-util.js.
+ */
+export class FeeStrategyProvider extends ProviderWrapper {
+  public strategy: any;
+
+  constructor(provider: EIP1193Provider, strategy: any) {
+    super(provider);
+    this.strategy = strategy;
+  }
+
+  public async request(args: RequestArguments): Promise<unknown> {
+    if (args.method === "eth_sendTransaction") {
+      const params = this._getParams(args);
+      return sendTransaction(this._wrappedProvider, params[0], this.strategy);
+    }
+
+    return this._wrappedProvider.request(args);
+  }
+}
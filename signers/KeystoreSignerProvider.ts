@@ -0,0 +1,121 @@
+import { BN, bufferToHex } from "ethereumjs-util";
+import { rpcQuantityToBN } from "hardhat/internal/core/jsonrpc/types/base-types";
+import { rpcTransactionRequest } from "hardhat/internal/core/jsonrpc/types/input/transactionRequest";
+import { validateParams } from "hardhat/internal/core/jsonrpc/types/input/validation";
+import { JsonRpcTransactionData } from "hardhat/internal/core/providers/accounts";
+import { ProviderWrapper } from "hardhat/internal/core/providers/wrapper";
+import {
+  KeystoreSignerConfig,
+  EIP1193Provider,
+  RequestArguments,
+} from "hardhat/types";
+import { ethers } from "ethers";
+import { numberToHex } from "web3-utils";
+const { loadKeystoreWallet } = require("../utils/keystore-signer-util");
+
+/**
+ * Signs the transactions with the private key of an encrypted V3 keystore file,
+ * see utils/keystore-signer-util.js.
+ * The keystore is only decrypted when the first transaction or account is requested.
+ */
+export class KeystoreSignerProvider extends ProviderWrapper {
+  public chainId: number;
+  public config: KeystoreSignerConfig;
+  private _wallet: Promise<ethers.Wallet> | undefined;
+
+  constructor(
+    provider: EIP1193Provider,
+    config: KeystoreSignerConfig,
+    chainId: number
+  ) {
+    super(provider);
+    this.chainId = chainId;
+    this.config = config;
+  }
+
+  public async request(args: RequestArguments): Promise<unknown> {
+    const method = args.method;
+    const params = this._getParams(args);
+
+    if (method === "eth_sendTransaction") {
+      const wallet = await this._getWallet();
+      const tx: JsonRpcTransactionData = params[0];
+      if (tx !== undefined && tx.from === undefined) {
+        tx.from = wallet.address;
+      }
+
+      const [txRequest] = validateParams(params, rpcTransactionRequest);
+      if (
+        bufferToHex(txRequest.from).toLowerCase() !==
+        wallet.address.toLowerCase()
+      )
+        throw new Error(
+          `Account ${bufferToHex(txRequest.from)} is not the keystore account ${
+            wallet.address
+          }`
+        );
+      txRequest.chainId = new BN(this.chainId);
+      if (txRequest.nonce === undefined) {
+        txRequest.nonce = await this._getNonce(txRequest.from);
+      }
+
+      // The fee strategy sets either the EIP-1559 fees or the legacy gas price
+      const fees =
+        txRequest.maxFeePerGas !== undefined
+          ? {
+              type: 2,
+              maxPriorityFeePerGas: numberToHex(
+                txRequest.maxPriorityFeePerGas!
+              ),
+              maxFeePerGas: numberToHex(txRequest.maxFeePerGas!),
+            }
+          : {
+              type: 0,
+              gasPrice: txRequest.gasPrice
+                ? numberToHex(txRequest.gasPrice)
+                : undefined,
+            };
+
+      const signedRawTx = await wallet.signTransaction({
+        to: txRequest.to ? bufferToHex(txRequest.to) : undefined,
+        nonce: txRequest.nonce?.toNumber(),
+        gasLimit: txRequest.gas ? numberToHex(txRequest.gas) : undefined,
+        data: txRequest.data,
+        value: txRequest.value ? numberToHex(txRequest.value) : undefined,
+        chainId: this.chainId,
+        ...fees,
+      });
+
+      return this._wrappedProvider.request({
+        method: "eth_sendRawTransaction",
+        params: [signedRawTx],
+      });
+    } else if (
+      args.method === "eth_accounts" ||
+      args.method === "eth_requestAccounts"
+    ) {
+      return [(await this._getWallet()).address];
+    }
+
+    return this._wrappedProvider.request(args);
+  }
+
+  private _getWallet(): Promise<ethers.Wallet> {
+    if (!this._wallet) {
+      this._wallet = loadKeystoreWallet({
+        file: this.config.file,
+        password: this.config.password,
+      });
+    }
+    return this._wallet!;
+  }
+
+  private async _getNonce(address: Buffer): Promise<BN> {
+    const response = (await this._wrappedProvider.request({
+      method: "eth_getTransactionCount",
+      params: [bufferToHex(address), "pending"],
+    })) as string;
+
+    return rpcQuantityToBN(response);
+  }
+}
@@ -0,0 +1,26 @@
+import { ProviderWrapper } from "hardhat/internal/core/providers/wrapper";
+import { EIP1193Provider, RequestArguments } from "hardhat/types";
+const { createNonceManager } = require("../utils/nonce-manager-util");
+
+/**
+ * Assigns the nonce of every transaction sent to the network,
+ * so the deployment can send several transactions in parallel,
+ * see utils/nonce-manager-util.js.
+ */
+export class NonceManagerProvider extends ProviderWrapper {
+  public nonceManager: any;
+
+  constructor(provider: EIP1193Provider) {
+    super(provider);
+    this.nonceManager = createNonceManager(provider);
+  }
+
+  public async request(args: RequestArguments): Promise<unknown> {
+    if (args.method === "eth_sendTransaction") {
+      const params = this._getParams(args);
+      return this.nonceManager.sendTransaction(params[0]);
+    }
+
+    return this._wrappedProvider.request(args);
+  }
+}
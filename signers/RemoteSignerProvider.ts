@@ -0,0 +1,83 @@
+import { ProviderWrapper } from "hardhat/internal/core/providers/wrapper";
+import {
+  RemoteSignerConfig,
+  EIP1193Provider,
+  RequestArguments,
+} from "hardhat/types";
+const {
+  createRemoteSigner,
+  toRpcTransaction,
+} = require("../utils/remote-signer-util");
+
+/**
+ * Signs the transactions and typed data with an external JSON-RPC signer, e.g. Clef or web3signer,
+ * see utils/remote-signer-util.js.
+ * The signed transactions are sent to the network by the wrapped provider.
+ */
+export class RemoteSignerProvider extends ProviderWrapper {
+  public ethAddress: string | undefined;
+  public chainId: number;
+  public signer: any;
+
+  constructor(
+    provider: EIP1193Provider,
+    config: RemoteSignerConfig,
+    chainId: number
+  ) {
+    super(provider);
+    this.chainId = chainId;
+    this.ethAddress = config.address;
+    this.signer = createRemoteSigner({
+      url: config.url,
+      api: config.api,
+      headers: config.headers,
+      timeout: config.timeout,
+    });
+  }
+
+  public async request(args: RequestArguments): Promise<unknown> {
+    const method = args.method;
+    const params = this._getParams(args);
+
+    if (method === "eth_sendTransaction") {
+      const tx = { ...params[0] };
+      if (tx.from === undefined) {
+        tx.from = await this._getSender();
+      }
+      if (tx.nonce === undefined) {
+        tx.nonce = await this._wrappedProvider.request({
+          method: "eth_getTransactionCount",
+          params: [tx.from, "pending"],
+        });
+      }
+
+      const signedRawTx = await this.signer.signTransaction(
+        toRpcTransaction(tx, this.chainId)
+      );
+
+      return this._wrappedProvider.request({
+        method: "eth_sendRawTransaction",
+        params: [signedRawTx],
+      });
+    } else if (method === "eth_signTypedData_v4") {
+      return this.signer.signTypedData(params[0], params[1]);
+    } else if (
+      args.method === "eth_accounts" ||
+      args.method === "eth_requestAccounts"
+    ) {
+      return [await this._getSender()];
+    }
+
+    return this._wrappedProvider.request(args);
+  }
+
+  private async _getSender(): Promise<string | undefined> {
+    if (!this.ethAddress) {
+      const [account] = await this.signer.getAccounts();
+      if (!account)
+        throw new Error("The remote signer does not have any account");
+      this.ethAddress = account;
+    }
+    return this.ethAddress;
+  }
+}
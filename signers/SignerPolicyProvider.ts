@@ -0,0 +1,53 @@
+import { ProviderWrapper } from "hardhat/internal/core/providers/wrapper";
+import {
+  Artifacts,
+  EIP1193Provider,
+  RequestArguments,
+  SignerPolicyConfig,
+} from "hardhat/types";
+const { createSignerPolicy } = require("../utils/signer-policy-util");
+
+/**
+ * Checks every transaction against the signer policy before it is sent to the signer provider,
+ * see utils/signer-policy-util.js.
+ */
+export class SignerPolicyProvider extends ProviderWrapper {
+  public policy: any;
+
+  constructor(
+    provider: EIP1193Provider,
+    policy: SignerPolicyConfig,
+    artifacts: Artifacts
+  ) {
+    super(provider);
+    this.policy = createSignerPolicy({ policy, provider, artifacts });
+  }
+
+  public async request(args: RequestArguments): Promise<unknown> {
+    if (args.method === "eth_sendTransaction") {
+      const tx = { ...this._getParams(args)[0] };
+      if (tx.from === undefined) {
+        const [account] = (await this._wrappedProvider.request({
+          method: "eth_accounts",
+        })) as string[];
+        tx.from = account;
+      }
+      // The nonce of the contract creations is used to find the address of the new contract
+      if (tx.to === undefined && tx.nonce === undefined) {
+        tx.nonce = await this._wrappedProvider.request({
+          method: "eth_getTransactionCount",
+          params: [tx.from, "pending"],
+        });
+      }
+
+      return this.policy.sendTransaction(tx, (allowed: any) =>
+        this._wrappedProvider.request({
+          method: "eth_sendTransaction",
+          params: [allowed],
+        })
+      );
+    }
+
+    return this._wrappedProvider.request(args);
+  }
+}
@@ -8,6 +8,8 @@ import { HttpProvider } from "hardhat/internal/core/providers/http";
 import {
   DefenderSignerConfig,
   GcpKmsSignerConfig,
+  KeystoreSignerConfig,
+  RemoteSignerConfig,
   SignerConfig,
   HardhatConfig,
   HardhatUserConfig,
@@ -17,7 +19,14 @@ import {
 import "./type-extensions";
 import { DefenderSignerProvider } from "./DefenderSignerProvider";
 import { GcpKmsSignerProvider } from "./GcpKmsSignerProvider";
+import { KeystoreSignerProvider } from "./KeystoreSignerProvider";
+import { RemoteSignerProvider } from "./RemoteSignerProvider";
+import { SignerPolicyProvider } from "./SignerPolicyProvider";
+import { FeeStrategyProvider } from "./FeeStrategyProvider";
+import { NonceManagerProvider } from "./NonceManagerProvider";
 import { log } from "../utils/log-util";
+const { getFeeStrategy } = require("../utils/fee-strategy-util");
+const { loadSignerPolicy } = require("../utils/signer-policy-util");
 
 const buildSignerProvider = (
   eip1193Provider: EIP1193Provider,
@@ -39,6 +48,20 @@ const buildSignerProvider = (
         signerConfig as GcpKmsSignerConfig,
         chainId
       );
+    case "keystore":
+      log(`Signer: ${signerConfig.id}`);
+      return new KeystoreSignerProvider(
+        eip1193Provider,
+        signerConfig as KeystoreSignerConfig,
+        chainId
+      );
+    case "remote":
+      log(`Signer: ${signerConfig.id}`);
+      return new RemoteSignerProvider(
+        eip1193Provider,
+        signerConfig as RemoteSignerConfig,
+        chainId
+      );
     default:
       throw new Error(`Relayer ${signerConfig.id} not supported`);
   }
@@ -59,6 +82,12 @@ extendConfig(
       if (network.signerId) {
         config.networks[networkName].signerId = network.signerId;
       }
+      if (network.fees) {
+        config.networks[networkName].fees = network.fees;
+      }
+      if (network.signerPolicy) {
+        config.networks[networkName].signerPolicy = network.signerPolicy;
+      }
     }
 
     config.signers = userConfig.signers;
@@ -96,6 +125,16 @@ extendEnvironment((hre) => {
       hre.network.config.chainId!
     );
 
+    // The policy checks the transactions with the final gas, fees and nonce
+    if (hre.network.config.signerPolicy) {
+      log(`Signer policy: enabled`);
+      wrappedProvider = new SignerPolicyProvider(
+        wrappedProvider,
+        loadSignerPolicy(hre.network.config.signerPolicy),
+        hre.artifacts
+      );
+    }
+
     wrappedProvider = new AutomaticGasProvider(
       wrappedProvider,
       hre.network.config.gasMultiplier
@@ -106,4 +145,23 @@ extendEnvironment((hre) => {
       wrappedProvider
     );
   }
+
+  // Every transaction sent to a live network uses the fee strategy of the network
+  const feeStrategy = getFeeStrategy(
+    hre.network.name,
+    hre.network.config.fees
+  );
+  if (hre.network.name !== "hardhat" && feeStrategy) {
+    log(`Fee strategy: ${feeStrategy.type}`);
+    hre.network.provider = new BackwardsCompatibilityProviderAdapter(
+      new FeeStrategyProvider(hre.network.provider, feeStrategy)
+    );
+  }
+
+  // The nonces are assigned before the fees, so the transactions can be sent in parallel
+  if (hre.network.name !== "hardhat") {
+    hre.network.provider = new BackwardsCompatibilityProviderAdapter(
+      new NonceManagerProvider(hre.network.provider)
+    );
+  }
 });
@@ -1,7 +1,7 @@
 import "hardhat/types/config";
 
 declare module "hardhat/types/config" {
-  export type SignerId = "defender" | "googleKms";
+  export type SignerId = "defender" | "googleKms" | "keystore" | "remote";
 
   export type SignerConfig = {
     id: SignerId;
@@ -21,18 +21,66 @@ declare module "hardhat/types/config" {
     keyVersion: string; // the key version in the key
   };
 
+  export type KeystoreSignerConfig = SignerConfig & {
+    file: string; // the path of the encrypted V3 keystore file
+    password?: string; // the passphrase, it is prompted in the terminal if not set
+  };
+
+  export type RemoteSignerConfig = SignerConfig & {
+    url: string; // the JSON-RPC endpoint of the signer, e.g. Clef or web3signer
+    address?: string; // the signer account, defaults to the first account of the signer
+    api?: "eth" | "clef"; // the JSON-RPC methods of the signer, defaults to eth
+    headers?: Record<string, string>; // e.g. the authorization header of the signer
+    timeout?: number; // in ms, the signer may wait for a manual approval
+  };
+
+  // The signer policy, see utils/signer-policy-util.js
+  export type SignerPolicyConfig = {
+    allowedTargets?: string[];
+    allowedContracts?: string[];
+    allowContractCreation?: boolean;
+    allowedSelectors?: string[];
+    maxValue?: number | string;
+    maxFeePerGas?: number | string;
+    maxFee?: number | string;
+    auditLog?: string;
+  };
+
+  // The fee strategy overrides, see utils/fee-strategy-util.js
+  export type FeeStrategyConfig = {
+    type?: "eip1559" | "legacy";
+    maxFeePerGas?: number | string;
+    minPriorityFeePerGas?: number | string;
+    minGasPrice?: number | string;
+    feeHistoryBlocks?: number;
+    rewardPercentile?: number;
+    baseFeeMultiplier?: number;
+    bumpPercent?: number;
+    replaceAfter?: number;
+    pollInterval?: number;
+    maxWait?: number;
+  };
+
   export interface HttpNetworkUserConfig {
     signerId?: SignerId;
+    fees?: FeeStrategyConfig;
+    signerPolicy?: SignerPolicyConfig | string; // the policy or the path of a JSON policy file
   }
 
   export interface HardhatNetworkUserConfig {
     signerId?: SignerId;
+    fees?: FeeStrategyConfig;
+    signerPolicy?: SignerPolicyConfig | string; // the policy or the path of a JSON policy file
   }
   export interface HttpNetworkConfig {
     signerId?: SignerId;
+    fees?: FeeStrategyConfig;
+    signerPolicy?: SignerPolicyConfig | string; // the policy or the path of a JSON policy file
   }
   export interface HardhatNetworkConfig {
     signerId?: SignerId;
+    fees?: FeeStrategyConfig;
+    signerPolicy?: SignerPolicyConfig | string; // the policy or the path of a JSON policy file
   }
 
   export interface HardhatUserConfig {
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+const { lintAcls, formatLintReport } = require("../utils/acl-lint-util");
+const {
+  fromContractConfigs,
+  buildPermissionGraph,
+  formatMermaid,
+  formatDot,
+} = require("../utils/acl-graph-util");
+const { readAclMatrix } = require("../utils/dao-acl-util");
+const { log } = require("../utils/log-util");
+
+task(
+  "acl:lint",
+  "Compares the acls of the adapters and extensions in the contract configs with the DaoRegistry and extension functions they call"
+)
+  .addOptionalParam(
+    "networkConfig",
+    "The name of the network config to lint, defaults to configs/contracts.config.ts"
+  )
+  .addOptionalParam(
+    "only",
+    "Comma separated names of the contracts to lint, e.g: ManagingContract,RagequitContract"
+  )
+  .addOptionalParam(
+    "allow",
+    'A JSON file with the findings that are not reported, e.g: ["BankAdapterContract: unused bank flag SUB_FROM_BALANCE"]'
+  )
+  .addFlag("json", "Prints the report in JSON format")
+  .setAction(async (args, hre) => {
+    const { contracts: contractConfigs } = require(args.networkConfig
+      ? `../configs/networks/${args.networkConfig}.config`
+      : "../configs/contracts.config");
+    const allowed = args.allow
+      ? JSON.parse(fs.readFileSync(args.allow, "utf8"))
+      : [];
+    if (!Array.isArray(allowed))
+      throw new Error(
+        `Invalid allow file ${args.allow}, it must be a JSON array of findings`
+      );
+
+    const report = await lintAcls({
+      contractConfigs,
+      artifacts: hre.artifacts,
+      only: args.only ? args.only.split(",").map((name) => name.trim()) : [],
+      allowed,
+    });
+
+    if (args.json) log(JSON.stringify(report, null, 2));
+    else log(formatLintReport(report));
+
+    if (report.findings.length > 0) process.exitCode = 1;
+  });
+
+task(
+  "acl:graph",
+  "Prints the permission graph of the DaoRegistry, extensions and adapters, from the contract configs or from a live DAO"
+)
+  .addOptionalParam(
+    "dao",
+    "The address of the DaoRegistry, if set the graph is read from the live DAO instead of the contract configs"
+  )
+  .addOptionalParam(
+    "networkConfig",
+    "The name of the network config, defaults to the --network name"
+  )
+  .addOptionalParam(
+    "fromBlock",
+    "The block to start searching for the AdapterAdded and ExtensionAdded events",
+    0,
+    types.int
+  )
+  .addOptionalParam("format", "The output format: mermaid or dot", "mermaid")
+  .addOptionalParam("out", "The file to write the graph, defaults to stdout")
+  .setAction(async (args, hre) => {
+    const formats = { mermaid: formatMermaid, dot: formatDot };
+    if (!formats[args.format])
+      throw new Error(
+        `Invalid format ${args.format}, use: ${Object.keys(formats).join(", ")}`
+      );
+    const { contracts: contractConfigs } = require(`../configs/networks/${
+      args.networkConfig || hre.network.name
+    }.config`);
+
+    const matrix = args.dao
+      ? await readAclMatrix({
+          dao: await hre.ethers.getContractAt("DaoRegistry", args.dao),
+          contractConfigs,
+          fromBlock: args.fromBlock,
+        })
+      : fromContractConfigs(contractConfigs);
+    const graph = formats[args.format](buildPermissionGraph(matrix));
+
+    if (!args.out) return log(graph);
+    fs.writeFileSync(path.resolve(args.out), graph + "\n", "utf8");
+    log(`Permission graph: ${path.resolve(args.out)}`);
+  });
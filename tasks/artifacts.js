@@ -0,0 +1,173 @@
+const {
+  buildArtifacts,
+  publishArtifacts,
+  listArtifacts,
+  findMissingArtifacts,
+  findArtifactsDrift,
+} = require("../utils/dao-artifacts-util");
+const { loadContractRegistry } = require("../utils/contract-registry-util");
+const { log, info } = require("../utils/log-util");
+require("dotenv").config({ path: "../.env" });
+
+const getArtifactsOwner = (args) =>
+  args.owner ||
+  process.env.DAO_ARTIFACTS_OWNER_ADDR ||
+  process.env.DAO_OWNER_ADDR;
+
+const getDaoArtifacts = async (args, hre) => {
+  const address = args.daoArtifacts || process.env.DAO_ARTIFACTS_CONTRACT_ADDR;
+  if (!address)
+    throw new Error(
+      "Missing the DaoArtifacts address, use --dao-artifacts or DAO_ARTIFACTS_CONTRACT_ADDR"
+    );
+  return await hre.ethers.getContractAt("DaoArtifacts", address);
+};
+
+const getContractConfigs = (args, hre) =>
+  require(`../configs/networks/${
+    args.networkConfig || hre.network.name
+  }.config`).contracts;
+
+/**
+ * Adds the params shared by all the DaoArtifacts tasks.
+ */
+const artifactsTask = (name, description) =>
+  task(name, description)
+    .addOptionalParam(
+      "daoArtifacts",
+      "The address of the DaoArtifacts, defaults to DAO_ARTIFACTS_CONTRACT_ADDR"
+    )
+    .addOptionalParam(
+      "owner",
+      "The owner of the artifacts, defaults to DAO_ARTIFACTS_OWNER_ADDR or DAO_OWNER_ADDR"
+    )
+    .addOptionalParam(
+      "networkConfig",
+      "The name of the network config with the contract configs, defaults to the --network name"
+    );
+
+artifactsTask(
+  "artifacts:publish",
+  "Publishes the Factory, Adapter and Util contracts of a deployment to the DaoArtifacts with updateArtifacts"
+)
+  .addParam(
+    "registry",
+    "The deployed contracts file with the addresses to publish, e.g: build/deployed/contracts-rinkeby-<date>.json"
+  )
+  .setAction(async (args, hre) => {
+    const owner = getArtifactsOwner(args);
+    if (!owner) throw new Error("Missing the owner of the artifacts");
+    const daoArtifacts = await getDaoArtifacts(args, hre);
+    const [signer] = await hre.ethers.getSigners();
+    const contractOwner = await daoArtifacts.owner();
+    if (contractOwner.toLowerCase() !== signer.address.toLowerCase())
+      throw new Error(
+        `Only the owner of the DaoArtifacts ${contractOwner} can publish the artifacts, the signer is ${signer.address}`
+      );
+
+    const { artifacts, missing } = buildArtifacts({
+      contractConfigs: getContractConfigs(args, hre),
+      registry: loadContractRegistry(args.registry),
+      owner,
+    });
+    if (missing.length > 0)
+      info(`Not found in the registry, skipped: ${missing.join(", ")}`);
+    if (artifacts.length === 0) {
+      log("There are no artifacts to publish");
+      return;
+    }
+
+    log(`Publishing ${artifacts.length} artifacts of ${owner}`);
+    const hashes = await publishArtifacts({
+      daoArtifacts: daoArtifacts.connect(signer),
+      artifacts,
+    });
+    hashes.forEach((hash) => log(`updateArtifacts: ${hash}`));
+  });
+
+artifactsTask(
+  "artifacts:list",
+  "Lists the artifacts registered by an owner based on the NewArtifact events"
+)
+  .addOptionalParam(
+    "fromBlock",
+    "The block to start searching for the NewArtifact events",
+    0,
+    types.int
+  )
+  .addFlag("json", "Prints the artifacts in JSON format")
+  .setAction(async (args, hre) => {
+    const owner = getArtifactsOwner(args);
+    if (!owner) throw new Error("Missing the owner of the artifacts");
+    const artifacts = await listArtifacts({
+      daoArtifacts: await getDaoArtifacts(args, hre),
+      owner,
+      contractConfigs: getContractConfigs(args, hre),
+      fromBlock: args.fromBlock,
+    });
+
+    if (args.json) {
+      log(JSON.stringify(artifacts, null, 2));
+      return;
+    }
+    log(`${artifacts.length} artifacts registered by ${owner}`);
+    artifacts.forEach((a) =>
+      log(
+        `${a.name}@${a.version} (${a.type}): ${a.address} [block ${a.blockNumber}]`
+      )
+    );
+  });
+
+artifactsTask(
+  "artifacts:missing",
+  "Shows the configured Factory, Adapter and Util versions that are not registered in the DaoArtifacts"
+)
+  .addFlag("json", "Prints the artifacts in JSON format")
+  .setAction(async (args, hre) => {
+    const owner = getArtifactsOwner(args);
+    if (!owner) throw new Error("Missing the owner of the artifacts");
+    const result = await findMissingArtifacts({
+      daoArtifacts: await getDaoArtifacts(args, hre),
+      owner,
+      contractConfigs: getContractConfigs(args, hre),
+    });
+
+    if (args.json) log(JSON.stringify(result, null, 2));
+    else {
+      log(
+        `${result.registered.length} configured artifacts registered by ${owner}`
+      );
+      result.missing.forEach((a) =>
+        log(`Missing ${a.name}@${a.version} (${a.type})`)
+      );
+    }
+    if (result.missing.length > 0) process.exitCode = 1;
+  });
+
+artifactsTask(
+  "artifacts:drift",
+  "Compares the code of the registered artifacts with the contracts compiled in build/artifacts"
+)
+  .addFlag("json", "Prints the report in JSON format")
+  .setAction(async (args, hre) => {
+    const owner = getArtifactsOwner(args);
+    if (!owner) throw new Error("Missing the owner of the artifacts");
+    const report = await findArtifactsDrift({
+      daoArtifacts: await getDaoArtifacts(args, hre),
+      owner,
+      contractConfigs: getContractConfigs(args, hre),
+      provider: hre.ethers.provider,
+      artifacts: hre.artifacts,
+    });
+
+    if (args.json) log(JSON.stringify(report, null, 2));
+    else
+      report.forEach((a) =>
+        log(
+          `${a.name}@${a.version} ${a.address}: ${
+            a.match ? "matches the local build" : `drift - ${a.reason}`
+          }`
+        )
+      );
+    if (report.some((a) => !a.match)) process.exitCode = 1;
+  });
@@ -0,0 +1,180 @@
+const {
+  auditDao,
+  readOffchainVoting,
+  printAuditReport,
+} = require("../utils/dao-audit-util");
+const {
+  readAclMatrix,
+  formatAclTable,
+  formatAclCsv,
+} = require("../utils/dao-acl-util");
+const {
+  predictCloneAddresses,
+  predictDaoAddress,
+} = require("../utils/clone-address-util");
+const {
+  loadDeploymentManifest,
+  resolveDeploymentOptions,
+} = require("../utils/deployment-manifest-util");
+const { log } = require("../utils/log-util");
+require("dotenv").config({ path: "../.env" });
+
+task(
+  "dao:audit",
+  "Compares the adapters, extensions, ACLs and configurations of a live DAO with the contract configs"
+)
+  .addParam("dao", "The address of the DaoRegistry")
+  .addOptionalParam(
+    "networkConfig",
+    "The name of the network config and manifest used to deploy the DAO, defaults to the --network name"
+  )
+  .addOptionalParam(
+    "fromBlock",
+    "The block to start searching for the AdapterAdded and ExtensionAdded events",
+    0,
+    types.int
+  )
+  .addFlag(
+    "manifest",
+    "Compares the config values with the deployment manifest of the network, it requires the env vars used by the deployment"
+  )
+  .addFlag("json", "Prints the report in JSON format")
+  .setAction(async (args, hre) => {
+    const configName = args.networkConfig || hre.network.name;
+    const {
+      contracts: contractConfigs,
+    } = require(`../configs/networks/${configName}.config`);
+    const options = args.manifest
+      ? await resolveDeploymentOptions({
+          manifest: loadDeploymentManifest({ network: configName }),
+          accounts: await hre.ethers.getSigners(),
+          // The addresses of the contracts deployed by the manifest directives
+          // are unknown, so the config values that use them are reported as such
+          deployFunction: async () => ({ address: null }),
+          contractImports: contractConfigs.reduce(
+            (imports, c) => ({ ...imports, [c.name]: c }),
+            {}
+          ),
+        })
+      : undefined;
+
+    const dao = await hre.ethers.getContractAt("DaoRegistry", args.dao);
+    const report = await auditDao({
+      dao,
+      contractConfigs,
+      options,
+      // Without the manifest, the voting adapter is identified by its name
+      offchainVoting: options ? undefined : await readOffchainVoting(dao),
+      fromBlock: args.fromBlock,
+    });
+
+    if (args.json) log(JSON.stringify(report, null, 2));
+    else printAuditReport(report);
+
+    if (report.mismatches.length > 0) process.exitCode = 1;
+  });
+
+task(
+  "dao:acl",
+  "Prints the permission matrix of a live DAO: the DAO and extension flags granted to each adapter"
+)
+  .addParam("dao", "The address of the DaoRegistry")
+  .addOptionalParam(
+    "networkConfig",
+    "The name of the network config used to name the adapters and extensions, defaults to the --network name"
+  )
+  .addOptionalParam(
+    "fromBlock",
+    "The block to start searching for the AdapterAdded and ExtensionAdded events",
+    0,
+    types.int
+  )
+  .addOptionalParam("format", "The output format: table, json or csv", "table")
+  .setAction(async (args, hre) => {
+    const formats = {
+      table: formatAclTable,
+      json: (matrix) => JSON.stringify(matrix, null, 2),
+      csv: formatAclCsv,
+    };
+    if (!formats[args.format])
+      throw new Error(
+        `Invalid format ${args.format}, use: ${Object.keys(formats).join(", ")}`
+      );
+    const { contracts: contractConfigs } = require(`../configs/networks/${
+      args.networkConfig || hre.network.name
+    }.config`);
+
+    const dao = await hre.ethers.getContractAt("DaoRegistry", args.dao);
+    const matrix = await readAclMatrix({
+      dao,
+      contractConfigs,
+      fromBlock: args.fromBlock,
+    });
+    log(formats[args.format](matrix));
+  });
+
+task(
+  "dao:predict",
+  "Computes the addresses of the DaoRegistry and extensions that will be created by the factories"
+)
+  .addOptionalParam("daoFactory", "The address of the DaoFactory")
+  .addOptionalParam(
+    "daoName",
+    "The name of the DAO to be created, it must not be taken in the DaoFactory"
+  )
+  .addOptionalParam(
+    "count",
+    "The number of clones to predict for each extension factory",
+    1,
+    types.int
+  )
+  .addOptionalVariadicPositionalParam(
+    "extensionFactories",
+    "The addresses of the extension factories, e.g: BankFactory, NFTCollectionFactory",
+    []
+  )
+  .addFlag("json", "Prints the addresses in JSON format")
+  .setAction(async (args, hre) => {
+    const provider = hre.ethers.provider;
+    const result = { extensions: {} };
+
+    if (args.daoFactory) {
+      if (!args.daoName)
+        throw new Error(
+          "The --dao-name is required to predict the DAO address"
+        );
+      const daoFactory = await hre.ethers.getContractAt(
+        "DaoFactory",
+        args.daoFactory
+      );
+      result.DaoRegistry = await predictDaoAddress({
+        provider,
+        daoFactory,
+        daoName: args.daoName,
+      });
+    }
+
+    await args.extensionFactories.reduce(
+      (p, factoryAddress) =>
+        p.then(async () => {
+          result.extensions[factoryAddress] = await predictCloneAddresses({
+            provider,
+            factoryAddress,
+            count: args.count,
+          });
+        }),
+      Promise.resolve()
+    );
+
+    if (args.json) {
+      log(JSON.stringify(result, null, 2));
+      return;
+    }
+    if (result.DaoRegistry)
+      log(`DaoRegistry (${args.daoName}): ${result.DaoRegistry}`);
+    Object.entries(result.extensions).forEach(([factory, clones]) =>
+      clones.forEach((c) =>
+        log(`Extension from ${factory} (nonce ${c.nonce}): ${c.address}`)
+      )
+    );
+  });
@@ -1,702 +1,379 @@
 const fs = require("fs");
 const path = require("path");
 
-const {
-  toBN,
-  toWei,
-  ETH_TOKEN,
-  ZERO_ADDRESS,
-  UNITS,
-  maximumChunks,
-  unitPrice,
-  numberOfUnits,
-  maxAmount,
-  maxUnits,
-} = require("../utils/contract-util");
 const pkgJson = require("../package.json");
-const { deployDao } = require("../utils/deployment-util");
-const { log, info } = require("../utils/log-util");
+const { deployDao, extendDao } = require("../utils/deployment-util");
+const {
+  loadDeploymentManifest,
+  loadBatchManifests,
+  resolveDeploymentOptions,
+} = require("../utils/deployment-manifest-util");
+const {
+  validateNetworkConfig,
+} = require("../utils/contract-config-schema-util");
+const {
+  startDeploymentPlan,
+  printDeploymentPlan,
+} = require("../utils/deployment-plan-util");
+const { createJournal } = require("../utils/checkpoint-util");
+const {
+  buildDeploymentReport,
+  saveDeploymentReport,
+} = require("../utils/deployment-report-util");
+const {
+  buildContractRegistry,
+  saveContractRegistry,
+} = require("../utils/contract-registry-util");
+const {
+  createSafeBatch,
+  saveSafeBatch,
+  defaultMultiSendAddress,
+} = require("../utils/safe-batch-util");
+const { log, info, error } = require("../utils/log-util");
 const { deployConfigs } = require("../deploy-config");
 require("dotenv").config({ path: "../.env" });
 
-task("deploy", "Deploy the list of contracts", async (args, hre) => {
-  const { network } = hre.hardhatArguments;
-
-  log(`Deployment started at ${new Date().toISOString()}`);
-  log(`Deploying tribute-contracts@${pkgJson.version} to ${network} network`);
-
-  const {
-    contracts: contractConfigs,
-  } = require(`../configs/networks/${network}.config`);
-  const hardhatImports = await require("../utils/hardhat-util.js")(
-    contractConfigs,
-    network
-  );
-
-  const daoArtifacts = await getOrCreateDaoArtifacts(hre, hardhatImports);
-  const deployFunction = await hardhatImports.deployFunctionFactory(
-    hre,
-    daoArtifacts
-  );
-  const accounts = await hre.ethers.getSigners();
-  accounts.map((a, i) => log(`Account ${i}: ${a.address}`));
+task("deploy", "Deploy the list of contracts")
+  .addFlag(
+    "plan",
+    "Simulates the deployment and prints all the transactions without sending them"
+  )
+  .addOptionalParam(
+    "batch",
+    "JSON file with the list of DAOs to deploy, each DAO declares the options that override the network manifest"
+  )
+  .addOptionalParam(
+    "concurrency",
+    "The max number of independent transactions sent in parallel",
+    1,
+    types.int
+  )
+  .addOptionalParam(
+    "dao",
+    "The address of an existing DAO that is not finalized, only the contracts of --add are deployed and added to it"
+  )
+  .addOptionalParam(
+    "add",
+    "Comma separated names of the adapters and extensions to add to the --dao, e.g: ERC1155TokenExtension,LendNFTContract"
+  )
+  .addOptionalParam(
+    "safe",
+    "The address of the Safe that owns the DAO, the calls restricted to the DAO members are exported to a Safe transaction batch instead of being sent"
+  )
+  .addOptionalParam(
+    "safeMultisend",
+    "The address of the MultiSendCallOnly contract used to encode the Safe batch",
+    defaultMultiSendAddress
+  )
+  .setAction(async (args, hre) => {
+    const { network } = hre.hardhatArguments;
+    if (!args.dao !== !args.add)
+      throw new Error("The --dao and --add params must be used together");
+    if (args.dao && args.batch)
+      throw new Error("The --dao param can not be used in a batch deployment");
+    const extend = args.dao
+      ? {
+          daoAddress: args.dao,
+          contracts: args.add.split(",").map((name) => name.trim()),
+        }
+      : undefined;
+
+    log(`Deployment started at ${new Date().toISOString()}`);
+    log(`Deploying tribute-contracts@${pkgJson.version} to ${network} network`);
+
+    const { contracts: contractConfigs } = validateNetworkConfig(
+      network,
+      require(`../configs/networks/${network}.config`)
+    );
+    const manifests = args.batch
+      ? loadBatchManifests({ network, file: args.batch })
+      : [loadDeploymentManifest({ network })];
+    // The plan mode must start before any contract is loaded with hre.ethers
+    const plan = args.plan ? await startDeploymentPlan(hre) : undefined;
+    if (plan) log(`Simulating the deployment, no transaction will be sent`);
+
+    // The simulated deployment must not be recorded in the deployment journal
+    const createDaoJournal = (name) =>
+      plan ? null : createJournal(network, name, hre.ethers.provider);
+    // Each set of contracts added to an existing DAO has its own journal
+    const journals = manifests.map((m) =>
+      createDaoJournal(
+        extend
+          ? `${extend.daoAddress}-${extend.contracts.join("-")}`
+          : m.options.daoName
+      )
+    );
+    // The contracts shared by all the DAOs of a batch are recorded in the batch journal
+    const sharedJournal = args.batch
+      ? createDaoJournal(`${path.basename(args.batch, ".json")}-batch`)
+      : journals[0];
+
+    const hardhatImports = await require("../utils/hardhat-util.js")(
+      contractConfigs,
+      network,
+      { plan }
+    );
 
-  const result = await deploy({
-    network,
-    deployFunction,
-    attachFunction: hardhatImports.attachFunction,
-    contractImports: hardhatImports,
-    contractConfigs,
-    accounts,
+    const daoArtifacts = await getOrCreateDaoArtifacts(hre, hardhatImports, {
+      plan,
+      journal: sharedJournal,
+    });
+    const accounts = await hre.ethers.getSigners();
+    accounts.map((a, i) => log(`Account ${i}: ${a.address}`));
+
+    const deployAndSave = async (manifest, journal) => {
+      if (journal && journal.file) log(`Deployment journal: ${journal.file}`);
+      const deployFunction = await hardhatImports.deployFunctionFactory(
+        hre,
+        daoArtifacts,
+        journal
+      );
+      const safeBatch = args.safe
+        ? createSafeBatch({
+            safeAddress: args.safe,
+            chainId: (await hre.ethers.provider.getNetwork()).chainId,
+          })
+        : undefined;
+      const result = await deploy({
+        manifest,
+        deployFunction,
+        attachFunction: hardhatImports.attachFunction,
+        contractImports: hardhatImports,
+        contractConfigs,
+        accounts,
+        journal,
+        concurrency: args.concurrency,
+        extend,
+        safeBatch,
+      });
+      return await finalizeAndSave({
+        hre,
+        network,
+        contractConfigs,
+        manifest,
+        journal,
+        plan,
+        result,
+        safeBatch,
+        multiSendAddress: args.safeMultisend,
+        // The DAO extended with new contracts is finalized by its members
+        finalize: !extend,
+        // Each DAO of a batch has its own address file
+        name: args.batch
+          ? manifest.options.daoName
+          : extend
+          ? `${extend.daoAddress}-added`
+          : undefined,
+      });
+    };
+
+    if (!args.batch) {
+      await deployAndSave(manifests[0], journals[0]);
+    } else {
+      // A failed DAO must not abort the deployment of the other DAOs
+      const results = await manifests.reduce(
+        (p, manifest, i) =>
+          p.then(async (list) => {
+            const daoName = manifest.options.daoName;
+            log(`\nDeploying DAO ${i + 1}/${manifests.length}: ${daoName}`);
+            try {
+              const file = await deployAndSave(manifest, journals[i]);
+              return list.concat({ daoName, file });
+            } catch (err) {
+              error(`Failed to deploy DAO ${daoName}. `, err);
+              return list.concat({ daoName, error: err.message });
+            }
+          }),
+        Promise.resolve([])
+      );
+
+      log(
+        "\nBatch deployment\n-------------------------------------------------"
+      );
+      results.forEach((r) =>
+        log(
+          r.error
+            ? `${r.daoName}: failed - ${r.error}`
+            : `${r.daoName}: ${r.file || "simulated"}`
+        )
+      );
+      if (results.some((r) => r.error)) process.exitCode = 1;
+      else if (sharedJournal && !args.safe) sharedJournal.archive();
+    }
+
+    if (plan) printDeploymentPlan(plan);
   });
 
+/**
+ * Finalizes the DAO, unless `finalize` is false, and saves the contract registry and the cost report.
+ * Returns the registry file, or nothing if the deployment is simulated.
+ */
+const finalizeAndSave = async ({
+  hre,
+  network,
+  contractConfigs,
+  manifest,
+  journal,
+  plan,
+  result,
+  name,
+  finalize = true,
+  safeBatch,
+  multiSendAddress,
+}) => {
   const {
     dao,
     factories,
     extensions,
     adapters,
-    testContracts,
-    utilContracts,
+    testContracts = {},
+    utilContracts = {},
     owner,
   } = result;
 
-  if (dao) {
-    await dao.finalizeDao();
-
-    info(
-      `\nAvailable Contracts\n-------------------------------------------------`
-    );
-    log(`DaoOwner: ${owner}`);
-    log(`DaoRegistry: ${dao.address}`);
-    const addresses = { DaoRegistry: dao.address };
-    Object.values(factories)
-      .concat(Object.values(extensions))
-      .concat(Object.values(adapters))
-      .concat(Object.values(testContracts))
-      .concat(Object.values(utilContracts))
-      .forEach((c) => {
-        log(`${c.configs.name}: ${c.address}`);
-        addresses[c.configs.name] = c.address;
-      });
-    saveDeployedContracts(network, addresses);
-    log(
-      `Deployment to ${network} network was completed at ${new Date().toISOString()}`
-    );
-  } else {
+  if (!dao) {
     log("-------------------------------------------------");
     log(`There is no deployment script for ${network} network`);
     log("-------------------------------------------------");
+    return;
   }
-});
 
-const deployRinkebyDao = async ({
-  deployFunction,
-  attachFunction,
-  contractImports,
-  contractConfigs,
-}) => {
-  return await deployDao({
-    ...contractImports,
-    contractConfigs,
-    deployFunction,
-    attachFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: toWei("0.1"),
-    nbUnits: toBN("100000"),
-    maxUnits: getOptionalEnvVar("MAX_UNITS", maxUnits),
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: getOptionalEnvVar("MAX_CHUNKS", maximumChunks),
-    votingPeriod: getOptionalEnvVar("VOTING_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    gracePeriod: getOptionalEnvVar("GRACE_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    offchainVoting: true,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: getOptionalEnvVar(
-      "MANAGER_COUPON_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    couponCreatorAddress: getOptionalEnvVar(
-      "COUPON_CREATOR_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycSignerAddress: getOptionalEnvVar(
-      "KYC_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycMaxMembers: getOptionalEnvVar("KYC_MAX_MEMBERS", toBN(1000)),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    daoName: getEnvVar("DAO_NAME"),
-    owner: getEnvVar("DAO_OWNER_ADDR"),
-    offchainAdmin: getOptionalEnvVar(
-      "OFFCHAIN_ADMIN_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    deployTestTokens: true,
-    supplyTestToken1: 1000000,
-    supplyTestToken2: 1000000,
-    supplyPixelNFT: 100,
-    supplyOLToken: toBN("1000000000000000000000000"),
-    erc1155TestTokenUri: "1155 test token",
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getOptionalEnvVar(
-      "GELATO_ADDR",
-      "0xDe6ab16a4015c680daab58021815D09ddB57db8E"
-    ),
-    weth: "0xc778417e063141139fce010982780140aa0cd5ab",
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
-  });
-};
-
-const deployMainnetDao = async ({
-  deployFunction,
-  contractImports,
-  contractConfigs,
-}) => {
-  return await deployDao({
-    ...contractImports,
-    contractConfigs,
-    deployFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: toWei("0.1"),
-    nbUnits: toBN("100000"),
-    maxUnits: getOptionalEnvVar("MAX_UNITS", maxUnits),
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: getOptionalEnvVar("MAX_CHUNKS", maximumChunks),
-    votingPeriod: parseInt(getEnvVar("VOTING_PERIOD_SECONDS")),
-    gracePeriod: parseInt(getEnvVar("GRACE_PERIOD_SECONDS")),
-    offchainVoting: true,
-    deployTestTokens: false,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: getEnvVar("MANAGER_COUPON_SIGNER_ADDR"),
-    couponCreatorAddress: getEnvVar("COUPON_CREATOR_ADDR"),
-    kycSignerAddress: getEnvVar("KYC_SIGNER_ADDR"),
-    kycMaxMembers: getEnvVar("KYC_MAX_MEMBERS"),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    daoName: getEnvVar("DAO_NAME"),
-    owner: getEnvVar("DAO_OWNER_ADDR"),
-    offchainAdmin: getEnvVar("OFFCHAIN_ADMIN_ADDR"),
-    weth: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2",
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getEnvVar("GELATO_ADDR"),
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
-  });
-};
-
-const deployGanacheDao = async ({
-  deployFunction,
-  accounts,
-  contractImports,
-  contractConfigs,
-}) => {
-  const daoOwnerAddress = accounts[0].address;
-  const { WETH } = contractImports;
-  const factory = await hre.ethers.getContractFactory(WETH.contractName);
-  const res = await factory.deploy();
-  const weth = await res.deployed();
-
-  return await deployDao({
-    ...contractImports,
-    contractConfigs,
-    deployFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: toWei("0.1"),
-    nbUnits: toBN("100000"),
-    maxUnits: getOptionalEnvVar("MAX_UNITS", maxUnits),
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: getOptionalEnvVar("MAX_CHUNKS", maximumChunks),
-    votingPeriod: getOptionalEnvVar("VOTING_PERIOD_SECONDS", 120), // 120 secs = 2 min
-    gracePeriod: getOptionalEnvVar("GRACE_PERIOD_SECONDS", 60), // 600 secs = 1 min
-    offchainVoting: true,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: getOptionalEnvVar(
-      "MANAGER_COUPON_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    couponCreatorAddress: getOptionalEnvVar(
-      "COUPON_CREATOR_ADDR",
-      daoOwnerAddress
-    ),
-    kycSignerAddress: getOptionalEnvVar("KYC_SIGNER_ADDR", daoOwnerAddress),
-    kycMaxMembers: getOptionalEnvVar("KYC_MAX_MEMBERS", toBN(1000)),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    daoName: getEnvVar("DAO_NAME"),
-    owner: daoOwnerAddress,
-    offchainAdmin: getOptionalEnvVar("OFFCHAIN_ADMIN_ADDR", daoOwnerAddress),
-    deployTestTokens: true,
-    supplyTestToken1: 1000000,
-    supplyTestToken2: 1000000,
-    supplyPixelNFT: 100,
-    supplyOLToken: toBN("1000000000000000000000000"),
-    erc1155TestTokenUri: "1155 test token",
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getOptionalEnvVar(
-      "GELATO_ADDR",
-      "0xDe6ab16a4015c680daab58021815D09ddB57db8E"
-    ),
-    weth: weth.address,
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
-  });
-};
-
-const deployTestDao = async ({
-  deployFunction,
-  accounts,
-  contractImports,
-  contractConfigs,
-}) => {
-  const daoOwnerAddress = accounts[0];
-  const { WETH } = contractImports;
-
-  const weth = await deployFunction(WETH);
-
-  return await deployDao({
-    ...contractImports,
-    contractConfigs,
-    deployFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: unitPrice,
-    nbUnits: numberOfUnits,
-    maxUnits: numberOfUnits,
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: maximumChunks,
-    votingPeriod: 10, // 10 secs
-    gracePeriod: 1, // 1 sec
-    offchainVoting: true,
-    deployTestTokens: false,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: daoOwnerAddress,
-    couponCreatorAddress: daoOwnerAddress,
-    kycSignerAddress: daoOwnerAddress,
-    kycMaxMembers: toBN("1000"),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    offchainAdmin: daoOwnerAddress,
-    daoName: getEnvVar("DAO_NAME"),
-    owner: accounts[0],
-    weth: weth.address,
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getOptionalEnvVar(
-      "GELATO_ADDR",
-      "0xDe6ab16a4015c680daab58021815D09ddB57db8E"
-    ),
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
-  });
-};
+  if (!finalize) {
+    log("The DAO was not finalized");
+  } else if (safeBatch) {
+    await safeBatch.add({
+      stepId: "finalizeDao",
+      contract: dao,
+      method: "finalizeDao",
+      args: [],
+    });
+  } else if (journal) {
+    await journal.step(
+      "finalizeDao",
+      async (sent) => {
+        const tx = await dao.finalizeDao();
+        sent(tx.hash);
+        await tx.wait();
+        return { hash: tx.hash };
+      },
+      // DaoRegistry.DaoState.READY
+      async () => ((await dao.state()).toString() === "1" ? {} : undefined)
+    );
+  } else {
+    await dao.finalizeDao();
+  }
 
-const deployHarmonyDao = async ({
-  deployFunction,
-  contractImports,
-  contractConfigs,
-}) => {
-  return await deployDao({
-    ...contractImports,
-    contractConfigs,
-    deployFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: toWei("0.1"),
-    nbUnits: toBN("100000"),
-    maxUnits: getOptionalEnvVar("MAX_UNITS", maxUnits),
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: getOptionalEnvVar("MAX_CHUNKS", maximumChunks),
-    votingPeriod: parseInt(getEnvVar("VOTING_PERIOD_SECONDS")),
-    gracePeriod: parseInt(getEnvVar("GRACE_PERIOD_SECONDS")),
-    offchainVoting: true,
-    deployTestTokens: false,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: getEnvVar("MANAGER_COUPON_SIGNER_ADDR"),
-    couponCreatorAddress: getEnvVar("COUPON_CREATOR_ADDR"),
-    kycSignerAddress: getEnvVar("KYC_SIGNER_ADDR"),
-    kycMaxMembers: getOptionalEnvVar("KYC_MAX_MEMBERS", toBN(99)),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    daoName: getEnvVar("DAO_NAME"),
-    owner: getEnvVar("DAO_OWNER_ADDR"),
-    offchainAdmin: getEnvVar("OFFCHAIN_ADMIN_ADDR"),
-    weth: getEnvVar("WETH_ADDR"),
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getOptionalEnvVar(
-      "GELATO_ADDR",
-      "0xDe6ab16a4015c680daab58021815D09ddB57db8E"
-    ),
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
-  });
-};
+  if (plan) return;
 
-const deployHarmonyTestDao = async ({
-  deployFunction,
-  contractImports,
-  contractConfigs,
-}) => {
-  const { WETH } = contractImports;
-  const weth = await deployFunction(WETH);
-  return await deployDao({
-    ...contractImports,
+  info(
+    `\nAvailable Contracts\n-------------------------------------------------`
+  );
+  log(`DaoOwner: ${owner}`);
+  log(`DaoRegistry: ${dao.address}`);
+  const contracts = Object.values(factories)
+    .concat(Object.values(extensions))
+    .concat(Object.values(adapters))
+    .concat(Object.values(testContracts))
+    .concat(Object.values(utilContracts));
+  contracts.forEach((c) => log(`${c.configs.name}: ${c.address}`));
+  const now = new Date().toISOString();
+  const suffix = name
+    ? `${network}-${name.replace(/[^a-zA-Z0-9-_]/g, "_")}-${now}`
+    : `${network}-${now}`;
+  const registry = await buildContractRegistry({
+    network,
+    chainId: (await hre.ethers.provider.getNetwork()).chainId,
+    version: pkgJson.version,
+    daoName: manifest.options.daoName,
+    owner,
+    dao,
+    contracts,
     contractConfigs,
-    deployFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: toWei("0.1"),
-    nbUnits: toBN("100000"),
-    maxUnits: getOptionalEnvVar("MAX_UNITS", maxUnits),
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: getOptionalEnvVar("MAX_CHUNKS", maximumChunks),
-    votingPeriod: getOptionalEnvVar("VOTING_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    gracePeriod: getOptionalEnvVar("GRACE_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    offchainVoting: true,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: getOptionalEnvVar(
-      "MANAGER_COUPON_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    couponCreatorAddress: getOptionalEnvVar(
-      "COUPON_CREATOR_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycSignerAddress: getOptionalEnvVar(
-      "KYC_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycMaxMembers: getOptionalEnvVar("KYC_MAX_MEMBERS", toBN(1000)),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    daoName: getEnvVar("DAO_NAME"),
-    owner: getEnvVar("DAO_OWNER_ADDR"),
-    offchainAdmin: getOptionalEnvVar(
-      "OFFCHAIN_ADMIN_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    deployTestTokens: true,
-    supplyTestToken1: 1000000,
-    supplyTestToken2: 1000000,
-    supplyPixelNFT: 100,
-    supplyOLToken: toBN("1000000000000000000000000"),
-    erc1155TestTokenUri: "1155 test token",
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getOptionalEnvVar("GELATO_ADDR", ZERO_ADDRESS),
-    weth: weth.address,
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
+    journal,
+    provider: hre.ethers.provider,
+    artifacts: hre.artifacts,
   });
-};
-
-const deployPolygonDao = async ({
-  deployFunction,
-  contractImports,
-  contractConfigs,
-}) => {
-  return await deployDao({
-    ...contractImports,
+  const file = saveDeployedContracts(registry, suffix);
+  if (safeBatch) {
+    const { batchFile, multiSendFile } = saveSafeBatch(
+      safeBatch,
+      deployConfigs.deployedContractsDir,
+      `safe-batch-${suffix}`,
+      multiSendAddress
+    );
+    log(
+      `Safe batch with ${safeBatch.transactions.length} transactions: ${batchFile}, ${multiSendFile}\n`
+    );
+  }
+  await saveReport({
+    hre,
+    journal,
     contractConfigs,
-    deployFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: toWei("0.1"),
-    nbUnits: toBN("100000"),
-    maxUnits: getOptionalEnvVar("MAX_UNITS", maxUnits),
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: getOptionalEnvVar("MAX_CHUNKS", maximumChunks),
-    votingPeriod: parseInt(getEnvVar("VOTING_PERIOD_SECONDS")),
-    gracePeriod: parseInt(getEnvVar("GRACE_PERIOD_SECONDS")),
-    offchainVoting: true,
-    deployTestTokens: false,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: getEnvVar("MANAGER_COUPON_SIGNER_ADDR"),
-    couponCreatorAddress: getEnvVar("COUPON_CREATOR_ADDR"),
-    kycSignerAddress: getEnvVar("KYC_SIGNER_ADDR"),
-    kycMaxMembers: getEnvVar("KYC_MAX_MEMBERS"),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    daoName: getEnvVar("DAO_NAME"),
-    owner: getEnvVar("DAO_OWNER_ADDR"),
-    offchainAdmin: getEnvVar("OFFCHAIN_ADMIN_ADDR"),
-    weth: getEnvVar("WRAPPED_ETH_ADDR"),
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getEnvVar("GELATO_ADDR"),
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
+    network,
+    daoName: manifest.options.daoName,
+    daoAddress: dao.address,
+    name: `report-${suffix}`,
   });
+  // The next deployment with the same name must not resume the completed one,
+  // unless the DAO is still waiting for the Safe to execute the batch
+  if (journal && !safeBatch) {
+    const archived = journal.archive();
+    if (archived) log(`Deployment journal archived: ${archived}`);
+  }
+  log(
+    `Deployment to ${network} network was completed at ${new Date().toISOString()}`
+  );
+  return file;
 };
 
-const deployPolygonTestDao = async ({
-  deployFunction,
-  contractImports,
-  contractConfigs,
-}) => {
-  const { WETH } = contractImports;
-
-  const weth = await deployFunction(WETH);
-
-  return await deployDao({
-    ...contractImports,
-    contractConfigs,
+const deploy = async (opts) => {
+  const {
+    manifest,
+    accounts,
     deployFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: toWei("0.1"),
-    nbUnits: toBN("100000"),
-    maxUnits: getOptionalEnvVar("MAX_UNITS", maxUnits),
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: getOptionalEnvVar("MAX_CHUNKS", maximumChunks),
-    votingPeriod: getOptionalEnvVar("VOTING_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    gracePeriod: getOptionalEnvVar("GRACE_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    offchainVoting: true,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: getOptionalEnvVar(
-      "MANAGER_COUPON_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    couponCreatorAddress: getOptionalEnvVar(
-      "COUPON_CREATOR_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycSignerAddress: getOptionalEnvVar(
-      "KYC_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycMaxMembers: getOptionalEnvVar("KYC_MAX_MEMBERS", toBN(1000)),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    daoName: getEnvVar("DAO_NAME"),
-    owner: getEnvVar("DAO_OWNER_ADDR"),
-    offchainAdmin: getOptionalEnvVar(
-      "OFFCHAIN_ADMIN_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    deployTestTokens: true,
-    supplyTestToken1: 1000000,
-    supplyTestToken2: 1000000,
-    supplyPixelNFT: 100,
-    supplyOLToken: toBN("1000000000000000000000000"),
-    erc1155TestTokenUri: "1155 test token",
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getOptionalEnvVar("GELATO_ADDR", ZERO_ADDRESS),
-    weth: weth.address,
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
-  });
-};
-
-const deployAvalancheTestDao = async ({
-  deployFunction,
-  attachFunction,
-  contractImports,
-  contractConfigs,
-}) => {
-  return await deployDao({
-    ...contractImports,
-    contractConfigs,
+    contractImports,
+    journal,
+    concurrency,
+    extend,
+    safeBatch,
+  } = opts;
+  const deployOptions = await resolveDeploymentOptions({
+    manifest,
+    accounts,
     deployFunction,
-    attachFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: toWei("0.1"),
-    nbUnits: toBN("100000"),
-    maxUnits: getOptionalEnvVar("MAX_UNITS", maxUnits),
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: getOptionalEnvVar("MAX_CHUNKS", maximumChunks),
-    votingPeriod: getOptionalEnvVar("VOTING_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    gracePeriod: getOptionalEnvVar("GRACE_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    offchainVoting: true,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: getOptionalEnvVar(
-      "MANAGER_COUPON_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    couponCreatorAddress: getOptionalEnvVar(
-      "COUPON_CREATOR_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycSignerAddress: getOptionalEnvVar(
-      "KYC_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycMaxMembers: getOptionalEnvVar("KYC_MAX_MEMBERS", toBN(1000)),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    daoName: getEnvVar("DAO_NAME"),
-    owner: getEnvVar("DAO_OWNER_ADDR"),
-    offchainAdmin: getOptionalEnvVar(
-      "OFFCHAIN_ADMIN_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    deployTestTokens: true,
-    supplyTestToken1: 1000000,
-    supplyTestToken2: 1000000,
-    supplyPixelNFT: 100,
-    supplyOLToken: toBN("1000000000000000000000000"),
-    erc1155TestTokenUri: "1155 test token",
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getOptionalEnvVar(
-      "GELATO_ADDR",
-      "0xDe6ab16a4015c680daab58021815D09ddB57db8E"
-    ),
-    weth: "0xc778417e063141139fce010982780140aa0cd5ab",
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
+    contractImports,
   });
-};
+  if (safeBatch) checkSafeOwner(safeBatch.safeAddress, deployOptions);
 
-const deployAvalancheDao = async ({
-  deployFunction,
-  attachFunction,
-  contractImports,
-  contractConfigs,
-}) => {
-  return await deployDao({
+  return await (extend ? extendDao : deployDao)({
     ...contractImports,
-    contractConfigs,
+    contractConfigs: opts.contractConfigs,
     deployFunction,
-    attachFunction,
-    maxAmount: getOptionalEnvVar("MAX_AMOUNT", maxAmount),
-    unitPrice: toWei("0.1"),
-    nbUnits: toBN("100000"),
-    maxUnits: getOptionalEnvVar("MAX_UNITS", maxUnits),
-    tokenAddr: ETH_TOKEN,
-    erc20TokenName: getEnvVar("ERC20_TOKEN_NAME"),
-    erc20TokenSymbol: getEnvVar("ERC20_TOKEN_SYMBOL"),
-    erc20TokenDecimals: getEnvVar("ERC20_TOKEN_DECIMALS"),
-    erc20TokenAddress: UNITS,
-    maxChunks: getOptionalEnvVar("MAX_CHUNKS", maximumChunks),
-    votingPeriod: getOptionalEnvVar("VOTING_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    gracePeriod: getOptionalEnvVar("GRACE_PERIOD_SECONDS", 600), // 600 secs = 10 min
-    offchainVoting: true,
-    finalize: false,
-    maxExternalTokens: 100,
-    managerSignerAddress: getOptionalEnvVar(
-      "MANAGER_COUPON_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    couponCreatorAddress: getOptionalEnvVar(
-      "COUPON_CREATOR_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycSignerAddress: getOptionalEnvVar(
-      "KYC_SIGNER_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    kycMaxMembers: getOptionalEnvVar("KYC_MAX_MEMBERS", toBN(1000)),
-    kycCanTopUp: getOptionalEnvVar("KYC_CAN_TOP_UP", 0),
-    kycFundTargetAddress: getOptionalEnvVar(
-      "KYC_MULTISIG_FUND_ADDR",
-      ZERO_ADDRESS
-    ),
-    daoName: getEnvVar("DAO_NAME"),
-    owner: getEnvVar("DAO_OWNER_ADDR"),
-    offchainAdmin: getOptionalEnvVar(
-      "OFFCHAIN_ADMIN_ADDR",
-      getEnvVar("DAO_OWNER_ADDR")
-    ),
-    deployTestTokens: true,
-    supplyTestToken1: 1000000,
-    supplyTestToken2: 1000000,
-    supplyPixelNFT: 100,
-    supplyOLToken: toBN("1000000000000000000000000"),
-    erc1155TestTokenUri: "1155 test token",
-    gasPriceLimit: getOptionalEnvVar("GAS_PRICE_LIMIT", 0 /* disabled */),
-    spendLimitPeriod: getOptionalEnvVar("SPEND_LIMIT_PERIOD", 0 /* disabled */),
-    spendLimitEth: getOptionalEnvVar("SPEND_LIMIT_ETH", 0 /* disabled */),
-    gelato: getOptionalEnvVar(
-      "GELATO_ADDR",
-      "0xDe6ab16a4015c680daab58021815D09ddB57db8E"
-    ),
-    weth: "0xc778417e063141139fce010982780140aa0cd5ab",
-    maintainerTokenAddress: getOptionalEnvVar("MAINTAINER_TOKEN_ADDR", UNITS),
+    attachFunction: opts.attachFunction,
+    ...deployOptions,
+    ...extend,
+    journal,
+    concurrency,
+    safeBatch,
   });
 };
 
-const deploy = async (opts) => {
-  const action = DeploymentActions[opts.network];
-  if (action) {
-    return action(opts);
-  }
-  throw new Error(`Unsupported operation ${opts.network}`);
+/**
+ * The Safe batch is executed by the Safe, so the Safe must be a member of the DAO.
+ */
+const checkSafeOwner = (safeAddress, { owner, creator }) => {
+  const members = [owner, creator].filter(Boolean).map((a) => a.toLowerCase());
+  if (!members.includes(safeAddress.toLowerCase()))
+    throw new Error(
+      `The Safe ${safeAddress} must be the DAO owner or creator, found owner ${owner} and creator ${creator}`
+    );
 };
 
-const getOrCreateDaoArtifacts = async (hre, hardHatImports) => {
+const getOrCreateDaoArtifacts = async (
+  hre,
+  hardHatImports,
+  { plan, journal }
+) => {
   const DaoArtifacts = hardHatImports.DaoArtifacts;
   let daoArtifacts;
   const factory = await hre.ethers.getContractFactory(
@@ -707,53 +384,69 @@ const getOrCreateDaoArtifacts = async (hre, hardHatImports) => {
     daoArtifacts = await factory.attach(
       process.env.DAO_ARTIFACTS_CONTRACT_ADDR
     );
+    if (plan)
+      plan.recordAttachment(
+        DaoArtifacts.contractName,
+        daoArtifacts.address,
+        factory.interface,
+        "DAO_ARTIFACTS_CONTRACT_ADDR"
+      );
+  } else if (journal) {
+    const { address } = await journal.step(
+      `deploy:${DaoArtifacts.contractName}`,
+      async (sent) => {
+        log("Creating new DaoArtifacts contract");
+        const daoArtifact = await factory.deploy();
+        sent(daoArtifact.deployTransaction.hash);
+        await daoArtifact.deployed();
+        return {
+          hash: daoArtifact.deployTransaction.hash,
+          address: daoArtifact.address,
+        };
+      }
+    );
+    daoArtifacts = await factory.attach(address);
   } else {
     log("Creating new DaoArtifacts contract");
     const daoArtifact = await factory.deploy();
     daoArtifacts = await daoArtifact.deployed();
+    if (plan)
+      plan.recordDeployment(
+        DaoArtifacts.contractName,
+        daoArtifacts.address,
+        factory.interface
+      );
   }
   log(`DaoArtifacts: ${daoArtifacts.address}`);
   return daoArtifacts;
 };
 
-const getEnvVar = (name) => {
-  if (!process.env[name]) {
-    throw Error(`Missing env var: ${name}`);
-  }
-  return process.env[name];
-};
-
-const getOptionalEnvVar = (name, defaultValue) => {
-  const envVar = process.env[name];
-  return envVar ? envVar : defaultValue;
-};
-
-const saveDeployedContracts = (network, addresses) => {
-  const now = new Date().toISOString();
+const saveDeployedContracts = (registry, suffix) => {
   const dir = path.resolve(deployConfigs.deployedContractsDir);
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir);
   }
-  const file = `${dir}/contracts-${network}-${now}.json`;
-  fs.writeFileSync(`${file}`, JSON.stringify(addresses), "utf8");
+  const file = saveContractRegistry(
+    registry,
+    `${dir}/contracts-${suffix}.json`
+  );
   log(`\nDeployed contracts: ${file}\n`);
+  return file;
 };
 
-const DeploymentActions = {
-  mainnet: deployMainnetDao,
-  ganache: deployGanacheDao,
-  harmony: deployHarmonyDao,
-  harmonytest: deployHarmonyTestDao,
-  polygon: deployPolygonDao,
-  polygontest: deployPolygonTestDao,
-  avalanchetest: deployAvalancheTestDao,
-  avalanche: deployAvalancheDao,
-
-  // Goerli and Rinkeby should be treated the same
-  goerli: deployRinkebyDao,
-  rinkeby: deployRinkebyDao,
-
-  // Test and Coverage should be treated the same
-  test: deployTestDao,
-  coverage: deployTestDao,
+const saveReport = async ({ hre, journal, network, name, ...opts }) => {
+  const report = await buildDeploymentReport({
+    ...opts,
+    journal,
+    network,
+    provider: hre.ethers.provider,
+    version: pkgJson.version,
+  });
+  const { jsonFile, markdownFile } = saveDeploymentReport(
+    report,
+    deployConfigs.deployedContractsDir,
+    name
+  );
+  log(`Total cost: ${report.total.cost} (gas used: ${report.total.gasUsed})`);
+  log(`Deployment report: ${jsonFile}, ${markdownFile}\n`);
 };
@@ -0,0 +1,56 @@
+const path = require("path");
+const { exportSourcifyBundles } = require("../utils/sourcify-util");
+const { loadContractRegistry } = require("../utils/contract-registry-util");
+const { log, info, error } = require("../utils/log-util");
+
+task(
+  "sourcify:export",
+  "Writes the Sourcify bundle, metadata.json and sources, of each contract in a deployed contracts file"
+)
+  .addParam(
+    "file",
+    "The deployed contracts file, e.g: build/deployed/contracts-harmony-<date>.json"
+  )
+  .addOptionalParam(
+    "out",
+    "The directory of the bundles, organised by chainId and address",
+    "build/sourcify"
+  )
+  .addOptionalParam(
+    "skip",
+    "Comma separated names of the contracts that are not exported, e.g: Multicall"
+  )
+  .addFlag("json", "Prints the results in JSON format")
+  .setAction(async (args, hre) => {
+    const registry = loadContractRegistry(path.resolve(args.file));
+    const chainId = (await hre.ethers.provider.getNetwork()).chainId;
+    if (registry.chainId && registry.chainId !== chainId)
+      throw new Error(
+        `The deployed contracts file is from chainId ${registry.chainId}, but the --network chainId is ${chainId}`
+      );
+
+    const results = await exportSourcifyBundles({
+      registry,
+      provider: hre.ethers.provider,
+      artifacts: hre.artifacts,
+      dir: path.resolve(args.out),
+      skip: args.skip ? args.skip.split(",").map((name) => name.trim()) : [],
+    });
+
+    if (args.json) {
+      log(JSON.stringify(results, null, 2));
+    } else {
+      results.forEach((r) => {
+        const line = `${r.name}@${r.address}: ${r.status}${
+          r.reason ? ` - ${r.reason}` : ""
+        }`;
+        if (r.status === "match") log(line);
+        else if (r.status === "skipped") info(line);
+        else error(line);
+      });
+      log(`\nSourcify bundles: ${path.resolve(args.out)}`);
+    }
+
+    if (results.some((r) => r.status === "mismatch" || r.status === "failed"))
+      process.exitCode = 1;
+  });
@@ -1,18 +1,20 @@
 #!/usr/bin/env node
 
 import dotenv from "dotenv";
-import util from "util";
 import path from "path";
 import fs from "fs";
 import inquirer from "inquirer";
+import { Artifacts } from "hardhat/internal/artifacts";
 import { deployConfigs } from "../deploy-config";
 import { error, log } from "../utils/log-util";
-import { ContractConfig } from "../configs/contracts.config";
+import { loadContractRegistry } from "../utils/contract-registry-util";
+import {
+  getExplorer,
+  createExplorerClient,
+  verifyContracts,
+} from "../utils/explorer-verify-util";
 
-const cfg = dotenv.config();
-const exec = util.promisify(require("child_process").exec);
-const verifierCmd = "npm run truffle-verifier";
-const isDebug = cfg.parsed?.DEBUG === "true";
+dotenv.config();
 
 const skipContracts = [
   // Test Contracts
@@ -21,109 +23,80 @@ const skipContracts = [
   "TestToken2",
   "TestFairShareCalc",
   "PixelNFT",
-  "ProxToken",
-  "ERC20Minter",
+  "ProxTokenContract",
+  "ERC20MinterContract",
   "MockDao",
   "ERC1155TestToken",
   "Multicall",
 ];
 
+// Usage: ts-node tasks/verify.ts <network> [--file <deployed contracts file>] [--only <names>]
 const args = process.argv.slice(2);
-if (!args || args.length === 0)
+const getOption = (name: string) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const network = args[0];
+if (!network || network.startsWith("--"))
   throw Error("Missing one of the network names: [rinkeby, ropsten, mainnet]");
-
-const network = args[0] || "rinkeby";
 log(`Selected Network: ${network}`);
 
-const sleep = (msec: number) => {
-  return new Promise((resolve) => setTimeout(resolve, msec));
-};
-
-const getDeployedContracts = async (network: string) => {
-  const buildDir = fs.readdirSync(
-    path.resolve(deployConfigs.deployedContractsDir)
-  );
-  if (!buildDir || buildDir.length === 0) {
-    error(
-      `No deployed contracts found in ${deployConfigs.deployedContractsDir}`
+const selectDeployedContractsFile = async (network: string) => {
+  const file = getOption("--file");
+  if (file) return path.resolve(file);
+
+  const buildDir = fs.existsSync(deployConfigs.deployedContractsDir)
+    ? fs
+        .readdirSync(path.resolve(deployConfigs.deployedContractsDir))
+        .filter((f) => f.startsWith(`contracts-${network}-`))
+    : [];
+  if (buildDir.length === 0)
+    throw new Error(
+      `No ${network} deployed contracts found in ${deployConfigs.deployedContractsDir}`
+    );
+  if (!process.stdin.isTTY)
+    throw new Error(
+      "Use --file to select the deployed contracts file in a non-interactive shell"
     );
-    process.exit(1);
-  }
 
   const { fileName } = await inquirer.prompt([
     {
       type: "list",
       name: "fileName",
       message: "Please select one of the deployment files to be verified",
-      choices: buildDir.filter((f) => f.indexOf(network) > 0),
+      choices: buildDir,
     },
   ]);
-
-  const deployFile = `${deployConfigs.deployedContractsDir}/${fileName}`;
-  log(`Reading deployed contracts from: ${deployFile}`);
-  const deployedContracts = JSON.parse(
-    fs.readFileSync(path.resolve(deployFile), "utf8")
-  );
-  log({ deployedContracts });
-  return deployedContracts;
-};
-
-const buildCommand = (contract: any) => {
-  let cmd = `${verifierCmd} --`;
-  cmd = isDebug ? `${cmd} --debug` : cmd;
-  cmd = `${cmd} --network ${network}`;
-  cmd = `${cmd} ${contract.contractName}@${contract.contractAddress}`;
-  return cmd;
-};
-
-const verify = async (contract: any) => {
-  if (!contract || !contract.contractName || !contract.contractAddress)
-    return Promise.resolve({ stderr: "missing contract name and address" });
-
-  try {
-    log(`Contract: ${contract.contractName}@${contract.contractAddress}`);
-    const cmd = buildCommand(contract);
-    log(cmd);
-    const { stderr, stdout } = await exec(cmd);
-    if (stderr) {
-      error(`${stderr}`);
-      return Promise.reject({ stderr });
-    }
-    if (stdout) log(stdout);
-  } catch (err) {
-    error(err);
-  }
-
-  return Promise.resolve();
+  return path.resolve(`${deployConfigs.deployedContractsDir}/${fileName}`);
 };
 
 const main = async () => {
-  const deployedContracts = await getDeployedContracts(network);
-
-  const {
-    contracts: contractConfigs,
-  } = require(`../configs/networks/${network}.config`);
+  const deployFile = await selectDeployedContractsFile(network);
+  log(`Reading deployed contracts from: ${deployFile}`);
+  const registry = loadContractRegistry(deployFile);
+  const only = getOption("--only")?.split(",");
+  if (only)
+    registry.contracts = Object.fromEntries(
+      Object.entries(registry.contracts).filter(([name]) => only.includes(name))
+    );
 
-  const verifyContracts = contractConfigs
-    .filter((c: ContractConfig) => !skipContracts.includes(c.name))
-    .map((c: ContractConfig) => {
-      return {
-        contractAddress: deployedContracts[c.name],
-        contractName: c.name,
-      };
-    });
+  const total = Object.keys(registry.contracts).length;
+  const results = await verifyContracts({
+    registry,
+    client: createExplorerClient(getExplorer(network)),
+    artifacts: new Artifacts(path.resolve("build/artifacts")),
+    skip: skipContracts,
+    onResult: (r: any, i: number) =>
+      log(
+        `[${i + 1}/${total}] ${r.name}@${r.address}: ${r.status} - ${r.message}`
+      ),
+  });
 
-  let count = 1;
-  return await verifyContracts.reduce(
-    (p: any, c: any) =>
-      p.then(async () => {
-        const r = await verify(c);
-        log(`[${count++}/${verifyContracts.length}]`);
-        await sleep(1500); // avoid rate-limit errors
-        return r;
-      }),
-    Promise.resolve(0)
-  );
+  const failed = results.filter((r: any) => r.status === "failed");
+  if (failed.length > 0)
+    throw new Error(
+      `Failed to verify ${failed.map((r: any) => r.name).join(", ")}`
+    );
 };
 
 main()
@@ -0,0 +1,163 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const {
+  fromContractConfigs,
+  buildPermissionGraph,
+  formatMermaid,
+  formatDot,
+} = require("../../utils/acl-graph-util");
+const { ContractType } = require("../../configs/contracts.config");
+
+describe("Utils - ACL Graph", () => {
+  const acls = (dao, extensions = {}) => ({ dao, extensions });
+  const contractConfigs = [
+    {
+      id: "bank",
+      name: "BankExtension",
+      enabled: true,
+      type: ContractType.Extension,
+      acls: acls([]),
+    },
+    {
+      id: "erc20-ext",
+      name: "ERC20Extension",
+      enabled: true,
+      type: ContractType.Extension,
+      acls: acls(["NEW_MEMBER"], { bank: ["INTERNAL_TRANSFER"] }),
+    },
+    {
+      id: "bank",
+      name: "BankAdapterContract",
+      enabled: true,
+      type: ContractType.Adapter,
+      acls: acls([], { bank: ["WITHDRAW", "UPDATE_TOKEN"] }),
+    },
+    {
+      id: "voting",
+      name: "VotingContract",
+      enabled: true,
+      type: ContractType.Adapter,
+      acls: acls([]),
+    },
+    {
+      id: "financing",
+      name: "FinancingContract",
+      enabled: false,
+      type: ContractType.Adapter,
+      acls: acls(["SUBMIT_PROPOSAL"]),
+    },
+  ];
+
+  it("should build the graph of the enabled contracts in the contract configs", () => {
+    const graph = buildPermissionGraph(fromContractConfigs(contractConfigs));
+    expect(graph.nodes.map((n) => [n.key, n.name, n.type])).to.be.deep.equal([
+      ["dao", "DaoRegistry", "dao"],
+      ["ext_bank", "BankExtension", "extension"],
+      ["ext_erc20_ext", "ERC20Extension", "extension"],
+      ["adapter_bank", "BankAdapterContract", "adapter"],
+      ["adapter_voting", "VotingContract", "adapter"],
+    ]);
+    expect(graph.edges).to.be.deep.equal([
+      {
+        from: "adapter_bank",
+        to: "ext_bank",
+        flags: ["WITHDRAW", "UPDATE_TOKEN"],
+        dangerous: true,
+      },
+      {
+        from: "ext_erc20_ext",
+        to: "dao",
+        flags: ["NEW_MEMBER"],
+        dangerous: false,
+      },
+      {
+        from: "ext_erc20_ext",
+        to: "ext_bank",
+        flags: ["INTERNAL_TRANSFER"],
+        dangerous: false,
+      },
+    ]);
+  });
+
+  it("should build the graph of the permission matrix of a live DAO", () => {
+    const graph = buildPermissionGraph({
+      dao: "0x0000000000000000000000000000000000000da0",
+      extensions: [{ id: "erc20-ext", name: "ERC20Extension", address: "0x2" }],
+      adapters: [
+        {
+          id: "erc20-ext",
+          name: "ERC20Extension",
+          address: "0x2",
+          acls: acls([], { bank: ["INTERNAL_TRANSFER"] }),
+        },
+        {
+          id: "managing",
+          name: "ManagingContract",
+          address: "0x3",
+          acls: acls(["REPLACE_ADAPTER"], { "erc20-ext": [] }),
+        },
+      ],
+    });
+    expect(graph.nodes.map((n) => [n.key, n.address])).to.be.deep.equal([
+      ["dao", "0x0000000000000000000000000000000000000da0"],
+      ["ext_erc20_ext", "0x2"],
+      ["ext_bank", undefined],
+      ["adapter_managing", "0x3"],
+    ]);
+    expect(graph.edges.map((e) => [e.from, e.to])).to.be.deep.equal([
+      ["ext_erc20_ext", "ext_bank"],
+      ["adapter_managing", "dao"],
+    ]);
+  });
+
+  it("should format the graph as Mermaid and DOT with the dangerous edges highlighted", () => {
+    const graph = buildPermissionGraph(fromContractConfigs(contractConfigs));
+    expect(formatMermaid(graph).split("\n")).to.be.deep.equal([
+      "graph LR",
+      '  dao{{"DaoRegistry"}}',
+      '  ext_bank[("BankExtension")]',
+      '  ext_erc20_ext[("ERC20Extension")]',
+      '  adapter_bank["BankAdapterContract"]',
+      '  adapter_voting["VotingContract"]',
+      '  adapter_bank -->|"WITHDRAW<br/>UPDATE_TOKEN"| ext_bank',
+      '  ext_erc20_ext -->|"NEW_MEMBER"| dao',
+      '  ext_erc20_ext -->|"INTERNAL_TRANSFER"| ext_bank',
+      "  linkStyle 0 stroke:#d00,stroke-width:3px,color:#d00",
+    ]);
+
+    const dot = formatDot(graph).split("\n");
+    expect(dot[0]).to.be.equal("digraph permissions {");
+    expect(dot).to.include(
+      '  "ext_bank" [label="BankExtension", shape=cylinder];'
+    );
+    expect(dot).to.include(
+      '  "adapter_bank" -> "ext_bank" [label="WITHDRAW\\nUPDATE_TOKEN", color=red, fontcolor=red, penwidth=2];'
+    );
+    expect(dot).to.include('  "ext_erc20_ext" -> "dao" [label="NEW_MEMBER"];');
+  });
+});
@@ -0,0 +1,276 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  indexBuildInfo,
+  findRequiredFlags,
+  compareAcls,
+  lintAcls,
+  formatLintReport,
+} = require("../../utils/acl-lint-util");
+const {
+  ContractType,
+  contracts: contractConfigs,
+} = require("../../configs/contracts.config");
+
+describe("Utils - ACL Lint", () => {
+  // Minimal solc AST nodes, `src` is `start:length:sourceIndex`
+  const call = (ref, line) => ({
+    nodeType: "FunctionCall",
+    expression: {
+      nodeType: "MemberAccess",
+      referencedDeclaration: ref,
+      src: `${line * 10}:5:0`,
+    },
+  });
+  const guard = (name, flag) => ({
+    nodeType: "ModifierInvocation",
+    modifierName: { nodeType: "IdentifierPath", name },
+    arguments: [{ nodeType: "Identifier", name: "dao" }].concat(
+      flag ? { nodeType: "MemberAccess", memberName: flag } : []
+    ),
+  });
+  const fn = (
+    id,
+    name,
+    { modifiers = [], calls = [], visibility = "external" } = {}
+  ) => ({
+    nodeType: "FunctionDefinition",
+    id,
+    name,
+    kind: "function",
+    visibility,
+    modifiers,
+    body: { nodeType: "Block", statements: calls },
+  });
+  const contract = (id, name, nodes, options = {}) => ({
+    nodeType: "ContractDefinition",
+    id,
+    name,
+    contractKind: options.kind || "contract",
+    linearizedBaseContracts: [id].concat(options.bases || []),
+    nodes,
+  });
+
+  // The source has one line per 10 bytes, so the call at offset 10 * n is at line n + 1
+  const content = Array.from({ length: 20 }, () => "/* ... */").join("\n");
+
+  // An OnboardingContract that calls the DaoRegistry through a library,
+  // and the BankExtension directly and through a base contract.
+  // The replaceAdapter calls are only reachable in creation mode or not reachable at all.
+  const buildInfo = {
+    id: "test",
+    input: { sources: { "contracts/Test.sol": { content } } },
+    output: {
+      sources: {
+        "contracts/Test.sol": {
+          id: 0,
+          ast: {
+            nodeType: "SourceUnit",
+            nodes: [
+              contract(1, "DaoRegistry", [
+                fn(11, "potentialNewMember", {
+                  modifiers: [guard("hasAccess", "NEW_MEMBER")],
+                }),
+                fn(12, "replaceAdapter", {
+                  modifiers: [guard("hasAccess", "REPLACE_ADAPTER")],
+                }),
+                fn(13, "getAdapterAddress"),
+              ]),
+              contract(2, "BankExtension", [
+                fn(21, "addToBalance", {
+                  modifiers: [guard("hasExtensionAccess", "ADD_TO_BALANCE")],
+                }),
+                fn(22, "withdraw", {
+                  modifiers: [guard("hasExtensionAccess", "WITHDRAW")],
+                }),
+              ]),
+              contract(
+                3,
+                "DaoHelper",
+                [fn(31, "potentialNewMember", { calls: [call(11, 3)] })],
+                { kind: "library" }
+              ),
+              contract(4, "Base", [
+                fn(41, "_withdraw", {
+                  calls: [call(22, 4)],
+                  visibility: "internal",
+                }),
+              ]),
+              contract(
+                5,
+                "OnboardingContract",
+                [
+                  fn(51, "onboard", {
+                    calls: [call(31, 5), call(13, 6), call(21, 7), call(41, 8)],
+                  }),
+                  fn(52, "configureDao", {
+                    modifiers: [guard("onlyAdapter")],
+                    calls: [call(12, 9)],
+                  }),
+                  fn(53, "_unused", {
+                    calls: [call(12, 10)],
+                    visibility: "internal",
+                  }),
+                ],
+                { bases: [4] }
+              ),
+            ],
+          },
+        },
+      },
+    },
+  };
+  const targets = { DaoRegistry: "dao", BankExtension: "bank" };
+
+  it("should find the flags required by the calls through the libraries and the base contracts", () => {
+    const required = findRequiredFlags({
+      index: indexBuildInfo(buildInfo),
+      contractName: "OnboardingContract",
+      targets,
+    });
+    expect(required).to.be.deep.equal({
+      dao: {
+        NEW_MEMBER: [
+          {
+            sourceName: "contracts/Test.sol",
+            line: 4,
+            function: "DaoRegistry.potentialNewMember",
+          },
+        ],
+      },
+      bank: {
+        ADD_TO_BALANCE: [
+          {
+            sourceName: "contracts/Test.sol",
+            line: 8,
+            function: "BankExtension.addToBalance",
+          },
+        ],
+        WITHDRAW: [
+          {
+            sourceName: "contracts/Test.sol",
+            line: 5,
+            function: "BankExtension.withdraw",
+          },
+        ],
+      },
+    });
+  });
+
+  it("should report the unused, missing and unknown flags", () => {
+    const findings = compareAcls({
+      config: {
+        name: "OnboardingContract",
+        acls: {
+          dao: ["NEW_MEMBER", "REPLACE_ADAPTER"],
+          extensions: { bank: ["ADD_TO_BALANCE", "INTERNAL_TRANSFER"] },
+        },
+      },
+      required: {
+        dao: { NEW_MEMBER: [], BURN_MEMBER: [] },
+        bank: { ADD_TO_BALANCE: [], WITHDRAW: [] },
+      },
+    });
+    expect(findings.map((f) => [f.type, f.target, f.flag])).to.be.deep.equal([
+      ["unknown-flag", "dao", "BURN_MEMBER"],
+      ["unused", "dao", "REPLACE_ADAPTER"],
+      ["unused", "bank", "INTERNAL_TRANSFER"],
+      ["missing", "bank", "WITHDRAW"],
+    ]);
+  });
+
+  it("should lint the enabled adapters of the contract configs", async () => {
+    const contractConfigs = [
+      {
+        id: "bank",
+        name: "BankExtension",
+        enabled: true,
+        type: ContractType.Extension,
+        acls: { dao: [], extensions: {} },
+      },
+      {
+        id: "onboarding",
+        name: "OnboardingContract",
+        enabled: true,
+        type: ContractType.Adapter,
+        acls: {
+          dao: ["NEW_MEMBER", "SUBMIT_PROPOSAL"],
+          extensions: { bank: ["ADD_TO_BALANCE"] },
+        },
+      },
+      {
+        id: "managing",
+        name: "ManagingContract",
+        enabled: false,
+        type: ContractType.Adapter,
+        acls: { dao: ["REPLACE_ADAPTER"], extensions: {} },
+      },
+    ];
+    const artifacts = {
+      readArtifact: async (name) => ({
+        sourceName: "contracts/Test.sol",
+        contractName: name,
+      }),
+      getBuildInfo: async () => buildInfo,
+    };
+
+    const report = await lintAcls({ contractConfigs, artifacts });
+    expect(report.contracts.map((c) => c.name)).to.be.deep.equal([
+      "BankExtension",
+      "OnboardingContract",
+    ]);
+    expect(formatLintReport(report).split("\n")).to.be.deep.equal([
+      "OnboardingContract: unused DAO flag SUBMIT_PROPOSAL",
+      "OnboardingContract: missing bank flag WITHDRAW",
+      "    BankExtension.withdraw called at contracts/Test.sol:5",
+      "2 contracts linted, 2 findings",
+    ]);
+
+    const allowed = await lintAcls({
+      contractConfigs,
+      artifacts,
+      allowed: ["OnboardingContract: unused DAO flag SUBMIT_PROPOSAL"],
+    });
+    expect(allowed.findings.map((f) => f.flag)).to.be.deep.equal(["WITHDRAW"]);
+  });
+
+  it("should report the unused and missing flags of the contract configs", async () => {
+    const report = await lintAcls({
+      contractConfigs,
+      artifacts: hre.artifacts,
+    });
+    const findings = report.findings.map(
+      (f) => `${f.contract}: ${f.type} ${f.target} ${f.flag}`
+    );
+    expect(findings).to.include.members([
+      "BankAdapterContract: unused bank SUB_FROM_BALANCE",
+      "ERC20Extension: missing bank ADD_TO_BALANCE",
+    ]);
+  });
+});
@@ -0,0 +1,106 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const {
+  stripMetadata,
+  compareBytecode,
+  checkDeployedBytecode,
+} = require("../../utils/bytecode-util");
+
+describe("Utils - Bytecode", () => {
+  // A CBOR map with a fake ipfs hash, followed by its length in 2 bytes
+  const metadata = (hash) => `a26469706673${hash.repeat(34)}0028`;
+  const code = (immutable, hash) =>
+    `0x6080604052${immutable.repeat(32)}5b600080fd${metadata(hash)}`;
+  const local = {
+    bytecode: code("00", "11"),
+    immutableReferences: { 12: [{ start: 5, length: 32 }] },
+    linkReferences: {},
+  };
+
+  it("should strip the metadata appended by solc", async () => {
+    expect(stripMetadata(code("00", "11").slice(2))).to.be.equal(
+      `6080604052${"00".repeat(32)}5b600080fd`
+    );
+    expect(stripMetadata("6080604052")).to.be.equal("6080604052");
+  });
+
+  it("should ignore the immutables and the metadata hash", async () => {
+    expect(compareBytecode(code("ab", "22"), local)).to.be.deep.equal({
+      match: true,
+    });
+  });
+
+  it("should report the code that differs from the local build", async () => {
+    expect(
+      compareBytecode(code("ab", "22").replace("5b6000", "5b6001"), local)
+    ).to.be.deep.equal({
+      match: false,
+      reason: "code differs from the local build",
+    });
+    expect(compareBytecode(`0x6080${metadata("22")}`, local)).to.be.deep.equal({
+      match: false,
+      reason: "code size 2 bytes, expected 42 bytes",
+    });
+    expect(compareBytecode("0x", local).reason).to.be.equal(
+      "no code at the address"
+    );
+  });
+
+  it("should read the immutable references from the build info", async () => {
+    const artifacts = {
+      readArtifactSync: () => ({
+        sourceName: "contracts/Test.sol",
+        contractName: "Test",
+        deployedBytecode: local.bytecode,
+        deployedLinkReferences: {},
+      }),
+      getBuildInfo: async () => ({
+        output: {
+          contracts: {
+            "contracts/Test.sol": {
+              Test: {
+                evm: {
+                  deployedBytecode: {
+                    immutableReferences: local.immutableReferences,
+                  },
+                },
+              },
+            },
+          },
+        },
+      }),
+    };
+    const result = await checkDeployedBytecode({
+      provider: { getCode: async () => code("cd", "33") },
+      artifacts,
+      contractName: "Test",
+      address: "0x0000000000000000000000000000000000000001",
+    });
+    expect(result.match).to.be.true;
+  });
+});
@@ -0,0 +1,143 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ZERO_ADDRESS } = require("../../utils/contract-util");
+const {
+  takeChainSnapshot,
+  revertChainSnapshot,
+  rejection,
+} = require("../../utils/hardhat-test-util");
+const {
+  predictCloneAddress,
+  predictCloneAddresses,
+  predictDaoAddress,
+  predictExtensionAddress,
+} = require("../../utils/clone-address-util");
+
+describe("Utils - Clone Address", () => {
+  const provider = hre.ethers.provider;
+  let owner, daoFactory, bankFactory, snapshotId;
+
+  const deploy = async (name, args = []) => {
+    const factory = await hre.ethers.getContractFactory(name);
+    const contract = await factory.deploy(...args);
+    await contract.deployed();
+    return contract;
+  };
+
+  // Reads the arguments of the event emitted by the factory for the new clone
+  const createdEvent = async (tx, eventName) => {
+    const receipt = await tx.wait();
+    return receipt.events.find((e) => e.event === eventName).args;
+  };
+
+  before("deploy factories", async () => {
+    [owner] = await hre.ethers.getSigners();
+    const daoRegistry = await deploy("DaoRegistry");
+    const bankExtension = await deploy("BankExtension");
+    daoFactory = await deploy("DaoFactory", [daoRegistry.address]);
+    bankFactory = await deploy("BankFactory", [bankExtension.address]);
+  });
+
+  beforeEach(async () => {
+    snapshotId = await takeChainSnapshot();
+  });
+
+  afterEach(async () => {
+    await revertChainSnapshot(snapshotId);
+  });
+
+  it("should be possible to compute the address of a clone from the factory nonce", async () => {
+    const factoryAddress = "0x6ac7ea33f8831ea9dcc53393aaa88b25a785dbf0";
+    expect(predictCloneAddress(factoryAddress, 0)).to.equal(
+      "0xcd234A471b72ba2F1Ccf0A70FCABA648a5eeCD8d"
+    );
+    expect(predictCloneAddress(factoryAddress, 1)).to.equal(
+      "0x343c43A37D37dfF08AE8C4A11544c718AbB4fCF8"
+    );
+  });
+
+  it("should be possible to predict the address of a new DAO", async () => {
+    const [first, second] = await predictCloneAddresses({
+      provider,
+      factoryAddress: daoFactory.address,
+      count: 2,
+    });
+    expect(
+      await predictDaoAddress({ provider, daoFactory, daoName: "new-dao" })
+    ).to.equal(first.address);
+
+    const created = await createdEvent(
+      await daoFactory.createDao("new-dao", owner.address),
+      "DAOCreated"
+    );
+    expect(created._address).to.equal(first.address);
+    expect(await daoFactory.getDaoAddress("new-dao")).to.equal(first.address);
+    expect(
+      await predictDaoAddress({ provider, daoFactory, daoName: "other-dao" })
+    ).to.equal(second.address);
+  });
+
+  it("should be possible to predict the address of a new extension", async () => {
+    await daoFactory.createDao("bank-dao", owner.address);
+    const daoAddress = await daoFactory.getDaoAddress("bank-dao");
+    const predicted = await predictExtensionAddress({
+      provider,
+      factoryAddress: bankFactory.address,
+    });
+
+    const created = await createdEvent(
+      await bankFactory.create(daoAddress, 10),
+      "BankCreated"
+    );
+    expect(created.daoAddress).to.equal(daoAddress);
+    expect(created.extensionAddress).to.equal(predicted);
+    expect(await bankFactory.getExtensionAddress(daoAddress)).to.equal(
+      predicted
+    );
+  });
+
+  it("should not be possible to predict the address of a DAO with a taken name", async () => {
+    await daoFactory.createDao("taken-dao", owner.address);
+    const takenDao = await daoFactory.getDaoAddress("taken-dao");
+
+    expect(
+      await rejection(
+        predictDaoAddress({ provider, daoFactory, daoName: "taken-dao" })
+      )
+    ).to.equal(`DAO name taken-dao already taken by ${takenDao}`);
+  });
+
+  it("should not be possible to predict the clones of a factory that is not deployed", async () => {
+    expect(
+      await rejection(
+        predictCloneAddresses({ provider, factoryAddress: ZERO_ADDRESS })
+      )
+    ).to.equal(`Factory ${ZERO_ADDRESS} is not deployed`);
+  });
+});
@@ -0,0 +1,126 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const {
+  checkContractConfigs,
+  checkNetworkConfig,
+  validateNetworkConfig,
+} = require("../../utils/contract-config-schema-util");
+const { ContractType } = require("../../configs/contracts.config");
+const { entryBank } = require("../../utils/access-control-util");
+
+describe("Utils - Contract Config Schema", () => {
+  const networksDir = path.resolve(__dirname, "../../configs/networks");
+
+  const bank = {
+    id: "bank",
+    name: "BankExtension",
+    alias: "bankExt",
+    path: "../../contracts/extensions/bank/BankExtension",
+    enabled: true,
+    version: "1.0.0",
+    type: ContractType.Extension,
+    buildAclFlag: entryBank,
+    acls: { dao: [], extensions: {} },
+  };
+  const ragequit = {
+    id: "ragequit",
+    name: "RagequitContract",
+    alias: "ragequit",
+    path: "../../contracts/adapters/RagequitContract",
+    enabled: true,
+    version: "1.0.0",
+    type: ContractType.Adapter,
+    acls: {
+      dao: ["JAIL_MEMBER"],
+      extensions: { bank: ["INTERNAL_TRANSFER"] },
+    },
+    daoConfigs: [["daoAddress", "bank", "votingPeriod"]],
+  };
+
+  it("should validate the contract configs of every network", () => {
+    const problems = fs
+      .readdirSync(networksDir)
+      .filter((file) => file.endsWith(".config.ts"))
+      .flatMap((file) =>
+        checkNetworkConfig(
+          file.replace(".config.ts", ""),
+          require(path.join(networksDir, file))
+        )
+      );
+    expect(problems).to.be.deep.equal([]);
+    expect(
+      checkContractConfigs(require("../../configs/contracts.config").contracts)
+    ).to.be.deep.equal([]);
+  });
+
+  it("should report the problems of each contract config entry", () => {
+    expect(
+      checkContractConfigs([
+        { ...bank, buildAclFlag: undefined, version: "1.0" },
+        {
+          ...ragequit,
+          path: "../../contracts/adapters/Ragequit",
+          acls: {
+            dao: ["JAIL_MEMBER", "BURN_MEMBER"],
+            extensions: { bank: ["TRANSFER"], vault: [] },
+          },
+          daoConfigs: [["daoAddress"], ["daoAddress", "votingPeriods"]],
+        },
+        { ...ragequit, name: "GuildKickContract", path: "../../contracts/x" },
+      ])
+    ).to.be.deep.equal([
+      "contracts[0] BankExtension: version: must be a semantic version, e.g: 1.0.0, got 1.0",
+      "contracts[0] BankExtension: buildAclFlag: is required for extensions",
+      "contracts[1] RagequitContract: acls.dao: unknown flags BURN_MEMBER",
+      "contracts[1] RagequitContract: acls.extensions.bank: unknown flags TRANSFER",
+      "contracts[1] RagequitContract: acls.extensions: unknown extension id vault",
+      "contracts[1] RagequitContract: daoConfigs[1]: votingPeriods is not an extension id nor a deployment option",
+      "contracts[2] GuildKickContract: path: no .sol file in ../../contracts declares GuildKickContract",
+      "Duplicate contract Id detected: ragequit",
+      "Duplicate contract alias detected: ragequit",
+    ]);
+  });
+
+  it("should report the unknown contract names of a network config", () => {
+    const networkConfig = {
+      disabled: ["RagequitContract", "ProxToken"],
+      contracts: [bank, ragequit],
+    };
+    expect(checkNetworkConfig("rinkeby", networkConfig)).to.be.deep.equal([
+      "rinkeby config: disabled: ProxToken is not a known contract name",
+    ]);
+    expect(() => validateNetworkConfig("rinkeby", networkConfig)).to.throw(
+      "rinkeby config: disabled: ProxToken is not a known contract name"
+    );
+    expect(
+      validateNetworkConfig("rinkeby", { ...networkConfig, disabled: [] })
+    ).to.be.deep.equal({ ...networkConfig, disabled: [] });
+  });
+});
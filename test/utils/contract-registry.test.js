@@ -0,0 +1,201 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  registryVersion,
+  buildContractRegistry,
+  saveContractRegistry,
+  loadContractRegistry,
+  getContract,
+  getContractAddresses,
+  loadContracts,
+} = require("../../utils/contract-registry-util");
+const { ContractType } = require("../../configs/contracts.config");
+
+describe("Utils - Contract Registry", () => {
+  const daoAddress = "0x0000000000000000000000000000000000000da0";
+  const bankAddress = "0x0000000000000000000000000000000000000b0b";
+  const votingAddress = "0x0000000000000000000000000000000000000001";
+  const managingAddress = "0x0000000000000000000000000000000000000002";
+  const abi = ["function getConfiguration(bytes32) view returns (uint256)"];
+
+  const contractConfigs = [
+    { id: "dao-registry", name: "DaoRegistry", type: ContractType.Core },
+    { id: "dao-factory", name: "DaoFactory", type: ContractType.Factory },
+    {
+      id: "bank",
+      name: "BankFactory",
+      type: ContractType.Factory,
+      generatesExtensionId: "bank",
+    },
+    {
+      id: "bank",
+      name: "BankExtension",
+      version: "1.0.0",
+      type: ContractType.Extension,
+    },
+    {
+      id: "voting",
+      name: "VotingContract",
+      alias: "voting",
+      version: "1.0.0",
+      type: ContractType.Adapter,
+    },
+    {
+      id: "managing",
+      name: "ManagingContract",
+      alias: "managing",
+      version: "1.0.1",
+      type: ContractType.Adapter,
+    },
+  ];
+  const config = (name) => contractConfigs.find((c) => c.name === name);
+
+  const journal = {
+    steps: {
+      "createDao:test": { hash: "0x01", address: daoAddress },
+      "createExtension:bank": { hash: "0x02", address: bankAddress },
+      // Restored by a previous run
+      "deploy:VotingContract": {
+        hash: "0x03",
+        address: votingAddress,
+        args: ["10"],
+      },
+      "deploy:ManagingContract": {
+        address: managingAddress,
+        attachedFrom: "DaoArtifacts",
+      },
+    },
+  };
+
+  const provider = { getCode: async (address) => `0x60${address.slice(-2)}` };
+  const artifacts = { readArtifactSync: () => ({ abi }) };
+
+  const buildRegistry = () =>
+    buildContractRegistry({
+      network: "rinkeby",
+      chainId: 4,
+      version: "2.4.0",
+      daoName: "test",
+      owner: "0x0000000000000000000000000000000000000123",
+      dao: { address: daoAddress },
+      contracts: [
+        { address: bankAddress, configs: config("BankExtension") },
+        {
+          address: votingAddress,
+          configs: config("VotingContract"),
+          constructorArgs: [ethers.BigNumber.from(10)],
+          deployTransaction: { hash: "0x04" },
+        },
+        { address: managingAddress, configs: config("ManagingContract") },
+      ],
+      contractConfigs,
+      journal,
+      provider,
+      artifacts,
+    });
+
+  it("should build a registry entry for each contract", async () => {
+    const registry = await buildRegistry();
+    expect(registry.registryVersion).to.be.equal(registryVersion);
+    expect(registry.chainId).to.be.equal(4);
+    expect(registry.daoAddress).to.be.equal(daoAddress);
+    expect(Object.keys(registry.contracts)).to.be.deep.equal([
+      "DaoRegistry",
+      "BankExtension",
+      "VotingContract",
+      "ManagingContract",
+    ]);
+
+    const { DaoRegistry, BankExtension, VotingContract, ManagingContract } =
+      registry.contracts;
+    expect(DaoRegistry.type).to.be.equal("Core");
+    expect(DaoRegistry.transactionHash).to.be.equal("0x01");
+    expect(DaoRegistry.createdBy).to.be.equal("DaoFactory");
+    expect(BankExtension.transactionHash).to.be.equal("0x02");
+    expect(BankExtension.createdBy).to.be.equal("BankFactory");
+    expect(VotingContract).to.be.deep.include({
+      alias: "voting",
+      type: "Adapter",
+      version: "1.0.0",
+      abi,
+      bytecodeHash: ethers.utils.keccak256("0x6001"),
+      constructorArgs: ["10"],
+      transactionHash: "0x04",
+      attached: false,
+    });
+    expect(ManagingContract).to.be.deep.include({
+      constructorArgs: [],
+      transactionHash: undefined,
+      attached: true,
+      attachedFrom: "DaoArtifacts",
+    });
+  });
+
+  it("should load the contracts of a saved registry", async () => {
+    const file = path.join(os.tmpdir(), `contracts-${Date.now()}.json`);
+    saveContractRegistry(await buildRegistry(), file);
+    try {
+      const registry = loadContractRegistry(file);
+      expect(getContract(registry, "voting").address).to.be.equal(
+        votingAddress
+      );
+      const contracts = loadContracts({ file });
+      expect(contracts.BankExtension.address).to.be.equal(bankAddress);
+      expect(contracts.VotingContract.getConfiguration).to.be.a("function");
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it("should load the legacy address files without ABI", async () => {
+    const file = path.join(os.tmpdir(), `contracts-legacy-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify({ DaoRegistry: daoAddress }));
+    try {
+      const registry = loadContractRegistry(file);
+      expect(registry.registryVersion).to.be.equal(0);
+      expect(getContractAddresses(registry)).to.be.deep.equal({
+        DaoRegistry: daoAddress,
+      });
+      expect(() => getContract(registry, "DaoRegistry")).to.throw(
+        "Missing ABI of DaoRegistry"
+      );
+      expect(
+        getContract(registry, "DaoRegistry", null, abi).address
+      ).to.be.equal(daoAddress);
+      expect(() => getContract(registry, "BankExtension")).to.throw(
+        "Contract BankExtension not found in the registry"
+      );
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
@@ -0,0 +1,165 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { sha3, toBN, ZERO_ADDRESS } = require("../../utils/contract-util");
+const {
+  entryDao,
+  entryBank,
+  decodeFlags,
+  decodeDaoFlags,
+  decodeExtensionFlags,
+  daoAccessFlags,
+} = require("../../utils/access-control-util");
+const {
+  readAclMatrix,
+  formatAclTable,
+  formatAclCsv,
+} = require("../../utils/dao-acl-util");
+const {
+  getAccounts,
+  deployDefaultDao,
+  takeChainSnapshot,
+  revertChainSnapshot,
+} = require("../../utils/hardhat-test-util");
+const {
+  contracts: contractConfigs,
+} = require("../../configs/networks/test.config");
+
+describe("Utils - DAO ACL", () => {
+  const managingAddress = "0x0000000000000000000000000000000000000003";
+
+  const acls = {
+    dao: ["REPLACE_ADAPTER", "NEW_MEMBER"],
+    extensions: { bank: ["SUB_FROM_BALANCE", "WITHDRAW"] },
+  };
+
+  it("should decode the flag values encoded from the flag names", () => {
+    expect(
+      decodeDaoFlags(entryDao("managing", managingAddress, acls).flags)
+    ).to.be.deep.equal(["REPLACE_ADAPTER", "NEW_MEMBER"]);
+    expect(
+      decodeExtensionFlags("bank", entryBank(managingAddress, acls).flags)
+    ).to.be.deep.equal(["SUB_FROM_BALANCE", "WITHDRAW"]);
+    expect(decodeDaoFlags(toBN(0))).to.be.deep.equal([]);
+  });
+
+  it("should name the unknown flags by their index", () => {
+    expect(decodeFlags(["A", "B"], "0x205")).to.be.deep.equal([
+      "A",
+      "UNKNOWN_FLAG_2",
+      "UNKNOWN_FLAG_9",
+    ]);
+    expect(() => decodeExtensionFlags("unknown", 1)).to.throw(
+      "Unknown extension id: unknown"
+    );
+  });
+
+  describe("deployed DAO", () => {
+    let dao, snapshotId;
+
+    before("deploy dao", async () => {
+      const [owner] = await getAccounts();
+      // The DAO is not finalized, so the owner can remove its adapters
+      const { dao: daoRegistry } = await deployDefaultDao({
+        owner,
+        finalize: false,
+      });
+      dao = await hre.ethers.getContractAt("DaoRegistry", daoRegistry.address);
+    });
+
+    beforeEach(async () => {
+      snapshotId = await takeChainSnapshot();
+    });
+
+    afterEach(async () => {
+      await revertChainSnapshot(snapshotId);
+    });
+
+    it("should read the flags granted to each adapter by the deployment", async () => {
+      const matrix = await readAclMatrix({ dao, contractConfigs });
+
+      expect(matrix.extensions.map((e) => e.name)).to.include.members([
+        "BankExtension",
+        "NFTExtension",
+      ]);
+      expect(matrix.adapters.map((a) => a.name)).to.include.members([
+        "RagequitContract",
+        "ManagingContract",
+      ]);
+      matrix.adapters.forEach((adapter) => {
+        const config = contractConfigs.find((c) => c.name === adapter.name);
+        expect(adapter.acls.dao, adapter.name).to.have.members(config.acls.dao);
+        Object.entries(adapter.acls.extensions).forEach(([id, flags]) =>
+          expect(flags, `${adapter.name} ${id}`).to.have.members(
+            config.acls.extensions[id] || []
+          )
+        );
+      });
+
+      const ragequit = matrix.adapters.find(
+        (a) => a.name === "RagequitContract"
+      );
+      expect(ragequit.acl).to.be.equal(
+        (2 ** daoAccessFlags.indexOf("JAIL_MEMBER")).toString()
+      );
+    });
+
+    it("should not list the adapters removed from the DAO", async () => {
+      await dao.replaceAdapter(sha3("ragequit"), ZERO_ADDRESS, 0, [], []);
+
+      const matrix = await readAclMatrix({ dao, contractConfigs });
+      expect(matrix.adapters.map((a) => a.name)).to.not.include(
+        "RagequitContract"
+      );
+    });
+
+    it("should format the permission matrix as a table and as CSV", async () => {
+      const matrix = await readAclMatrix({ dao, contractConfigs });
+      const ragequit = matrix.adapters.find(
+        (a) => a.name === "RagequitContract"
+      );
+      const columns = ["DaoRegistry"].concat(
+        matrix.extensions.map((e) => e.name)
+      );
+
+      const csv = formatAclCsv(matrix).split("\n");
+      expect(csv[0]).to.be.equal(`Adapter,Address,${columns.join(",")}`);
+      const row = csv.find((line) => line.startsWith("RagequitContract,"));
+      expect(row.split(",").slice(0, 3)).to.be.deep.equal([
+        "RagequitContract",
+        ragequit.address,
+        "JAIL_MEMBER",
+      ]);
+      const table = formatAclTable(matrix).split("\n");
+      expect(table[2]).to.match(/^Adapter +\| Address +\| DaoRegistry +\| /);
+      expect(
+        table.find((line) => line.startsWith("RagequitContract "))
+      ).to.match(/\| JAIL_MEMBER +\| /);
+    });
+  });
+});
@@ -0,0 +1,271 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { sha3 } = require("../../utils/contract-util");
+const {
+  toArtifactVersion,
+  buildArtifacts,
+  publishArtifacts,
+  listArtifacts,
+  findMissingArtifacts,
+  findArtifactsDrift,
+} = require("../../utils/dao-artifacts-util");
+const { ContractType } = require("../../configs/contracts.config");
+
+describe("Utils - DaoArtifacts Catalog", () => {
+  const address = (i) =>
+    hre.ethers.utils.getAddress(`0x${i.toString(16).padStart(40, "0")}`);
+
+  const contractConfigs = [
+    { name: "BankFactory", version: "1.0.0", type: ContractType.Factory },
+    { name: "BankExtension", version: "1.0.0", type: ContractType.Extension },
+    { name: "VotingContract", version: "1.0.0", type: ContractType.Adapter },
+    { name: "ManagingContract", version: "1.0.1", type: ContractType.Adapter },
+    { name: "Multicall", version: "1.0.0", type: ContractType.Util },
+    { name: "TestToken1", version: "1.0.0", type: ContractType.Test },
+  ].map((c) => ({ ...c, enabled: true }));
+
+  let daoArtifacts, signers;
+
+  beforeEach(async () => {
+    signers = await hre.ethers.getSigners();
+    const DaoArtifacts = await hre.ethers.getContractFactory("DaoArtifacts");
+    daoArtifacts = await DaoArtifacts.deploy();
+    await daoArtifacts.deployed();
+  });
+
+  // `addArtifact` registers the artifact of the sender
+  const addArtifact = async (signer, name, version, artifactAddress, type) => {
+    const tx = await daoArtifacts
+      .connect(signer)
+      .addArtifact(
+        sha3(name),
+        toArtifactVersion(version),
+        artifactAddress,
+        type
+      );
+    return tx.wait();
+  };
+
+  it("should build the artifacts of the Factory, Adapter and Util contracts", async () => {
+    const registry = {
+      contracts: {
+        BankFactory: { address: address(1) },
+        BankExtension: { address: address(2) },
+        VotingContract: { address: address(3) },
+        Multicall: { address: address(4) },
+        TestToken1: { address: address(5) },
+      },
+    };
+    const owner = signers[0].address;
+    const { artifacts, missing } = buildArtifacts({
+      contractConfigs,
+      registry,
+      owner,
+    });
+    expect(artifacts.map((a) => a._address)).to.be.deep.equal([
+      address(1),
+      address(3),
+      address(4),
+    ]);
+    expect(artifacts[1]).to.be.deep.equal({
+      _id: sha3("VotingContract"),
+      _owner: owner,
+      _version: toArtifactVersion("1.0.0"),
+      _address: address(3),
+      _type: ContractType.Adapter,
+    });
+    expect(missing).to.be.deep.equal(["ManagingContract"]);
+  });
+
+  it("should publish the artifacts in batches of 20", async () => {
+    const owner = signers[1].address;
+    const artifacts = Array.from({ length: 25 }, (_, i) => ({
+      _id: sha3(`Contract${i}`),
+      _owner: owner,
+      _version: toArtifactVersion("1.0.0"),
+      _address: address(i + 1),
+      _type: ContractType.Adapter,
+    }));
+    const hashes = await publishArtifacts({ daoArtifacts, artifacts });
+    expect(hashes).to.have.lengthOf(2);
+    const batches = await Promise.all(
+      hashes.map((hash) => hre.ethers.provider.getTransaction(hash))
+    );
+    expect(
+      batches.map(
+        (tx) =>
+          daoArtifacts.interface.decodeFunctionData("updateArtifacts", tx.data)
+            ._artifacts.length
+      )
+    ).to.be.deep.equal([20, 5]);
+    expect(
+      await daoArtifacts.getArtifactAddress(
+        sha3("Contract24"),
+        owner,
+        toArtifactVersion("1.0.0"),
+        ContractType.Adapter
+      )
+    ).to.be.equal(address(25));
+  });
+
+  it("should list the artifacts registered by an owner", async () => {
+    const [owner, other] = signers;
+    const voting = await addArtifact(
+      owner,
+      "VotingContract",
+      "1.0.0",
+      address(1),
+      ContractType.Adapter
+    );
+    await addArtifact(
+      other,
+      "VotingContract",
+      "1.0.0",
+      address(2),
+      ContractType.Adapter
+    );
+    const unknown = await addArtifact(
+      owner,
+      "UnknownContract",
+      "2.0.0",
+      address(3),
+      ContractType.Util
+    );
+
+    const artifacts = await listArtifacts({
+      daoArtifacts,
+      owner: owner.address,
+      contractConfigs,
+    });
+    expect(artifacts).to.be.deep.equal([
+      {
+        name: "VotingContract",
+        version: "1.0.0",
+        type: "Adapter",
+        address: address(1),
+        blockNumber: voting.blockNumber,
+        transactionHash: voting.transactionHash,
+      },
+      {
+        name: sha3("UnknownContract"),
+        version: "2.0.0",
+        type: "Util",
+        address: address(3),
+        blockNumber: unknown.blockNumber,
+        transactionHash: unknown.transactionHash,
+      },
+    ]);
+  });
+
+  it("should find the configured versions that are not registered", async () => {
+    const owner = signers[0];
+    await publishArtifacts({
+      daoArtifacts,
+      artifacts: [
+        {
+          _id: sha3("BankFactory"),
+          _owner: owner.address,
+          _version: toArtifactVersion("1.0.0"),
+          _address: address(1),
+          _type: ContractType.Factory,
+        },
+      ],
+    });
+    // Registered for an older version of the ManagingContract
+    await addArtifact(
+      owner,
+      "ManagingContract",
+      "1.0.0",
+      address(2),
+      ContractType.Adapter
+    );
+
+    const { registered, missing } = await findMissingArtifacts({
+      daoArtifacts,
+      owner: owner.address,
+      contractConfigs,
+    });
+    expect(registered).to.be.deep.equal([
+      {
+        name: "BankFactory",
+        version: "1.0.0",
+        type: "Factory",
+        address: address(1),
+      },
+    ]);
+    expect(missing.map((a) => `${a.name}@${a.version}`)).to.be.deep.equal([
+      "VotingContract@1.0.0",
+      "ManagingContract@1.0.1",
+      "Multicall@1.0.0",
+    ]);
+  });
+
+  it("should report the registered artifacts that differ from the local build", async () => {
+    const owner = signers[0];
+    await addArtifact(
+      owner,
+      "BankFactory",
+      "1.0.0",
+      address(1),
+      ContractType.Factory
+    );
+    await addArtifact(
+      owner,
+      "VotingContract",
+      "1.0.0",
+      address(2),
+      ContractType.Adapter
+    );
+    const artifacts = {
+      readArtifactSync: (name) => ({
+        sourceName: `contracts/${name}.sol`,
+        contractName: name,
+        deployedBytecode: "0x6080604052",
+        deployedLinkReferences: {},
+      }),
+      getBuildInfo: async () => undefined,
+    };
+    const provider = {
+      getCode: async (artifactAddress) =>
+        artifactAddress === address(1) ? "0x6080604052" : "0x6080604053",
+    };
+
+    const report = await findArtifactsDrift({
+      daoArtifacts,
+      owner: owner.address,
+      contractConfigs,
+      provider,
+      artifacts,
+    });
+    expect(report.map((a) => [a.name, a.match, a.reason])).to.be.deep.equal([
+      ["BankFactory", true, undefined],
+      ["VotingContract", false, "code differs from the local build"],
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { sha3, ZERO_ADDRESS } = require("../../utils/contract-util");
+const { daoAccessFlags } = require("../../utils/access-control-util");
+const {
+  getAccounts,
+  deployDefaultDao,
+  getDefaultOptions,
+  takeChainSnapshot,
+  revertChainSnapshot,
+} = require("../../utils/hardhat-test-util");
+const { auditDao } = require("../../utils/dao-audit-util");
+const {
+  contracts: contractConfigs,
+} = require("../../configs/networks/test.config");
+
+describe("Utils - DAO Audit", () => {
+  let dao, options, snapshotId;
+
+  before("deploy dao", async () => {
+    const [owner] = await getAccounts();
+    // The DAO is not finalized, so the owner can change its adapters and configurations
+    const { dao: daoRegistry, wethContract } = await deployDefaultDao({
+      owner,
+      finalize: false,
+    });
+    dao = await hre.ethers.getContractAt("DaoRegistry", daoRegistry.address);
+    options = { ...getDefaultOptions({ owner }), weth: wethContract.address };
+  });
+
+  beforeEach(async () => {
+    snapshotId = await takeChainSnapshot();
+  });
+
+  afterEach(async () => {
+    await revertChainSnapshot(snapshotId);
+  });
+
+  const daoFlag = (name) => 2 ** daoAccessFlags.indexOf(name);
+
+  it("should not report any mismatch if the DAO matches the configs", async () => {
+    const report = await auditDao({ dao, contractConfigs, options });
+    expect(report.mismatches).to.be.deep.equal([]);
+
+    const ragequitConfig = contractConfigs.find(
+      (c) => c.name === "RagequitContract"
+    );
+    const ragequit = report.adapters.find((a) => a.name === "RagequitContract");
+    expect(ragequit.acls.dao).to.have.members(ragequitConfig.acls.dao);
+    expect(ragequit.acls.extensions.bank).to.have.members(
+      ragequitConfig.acls.extensions.bank
+    );
+    expect(
+      report.configs.find((c) => c.name === "voting.votingPeriod")
+    ).to.include({ expected: "10", actual: "10" });
+  });
+
+  it("should report the missing and the extra adapters", async () => {
+    const extraAddress = (await getAccounts())[5];
+    await dao.replaceAdapter(sha3("ragequit"), ZERO_ADDRESS, 0, [], []);
+    await dao.replaceAdapter(sha3("extra-adapter"), extraAddress, 0, [], []);
+
+    const report = await auditDao({ dao, contractConfigs, options });
+    expect(report.mismatches.map((m) => [m.type, m.contract])).to.be.deep.equal(
+      [
+        ["missing-adapter", "RagequitContract"],
+        ["extra-adapter", sha3("extra-adapter")],
+      ]
+    );
+  });
+
+  it("should report the wrong DAO flags", async () => {
+    const ragequitAddress = await dao.getAdapterAddress(sha3("ragequit"));
+    await dao.replaceAdapter(
+      sha3("ragequit"),
+      ragequitAddress,
+      daoFlag("REPLACE_ADAPTER"),
+      [],
+      []
+    );
+
+    const report = await auditDao({ dao, contractConfigs, options });
+    expect(
+      report.mismatches.map((m) => `${m.contract}: ${m.message}`)
+    ).to.be.deep.equal([
+      "RagequitContract: Missing DAO flags: JAIL_MEMBER",
+      "RagequitContract: Unexpected DAO flags: REPLACE_ADAPTER",
+    ]);
+  });
+
+  it("should report the unexpected config values", async () => {
+    await dao.setConfiguration(sha3("voting.votingPeriod"), 600);
+
+    const report = await auditDao({ dao, contractConfigs, options });
+    expect(report.mismatches).to.be.deep.equal([
+      {
+        type: "config",
+        contract: "VotingContract",
+        message: "Unexpected voting.votingPeriod: 600, expected 10",
+      },
+    ]);
+  });
+
+  it("should not compare the config values without the deployment options", async () => {
+    await dao.setConfiguration(sha3("voting.votingPeriod"), 600);
+
+    const report = await auditDao({ dao, contractConfigs });
+    expect(report.mismatches).to.be.deep.equal([]);
+    expect(
+      report.configs.find((c) => c.name === "voting.votingPeriod")
+    ).to.include({ expected: "<unknown>", actual: "600" });
+  });
+});
@@ -0,0 +1,125 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const {
+  parseSolidityIds,
+  checkDaoIds,
+  checkDaoIdsFiles,
+} = require("../../utils/dao-ids-check-util");
+
+describe("Utils - DAO Ids", () => {
+  const daoHelperSource = `
+library DaoHelper {
+    // Adapters
+    bytes32 internal constant VOTING = keccak256("voting");
+    bytes32 internal constant BANK_ADAPT = keccak256("bank");
+    bytes32 internal constant COUPON_ONBOARDING_ADPT =
+        keccak256("coupon-onboarding");
+
+    // Extensions
+    bytes32 internal constant BANK = keccak256("bank");
+    bytes32 internal constant NFT = keccak256("nft");
+
+    // Reserved Addresses
+    address internal constant GUILD = address(0xdead);
+}`;
+  const governanceHelperSource = `
+library GovernanceHelper {
+    string public constant ROLE_PREFIX = "governance.role.";
+}`;
+  const maps = {
+    adaptersIdsMap: {
+      VOTING_ADAPTER: "voting",
+      BANK_ADAPTER: "bank",
+      COUPON_ONBOARDING_ADAPTER: "coupon-onboarding",
+    },
+    extensionsIdsMap: { BANK_EXT: "bank", ERC721_EXT: "nft" },
+    governanceRoles: { ONLY_GOVERNOR: "governance.role.$contractAddress" },
+  };
+  const check = (changes) =>
+    checkDaoIds({
+      daoHelperSource,
+      governanceHelperSource,
+      ...maps,
+      ...changes,
+    }).map((f) => f.message);
+
+  // Skipped until the ids are fixed: DaoHelper.sol and dao-ids-util.ts both declare
+  // the erc20-transfer-strategy id twice, and DaoHelper.sol does not declare the
+  // kyc-onboarding and manager ids.
+  it.skip("should match the ids of DaoHelper.sol and GovernanceHelper.sol", () => {
+    expect(checkDaoIdsFiles().map((f) => f.message)).to.be.deep.equal([]);
+  });
+
+  it("should parse the ids of each section of DaoHelper.sol", () => {
+    expect(parseSolidityIds(daoHelperSource)).to.be.deep.equal({
+      adapters: [
+        { name: "VOTING", value: "voting" },
+        { name: "BANK_ADAPT", value: "bank" },
+        { name: "COUPON_ONBOARDING_ADPT", value: "coupon-onboarding" },
+      ],
+      extensions: [
+        { name: "BANK", value: "bank" },
+        { name: "NFT", value: "nft" },
+      ],
+    });
+    expect(check({})).to.be.deep.equal([]);
+  });
+
+  it("should report the mismatched, missing and duplicated ids", () => {
+    expect(
+      check({
+        adaptersIdsMap: {
+          VOTING_ADAPTER: "offchain-voting",
+          BANK_ADAPTER: "bank",
+          TRANSFER_STRATEGY_ADAPTER: "erc20-transfer-strategy",
+          ERC20_TRANSFER_STRATEGY_ADAPTER: "erc20-transfer-strategy",
+        },
+      })
+    ).to.be.deep.equal([
+      'VOTING is "voting" in DaoHelper.sol, but VOTING_ADAPTER is "offchain-voting" in dao-ids-util.ts',
+      'COUPON_ONBOARDING_ADPT ("coupon-onboarding") of DaoHelper.sol is missing in dao-ids-util.ts',
+      'TRANSFER_STRATEGY_ADAPTER ("erc20-transfer-strategy") of dao-ids-util.ts is missing in DaoHelper.sol',
+      'ERC20_TRANSFER_STRATEGY_ADAPTER ("erc20-transfer-strategy") of dao-ids-util.ts is missing in DaoHelper.sol',
+      'TRANSFER_STRATEGY_ADAPTER, ERC20_TRANSFER_STRATEGY_ADAPTER share the value "erc20-transfer-strategy" in dao-ids-util.ts',
+    ]);
+  });
+
+  it("should report the governance roles that do not match the role prefix", () => {
+    expect(
+      check({
+        governanceRoles: {
+          ONLY_GOVERNOR: "governance.roles.$contractAddress",
+          ONLY_MAINTAINER: "maintainer.role.$contractAddress",
+        },
+      })
+    ).to.be.deep.equal([
+      'ONLY_GOVERNOR is "governance.roles.$contractAddress" in governance-util.ts, but the ROLE_PREFIX of GovernanceHelper.sol expects "governance.role.$contractAddress"',
+      'ONLY_MAINTAINER is "maintainer.role.$contractAddress" in governance-util.ts, but the ROLE_PREFIX of GovernanceHelper.sol expects "governance.role.$contractAddress"',
+    ]);
+  });
+});
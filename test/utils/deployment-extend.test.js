@@ -0,0 +1,170 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const { sha3 } = require("../../utils/contract-util");
+const { extendDao } = require("../../utils/deployment-util");
+const { contracts } = require("../../configs/contracts.config");
+const { rejection } = require("../../utils/hardhat-test-util");
+
+describe("Utils - Extend DAO", () => {
+  const daoAddress = "0x0000000000000000000000000000000000000da0";
+  const bankAddress = "0x0000000000000000000000000000000000000b0b";
+  const nftAddress = "0x0000000000000000000000000000000000000721";
+  const erc1155Address = "0x0000000000000000000000000000000000001155";
+
+  // The DAO and its factories only record the transactions they receive
+  const createOptions = ({ state = 0 } = {}) => {
+    const sent = [];
+    const record =
+      (name) =>
+      async (...args) => {
+        sent.push(name);
+        return { hash: `0x${sent.length}`, wait: async () => ({}), args };
+      };
+    const daoExtensions = {
+      [sha3("bank")]: bankAddress,
+      [sha3("nft")]: nftAddress,
+    };
+    const dao = {
+      address: daoAddress,
+      state: async () => state,
+      getExtensionAddress: async (id) => {
+        if (!daoExtensions[id]) throw new Error("extension not found");
+        return daoExtensions[id];
+      },
+      getAdapterAddress: async () => {
+        throw new Error("adapter not found");
+      },
+      "addExtension(bytes32,address)": record("addExtension"),
+      setAddressConfiguration: record("setAddressConfiguration"),
+    };
+    const daoFactory = {
+      addAdapters: async (_, adapters) =>
+        record(`addAdapters:${adapters.map((a) => a.id).join(",")}`)(),
+      configureExtension: async (_, extension) =>
+        record(`configureExtension:${extension}`)(),
+    };
+    const interfaces = contracts.reduce(
+      (all, c) => ({ ...all, [c.name]: { contractName: c.name } }),
+      {}
+    );
+    const deployed = [];
+
+    return {
+      sent,
+      deployed,
+      options: {
+        ...interfaces,
+        contractConfigs: contracts,
+        daoAddress,
+        owner: "0x0000000000000000000000000000000000000123",
+        attachFunction: async (contractInterface, address) =>
+          contractInterface.contractName === "DaoRegistry" ? dao : { address },
+        deployFunction: async (contractInterface) => {
+          const name = contractInterface.contractName;
+          deployed.push(name);
+          const configs = contracts.find((c) => c.name === name);
+          if (name === "DaoFactory") return { ...daoFactory, configs };
+          if (name === "ERC1155TokenCollectionFactory")
+            return {
+              configs,
+              create: async () => ({
+                hash: "0x1155",
+                wait: async () => ({
+                  events: [{ args: [daoAddress, erc1155Address] }],
+                }),
+              }),
+            };
+          return {
+            configs,
+            address: `0x${name.length.toString().padStart(40, "0")}`,
+            configureDao: record(`configureDao:${name}`),
+          };
+        },
+      },
+    };
+  };
+
+  it("should only deploy and configure the selected contracts", async () => {
+    const { options, sent, deployed } = createOptions();
+    const result = await extendDao({
+      ...options,
+      contracts: ["ERC1155TokenExtension", "LendNFTContract"],
+    });
+
+    expect(deployed).to.be.deep.equal([
+      "DaoFactory",
+      "ERC1155TokenCollectionFactory",
+      "LendNFTContract",
+    ]);
+    expect(Object.keys(result.existingExtensions)).to.have.members([
+      "bankExt",
+      "erc721Ext",
+    ]);
+    expect(result.extensions.erc1155Ext.address).to.be.equal(erc1155Address);
+    expect(sent).to.have.members([
+      "addExtension",
+      `addAdapters:${sha3("lend-nft")}`,
+      "configureDao:LendNFTContract",
+      `configureExtension:${bankAddress}`,
+      `configureExtension:${nftAddress}`,
+      `configureExtension:${erc1155Address}`,
+    ]);
+  });
+
+  it("should not be possible to add contracts to a finalized DAO", async () => {
+    const { options } = createOptions({ state: 1 });
+    const message = await rejection(
+      extendDao({ ...options, contracts: ["LendNFTContract"] })
+    );
+    expect(message).to.be.equal(
+      `DAO ${daoAddress} is finalized, use a proposal to add adapters`
+    );
+  });
+
+  it("should not be possible to add an extension twice", async () => {
+    const { options } = createOptions();
+    const message = await rejection(
+      extendDao({ ...options, contracts: ["BankExtension"] })
+    );
+    expect(message).to.be.equal(
+      `BankExtension was already added to DAO ${daoAddress}`
+    );
+  });
+
+  it("should only add enabled adapters and extensions", async () => {
+    const { options } = createOptions();
+    const add = (name) =>
+      rejection(extendDao({ ...options, contracts: [name] }));
+    expect(await add("UnknownContract")).to.be.equal(
+      "UnknownContract contract not found in contract configs"
+    );
+    expect(await add("BankFactory")).to.be.equal(
+      "BankFactory is not an adapter or extension that can be added"
+    );
+  });
+});
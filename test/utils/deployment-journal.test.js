@@ -0,0 +1,197 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const fs = require("fs");
+const { expect } = require("chai");
+const { createJournal } = require("../../utils/checkpoint-util");
+
+describe("Utils - Deployment Journal", () => {
+  const daoAddress = "0x0000000000000000000000000000000000000002";
+  const minedTxs = {};
+  const provider = {
+    getTransactionReceipt: async (hash) =>
+      minedTxs[hash] ? { status: minedTxs[hash] } : null,
+    getCode: async (address) => (address === daoAddress ? "0x60" : "0x"),
+    getTransaction: async (hash) => (hash in minedTxs ? { hash } : null),
+    waitForTransaction: async (hash) => ({
+      status: minedTxs[hash],
+      contractAddress: null,
+    }),
+  };
+  const stopped = (journal, stepId, hash) =>
+    journal
+      .step(stepId, async (sent) => {
+        if (hash) sent(hash);
+        throw new Error("Deployment stopped");
+      })
+      .catch(() => undefined);
+
+  const journalFile = createJournal("journal-test", "test dao", provider).file;
+  afterEach(() => {
+    if (fs.existsSync(journalFile)) fs.unlinkSync(journalFile);
+  });
+
+  it("should be possible to record the completed deployment steps", async () => {
+    const journal = createJournal("journal-test", "test dao", provider);
+    minedTxs["0x01"] = 1;
+    const entry = await journal.step("createDao:test dao", async () => ({
+      hash: "0x01",
+      address: daoAddress,
+    }));
+
+    expect(entry.address).to.be.equal(daoAddress);
+    const saved = JSON.parse(fs.readFileSync(journal.file, "utf-8"));
+    expect(saved["createDao:test dao"].hash).to.be.equal("0x01");
+  });
+
+  it("should skip the steps that were completed in a previous run", async () => {
+    minedTxs["0x02"] = 1;
+    await createJournal("journal-test", "test dao", provider).step(
+      "configureDao:Voting:0",
+      async () => ({ hash: "0x02" })
+    );
+
+    let executed = false;
+    const entry = await createJournal(
+      "journal-test",
+      "test dao",
+      provider
+    ).step("configureDao:Voting:0", async () => {
+      executed = true;
+      return { hash: "0x03" };
+    });
+    expect(executed).to.be.false;
+    expect(entry.hash).to.be.equal("0x02");
+  });
+
+  it("should run the step again if the recorded tx failed on-chain", async () => {
+    minedTxs["0x04"] = 0;
+    await createJournal("journal-test", "test dao", provider).step(
+      "finalizeDao",
+      async () => ({ hash: "0x04" })
+    );
+
+    minedTxs["0x05"] = 1;
+    const entry = await createJournal(
+      "journal-test",
+      "test dao",
+      provider
+    ).step("finalizeDao", async () => ({ hash: "0x05" }));
+    expect(entry.hash).to.be.equal("0x05");
+  });
+
+  it("should wait for the tx of a step that was sent in a previous run", async () => {
+    await stopped(
+      createJournal("journal-test", "test dao", provider),
+      "configureDao:Voting:0",
+      "0x07"
+    );
+    expect(
+      JSON.parse(fs.readFileSync(journalFile, "utf-8"))["configureDao:Voting:0"]
+    ).to.include({ pending: true, hash: "0x07" });
+
+    minedTxs["0x07"] = 1;
+    let executed = false;
+    const journal = createJournal("journal-test", "test dao", provider);
+    const entry = await journal.step("configureDao:Voting:0", async () => {
+      executed = true;
+      return { hash: "0x08" };
+    });
+    expect(executed).to.be.false;
+    expect(entry.hash).to.be.equal("0x07");
+    expect(journal.steps["configureDao:Voting:0"].pending).to.be.undefined;
+  });
+
+  it("should resume a pending step from the state of the chain", async () => {
+    await stopped(
+      createJournal("journal-test", "test dao", provider),
+      "createDao:test dao"
+    );
+
+    let executed = false;
+    const entry = await createJournal(
+      "journal-test",
+      "test dao",
+      provider
+    ).step(
+      "createDao:test dao",
+      async () => {
+        executed = true;
+        return { hash: "0x09" };
+      },
+      async () => ({ address: daoAddress })
+    );
+    expect(executed).to.be.false;
+    expect(entry.address).to.be.equal(daoAddress);
+  });
+
+  it("should run a pending step again if it was not completed on-chain", async () => {
+    await stopped(
+      createJournal("journal-test", "test dao", provider),
+      "finalizeDao",
+      "0x10"
+    );
+
+    minedTxs["0x11"] = 1;
+    const entry = await createJournal(
+      "journal-test",
+      "test dao",
+      provider
+    ).step(
+      "finalizeDao",
+      async () => ({ hash: "0x11" }),
+      async () => undefined
+    );
+    expect(entry.hash).to.be.equal("0x11");
+  });
+
+  it("should start a new journal once the completed one is archived", async () => {
+    minedTxs["0x06"] = 1;
+    const journal = createJournal("journal-test", "test dao", provider);
+    await journal.step("finalizeDao", async () => ({ hash: "0x06" }));
+
+    const archived = journal.archive();
+    try {
+      expect(fs.existsSync(journal.file)).to.be.false;
+      expect(JSON.parse(fs.readFileSync(archived, "utf-8"))).to.have.key(
+        "finalizeDao"
+      );
+      expect(
+        createJournal("journal-test", "test dao", provider).steps
+      ).to.be.deep.equal({});
+    } finally {
+      fs.unlinkSync(archived);
+    }
+  });
+
+  it("should only keep the ganache and hardhat journals in memory", async () => {
+    ["ganache", "hardhat"].forEach((network) => {
+      const journal = createJournal(network, "test dao", provider);
+      expect(journal.file).to.be.undefined;
+      expect(journal.archive()).to.be.undefined;
+    });
+  });
+});
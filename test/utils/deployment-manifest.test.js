@@ -0,0 +1,192 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { UNITS, ZERO_ADDRESS } = require("../../utils/contract-util");
+const {
+  interpolate,
+  loadDeploymentManifest,
+  loadBatchManifests,
+  resolveDeploymentOptions,
+} = require("../../utils/deployment-manifest-util");
+
+describe("Utils - Deployment Manifest", () => {
+  const env = {
+    DAO_NAME: "test-dao",
+    DAO_OWNER_ADDR: "0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1",
+    ERC20_TOKEN_NAME: "Test Token",
+    ERC20_TOKEN_SYMBOL: "TTK",
+    ERC20_TOKEN_DECIMALS: "0",
+  };
+
+  it("should be possible to interpolate env vars with default values", async () => {
+    expect(interpolate("${DAO_NAME}", env, "daoName")).to.be.equal("test-dao");
+    expect(interpolate("${KYC_SIGNER_ADDR:-${DAO_OWNER_ADDR}}", env)).to.equal(
+      env.DAO_OWNER_ADDR
+    );
+    expect(interpolate("${VOTING_PERIOD_SECONDS:-600}", env)).to.equal("600");
+    expect(interpolate("DAO ${DAO_NAME} v${VERSION:-1}", env)).to.equal(
+      "DAO test-dao v1"
+    );
+    expect(interpolate(100, env)).to.equal(100);
+  });
+
+  it("should not be possible to interpolate a missing env var without a default value", async () => {
+    expect(() => interpolate("${GELATO_ADDR}", env, "gelato")).to.throw(
+      "Missing env var: GELATO_ADDR (option gelato)"
+    );
+  });
+
+  it("should be possible to load the manifest of every supported network", async () => {
+    const networks = [
+      "rinkeby",
+      "goerli",
+      "ganache",
+      "test",
+      "coverage",
+      "harmonytest",
+      "polygontest",
+      "avalanchetest",
+      "avalanche",
+    ];
+    networks.forEach((network) => {
+      const manifest = loadDeploymentManifest({ network, env });
+      expect(manifest.options.daoName).to.be.equal("test-dao");
+    });
+  });
+
+  it("should override the default options with the network options", async () => {
+    const manifest = loadDeploymentManifest({
+      network: "harmony",
+      env: {
+        ...env,
+        OFFCHAIN_ADMIN_ADDR: env.DAO_OWNER_ADDR,
+        VOTING_PERIOD_SECONDS: "3600",
+        GRACE_PERIOD_SECONDS: "1800",
+        MANAGER_COUPON_SIGNER_ADDR: env.DAO_OWNER_ADDR,
+        COUPON_CREATOR_ADDR: env.DAO_OWNER_ADDR,
+        KYC_SIGNER_ADDR: env.DAO_OWNER_ADDR,
+        WETH_ADDR: "0xcF664087a5bB0237a0BAd6742852ec6c8d69A27a",
+      },
+    });
+    expect(manifest.options.deployTestTokens).to.be.false;
+    expect(manifest.options.votingPeriod).to.be.equal("3600");
+    expect(manifest.options.kycMaxMembers).to.be.equal("99");
+    expect(manifest.options.weth).to.be.equal(
+      "0xcF664087a5bB0237a0BAd6742852ec6c8d69A27a"
+    );
+  });
+
+  it("should not be possible to load the mainnet manifest with missing env vars", async () => {
+    expect(() => loadDeploymentManifest({ network: "mainnet", env })).to.throw(
+      "Missing env var"
+    );
+  });
+
+  it("should not be possible to load the manifest of an unsupported network", async () => {
+    expect(() => loadDeploymentManifest({ network: "ropsten", env })).to.throw(
+      "Missing deployment manifest"
+    );
+  });
+
+  it("should be possible to resolve the manifest directives", async () => {
+    const manifest = loadDeploymentManifest({ network: "test", env });
+    const deployed = [];
+    const options = await resolveDeploymentOptions({
+      manifest,
+      accounts: [{ address: env.DAO_OWNER_ADDR }],
+      deployFunction: async (contractInterface) => {
+        deployed.push(contractInterface.contractName);
+        return { address: "0x0000000000000000000000000000000000001234" };
+      },
+      contractImports: { WETH: { contractName: "WETH" } },
+    });
+
+    expect(deployed).to.be.deep.equal(["WETH"]);
+    expect(options.weth).to.be.equal(
+      "0x0000000000000000000000000000000000001234"
+    );
+    expect(options.owner).to.be.equal(env.DAO_OWNER_ADDR);
+    expect(options.erc20TokenAddress).to.be.equal(UNITS);
+    expect(options.kycFundTargetAddress).to.be.equal(ZERO_ADDRESS);
+  });
+
+  describe("Batch", () => {
+    const batchFile = path.resolve(os.tmpdir(), "tribute-batch-test.json");
+    const writeBatch = (daos) =>
+      fs.writeFileSync(batchFile, JSON.stringify(daos), "utf8");
+    afterEach(() => {
+      if (fs.existsSync(batchFile)) fs.unlinkSync(batchFile);
+    });
+
+    it("should be possible to override the manifest options of each DAO", async () => {
+      writeBatch([
+        { daoName: "dao-1", votingPeriod: "600" },
+        { daoName: "dao-2", erc20TokenSymbol: "DAO2" },
+      ]);
+      const manifests = loadBatchManifests({
+        network: "test",
+        file: batchFile,
+        env,
+      });
+      expect(manifests.map((m) => m.options.daoName)).to.be.deep.equal([
+        "dao-1",
+        "dao-2",
+      ]);
+      expect(manifests[0].options.votingPeriod).to.be.equal("600");
+      expect(manifests[0].options.erc20TokenSymbol).to.be.equal("TTK");
+      expect(manifests[1].options.votingPeriod).to.be.equal(10);
+      expect(manifests[1].options.erc20TokenSymbol).to.be.equal("DAO2");
+    });
+
+    it("should report the problems of all the DAOs before deploying any of them", async () => {
+      writeBatch([
+        { daoName: "dao-1", votingPerid: "600" },
+        { daoName: "dao-2" },
+        { daoName: "dao-2", owner: "${DAO_2_OWNER}" },
+      ]);
+      expect(() =>
+        loadBatchManifests({ network: "test", file: batchFile, env })
+      ).to.throw(
+        [
+          `Invalid batch file ${batchFile}:`,
+          "DAO #0: Unknown deployment options in test manifest: votingPerid",
+          "DAO #2: Missing env var: DAO_2_OWNER (option owner)",
+        ].join("\n")
+      );
+    });
+
+    it("should not be possible to deploy two DAOs with the same name", async () => {
+      writeBatch([{ daoName: "dao-1" }, { daoName: "dao-1" }]);
+      expect(() =>
+        loadBatchManifests({ network: "test", file: batchFile, env })
+      ).to.throw("Duplicate daoName: dao-1");
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { toBN } = require("../../utils/contract-util");
+const {
+  createDeploymentPlan,
+  describeTransaction,
+} = require("../../utils/deployment-plan-util");
+
+describe("Utils - Deployment Plan", () => {
+  const daoFactoryAddress = "0x0000000000000000000000000000000000000001";
+  const daoAddress = "0x0000000000000000000000000000000000000002";
+  const daoFactoryInterface = new ethers.utils.Interface([
+    "constructor(address _identityAddress)",
+    "function createDao(string daoName, address creator)",
+  ]);
+  const daoRegistryInterface = new ethers.utils.Interface([
+    "function finalizeDao()",
+  ]);
+
+  it("should be possible to describe a contract deployment", async () => {
+    const plan = createDeploymentPlan({ network: "test", gasPrice: toBN(1) });
+    plan.recordDeployment(
+      "DaoFactory",
+      daoFactoryAddress,
+      daoFactoryInterface,
+      [daoAddress]
+    );
+
+    const description = describeTransaction(plan, {
+      to: undefined,
+      contractAddress: daoFactoryAddress,
+    });
+    expect(description).to.be.equal(
+      `deploy DaoFactory(_identityAddress: ${daoAddress})`
+    );
+  });
+
+  it("should be possible to describe a contract call with the decoded arguments", async () => {
+    const plan = createDeploymentPlan({ network: "test", gasPrice: toBN(1) });
+    plan.recordDeployment("DaoFactory", daoFactoryAddress, daoFactoryInterface);
+    plan.registerContract("DaoRegistry", daoAddress, daoRegistryInterface);
+
+    expect(
+      describeTransaction(plan, {
+        to: daoFactoryAddress,
+        data: daoFactoryInterface.encodeFunctionData("createDao", [
+          "test-dao",
+          daoAddress,
+        ]),
+      })
+    ).to.be.equal(
+      `DaoFactory.createDao(daoName: test-dao, creator: ${daoAddress})`
+    );
+
+    expect(
+      describeTransaction(plan, {
+        to: daoAddress,
+        data: daoRegistryInterface.encodeFunctionData("finalizeDao"),
+      })
+    ).to.be.equal("DaoRegistry.finalizeDao()");
+  });
+
+  it("should keep track of the contracts attached from the DaoArtifacts", async () => {
+    const plan = createDeploymentPlan({ network: "test", gasPrice: toBN(1) });
+    plan.recordAttachment(
+      "DaoFactory",
+      daoFactoryAddress,
+      daoFactoryInterface,
+      "DaoArtifacts"
+    );
+    expect(plan.attachments).to.be.deep.equal([
+      {
+        name: "DaoFactory",
+        address: daoFactoryAddress,
+        source: "DaoArtifacts",
+      },
+    ]);
+    expect(plan.deployments.length).to.be.equal(0);
+  });
+});
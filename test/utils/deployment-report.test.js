@@ -0,0 +1,159 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const { toBN } = require("../../utils/contract-util");
+const {
+  getPhase,
+  buildDeploymentReport,
+  formatMarkdownReport,
+} = require("../../utils/deployment-report-util");
+const { contracts } = require("../../configs/networks/test.config");
+
+describe("Utils - Deployment Report", () => {
+  const receipts = {
+    "0x01": { blockNumber: 10, gasUsed: toBN(100000) },
+    "0x02": {
+      blockNumber: 11,
+      gasUsed: toBN(50000),
+      effectiveGasPrice: toBN(2000000000),
+    },
+    "0x03": {
+      blockNumber: 12,
+      gasUsed: toBN(30000),
+      effectiveGasPrice: toBN(1000000000),
+    },
+  };
+  const provider = {
+    getTransactionReceipt: async (hash) => receipts[hash],
+    getTransaction: async () => ({ gasPrice: toBN(1000000000) }),
+  };
+
+  const journal = {
+    steps: {
+      "deploy:BankFactory": { hash: "0x01", address: "0x01", ts: 1 },
+      "deploy:RagequitContract": { address: "0x02", ts: 2 },
+      "createExtension:bank": { hash: "0x02", address: "0x03", ts: 3 },
+      "configureDao:VotingContract:0": { hash: "0x03", ts: 4 },
+    },
+  };
+
+  it("should be possible to group the deployment steps by phase", async () => {
+    expect(getPhase("deploy:BankFactory", contracts)).to.equal("factories");
+    expect(getPhase("deployIdentity:BankFactory", contracts)).to.equal(
+      "factories"
+    );
+    expect(getPhase("deploy:BankExtension", contracts)).to.equal("extensions");
+    expect(getPhase("deploy:VotingContract", contracts)).to.equal("adapters");
+    expect(getPhase("addArtifact:VotingContract", contracts)).to.equal(
+      "adapters"
+    );
+    expect(getPhase("addExtension:bank", contracts)).to.equal("extensions");
+    expect(getPhase("addAdapters:Manager", contracts)).to.equal(
+      "configuration"
+    );
+    expect(getPhase("deploy:OffchainVotingContract", contracts)).to.equal(
+      "offchainVoting"
+    );
+    expect(
+      getPhase("updateAdapter:OffchainVotingContract", contracts)
+    ).to.equal("offchainVoting");
+    expect(getPhase("deploy:DaoArtifacts", contracts)).to.equal("other");
+    // The contracts deployed by the @deploy directives of the manifest
+    expect(getPhase("deploy:WETH", contracts)).to.equal("other");
+  });
+
+  it("should be possible to compute the cost of each deployment step", async () => {
+    const report = await buildDeploymentReport({
+      journal,
+      provider,
+      contractConfigs: contracts,
+      network: "test",
+      daoName: "test-dao",
+      daoAddress: "0x04",
+      version: "2.4.0",
+    });
+
+    expect(report.transactions.map((tx) => tx.cost)).to.be.deep.equal([
+      "0.0001",
+      undefined,
+      "0.0001",
+      "0.00003",
+    ]);
+    expect(report.transactions[0].effectiveGasPrice).to.equal("1000000000");
+    expect(report.transactions[1].reused).to.be.true;
+    expect(report.phases.factories).to.be.deep.equal({
+      transactions: 1,
+      gasUsed: "100000",
+      cost: "0.0001",
+    });
+    expect(report.phases.adapters.transactions).to.equal(0);
+    expect(report.total).to.be.deep.equal({
+      transactions: 3,
+      gasUsed: "180000",
+      cost: "0.00023",
+    });
+    expect(report.version).to.equal("2.4.0");
+    expect(report.gitCommit).to.not.be.empty;
+  });
+
+  it("should not be possible to build the report if a tx was dropped", async () => {
+    const err = await buildDeploymentReport({
+      journal: {
+        steps: { "addArtifact:VotingContract": { hash: "0x05", ts: 1 } },
+      },
+      provider,
+      contractConfigs: contracts,
+      network: "test",
+      daoName: "test-dao",
+      daoAddress: "0x04",
+      version: "2.4.0",
+    }).catch((e) => e);
+    expect(err.message).to.equal(
+      "Receipt of addArtifact:VotingContract not found: transaction 0x05 was dropped or replaced"
+    );
+  });
+
+  it("should be possible to format the report as markdown", async () => {
+    const report = await buildDeploymentReport({
+      journal,
+      provider,
+      contractConfigs: contracts,
+      network: "test",
+      daoName: "test-dao",
+      daoAddress: "0x04",
+      version: "2.4.0",
+    });
+    const markdown = formatMarkdownReport(report);
+    expect(markdown).to.contain("| Factories | 1 | 100000 | 0.0001 |");
+    expect(markdown).to.contain(
+      "| **Total** | **3** | **180000** | **0.00023** |"
+    );
+    expect(markdown).to.contain(
+      "| createExtension:bank | Extensions | 0x03 | 0x02 | 11 | 50000 | 2.0 | 0.0001 |"
+    );
+  });
+});
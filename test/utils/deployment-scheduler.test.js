@@ -0,0 +1,153 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const {
+  runTasks,
+  createScheduler,
+} = require("../../utils/deployment-scheduler-util");
+const { rejection } = require("../../utils/hardhat-test-util");
+
+describe("Utils - Deployment Scheduler", () => {
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Records the order in which the tasks start and end
+  const createTasks = (events, specs) =>
+    specs.map(({ id, dependsOn, fail }) => ({
+      id,
+      dependsOn,
+      run: async (results) => {
+        events.push(`start:${id}`);
+        await sleep(5);
+        if (fail) throw new Error(`${id} failed`);
+        events.push(`end:${id}`);
+        return (dependsOn || [])
+          .map((dep) => results[dep])
+          .concat(id)
+          .join(">");
+      },
+    }));
+
+  it("should run a task after the tasks it depends on", async () => {
+    const events = [];
+    const results = await runTasks(
+      createTasks(events, [
+        { id: "identity" },
+        { id: "factory", dependsOn: ["identity"] },
+        { id: "adapter" },
+      ])
+    );
+    expect(results).to.be.deep.equal({
+      identity: "identity",
+      factory: "identity>factory",
+      adapter: "adapter",
+    });
+    // the independent tasks start together
+    expect(events.slice(0, 2)).to.be.deep.equal([
+      "start:identity",
+      "start:adapter",
+    ]);
+    expect(events.indexOf("start:factory")).to.be.greaterThan(
+      events.indexOf("end:identity")
+    );
+  });
+
+  it("should limit the number of tasks running at the same time", async () => {
+    const events = [];
+    const scheduler = createScheduler({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+    await scheduler.run(
+      ["a", "b", "c", "d", "e"].map((id) => ({
+        id,
+        run: async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          events.push(id);
+          await sleep(5);
+          running--;
+        },
+      }))
+    );
+    expect(maxRunning).to.equal(2);
+    expect(events).to.be.deep.equal(["a", "b", "c", "d", "e"]);
+
+    // the serial scheduler keeps the order of the tasks
+    const serial = [];
+    await createScheduler().run(
+      createTasks(serial, [{ id: "a" }, { id: "b" }])
+    );
+    expect(serial).to.be.deep.equal(["start:a", "end:a", "start:b", "end:b"]);
+  });
+
+  it("should not start new tasks after a task fails", async () => {
+    const events = [];
+    const scheduler = createScheduler({ concurrency: 2 });
+    const err = await rejection(
+      scheduler.run(
+        createTasks(events, [
+          { id: "addAdapters", fail: true },
+          { id: "deploy" },
+          { id: "configureDao", dependsOn: ["addAdapters"] },
+          { id: "other" },
+        ])
+      )
+    );
+    expect(err).to.equal("addAdapters failed");
+    // the running task is completed before the scheduler fails
+    expect(events).to.be.deep.equal([
+      "start:addAdapters",
+      "start:deploy",
+      "end:deploy",
+    ]);
+  });
+
+  it("should validate the tasks before running them", async () => {
+    const run = async () => undefined;
+    expect(
+      await rejection(
+        runTasks([
+          { id: "a", run },
+          { id: "a", run },
+        ])
+      )
+    ).to.equal("Duplicate task ids: a");
+    expect(
+      await rejection(runTasks([{ id: "a", dependsOn: ["b"], run }]))
+    ).to.equal("Task a depends on unknown task b");
+    expect(
+      await rejection(
+        runTasks([
+          { id: "a", dependsOn: ["b"], run },
+          { id: "b", dependsOn: ["a"], run },
+        ])
+      )
+    ).to.equal("Circular task dependency: a -> b -> a");
+    expect(() => createScheduler({ concurrency: 0 })).to.throw(
+      "Invalid concurrency: 0"
+    );
+  });
+});
@@ -0,0 +1,136 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const {
+  deploymentSchema,
+  validateDeploymentOptions,
+} = require("../../utils/deployment-schema-util");
+const {
+  knownDeployOptions,
+  loadDeploymentManifest,
+} = require("../../utils/deployment-manifest-util");
+
+describe("Utils - Deployment Schema", () => {
+  const owner = "0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1";
+  const env = {
+    DAO_NAME: "test-dao",
+    DAO_OWNER_ADDR: owner,
+    ERC20_TOKEN_NAME: "Test Token",
+    ERC20_TOKEN_SYMBOL: "TTK",
+    ERC20_TOKEN_DECIMALS: "0",
+  };
+
+  it("should declare the schema of every deployment option", async () => {
+    expect(Object.keys(deploymentSchema).sort()).to.be.deep.equal(
+      [...knownDeployOptions].sort()
+    );
+  });
+
+  it("should accept the options of the default manifest", async () => {
+    const { options } = loadDeploymentManifest({ network: "rinkeby", env });
+    expect(validateDeploymentOptions(options, "rinkeby")).to.be.deep.equal([]);
+  });
+
+  it("should report the invalid types, checksums and ranges", async () => {
+    expect(
+      validateDeploymentOptions(
+        {
+          owner: "0x90f8bf6A479f320ead074411a4B0e7944Ea8c9C1",
+          weth: "0x1234",
+          gelato: "@account:0",
+          votingPeriod: "0",
+          gracePeriod: -1,
+          maxExternalTokens: 201,
+          maxChunks: "@const:maximumChunks",
+          offchainVoting: "false",
+          daoName: "",
+        },
+        "rinkeby"
+      )
+    ).to.be.deep.equal([
+      `owner: invalid address checksum 0x90f8bf6A479f320ead074411a4B0e7944Ea8c9C1, expected ${owner}`,
+      "weth: must be an address, got 0x1234",
+      "votingPeriod: must be greater than or equal to 1, got 0",
+      "gracePeriod: must be a non-negative integer, got -1",
+      "maxExternalTokens: must be less than or equal to 200, got 201",
+      "offchainVoting: must be a boolean, got false",
+      "daoName: must be a non-empty string",
+    ]);
+  });
+
+  it("should apply the rules of the main networks", async () => {
+    const options = {
+      deployTestTokens: true,
+      weth: "@deploy:WETH",
+      kycSignerAddress: "0x0000000000000000000000000000000000000000",
+    };
+    expect(validateDeploymentOptions(options, "rinkeby")).to.be.deep.equal([]);
+    expect(validateDeploymentOptions(options, "mainnet")).to.be.deep.equal([
+      "weth: can not be deployed by the manifest on mainnet",
+      "kycSignerAddress: can not be the zero address on mainnet",
+      "deployTestTokens: can not be enabled on mainnet",
+    ]);
+  });
+
+  it("should require the KYC fund target address when top ups are enabled", async () => {
+    const options = {
+      kycCanTopUp: "1",
+      kycFundTargetAddress: "@const:ZERO_ADDRESS",
+    };
+    expect(validateDeploymentOptions(options, "rinkeby")).to.be.deep.equal([
+      "kycFundTargetAddress: is required when kycCanTopUp is enabled",
+    ]);
+    expect(
+      validateDeploymentOptions(
+        { ...options, kycFundTargetAddress: owner },
+        "rinkeby"
+      )
+    ).to.be.deep.equal([]);
+  });
+
+  it("should report all the problems of a manifest at once", async () => {
+    expect(() =>
+      loadDeploymentManifest({
+        network: "mainnet",
+        env: { ...env, VOTING_PERIOD_SECONDS: "0", KYC_CAN_TOP_UP: "1" },
+      })
+    ).to.throw(
+      [
+        "Invalid mainnet deployment manifest:",
+        "Missing env var: OFFCHAIN_ADMIN_ADDR (option offchainAdmin)",
+        "Missing env var: GRACE_PERIOD_SECONDS (option gracePeriod)",
+        "Missing env var: MANAGER_COUPON_SIGNER_ADDR (option managerSignerAddress)",
+        "Missing env var: COUPON_CREATOR_ADDR (option couponCreatorAddress)",
+        "Missing env var: KYC_SIGNER_ADDR (option kycSignerAddress)",
+        "Missing env var: KYC_MAX_MEMBERS (option kycMaxMembers)",
+        "Missing env var: GELATO_ADDR (option gelato)",
+        "votingPeriod: must be greater than or equal to 1, got 0",
+        "kycFundTargetAddress: is required when kycCanTopUp is enabled",
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,227 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  getExplorer,
+  createExplorerClient,
+  encodeConstructorArgs,
+  verifyContracts,
+} = require("../../utils/explorer-verify-util");
+
+describe("Utils - Explorer Verification", () => {
+  const factoryAddress = "0x0000000000000000000000000000000000000f00";
+  const votingAddress = "0x0000000000000000000000000000000000000001";
+  const registryAddress = "0x0000000000000000000000000000000000000da0";
+  const identityAddress = "0x0000000000000000000000000000000000000123";
+  const submissions = [];
+  const statusChecks = {};
+  let server;
+  let apiUrl;
+
+  // Stand-in for an Etherscan-compatible explorer
+  const handle = (params) => {
+    if (params.action === "verifysourcecode") {
+      submissions.push(params);
+      if (params.contractaddress === votingAddress)
+        return {
+          status: "0",
+          message: "NOTOK",
+          result: "Contract source code already verified",
+        };
+      return {
+        status: "1",
+        message: "OK",
+        result: `guid-${params.contractaddress}`,
+      };
+    }
+    if (params.action === "checkverifystatus") {
+      statusChecks[params.guid] = (statusChecks[params.guid] || 0) + 1;
+      return statusChecks[params.guid] < 2
+        ? { status: "0", message: "NOTOK", result: "Pending in queue" }
+        : { status: "1", message: "OK", result: "Pass - Verified" };
+    }
+    return { status: "0", message: "NOTOK", result: "Unknown action" };
+  };
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const query = req.method === "POST" ? body : req.url.split("?")[1];
+        const params = Object.fromEntries(new URLSearchParams(query));
+        if (params.apikey !== "test-key") {
+          res.end(
+            JSON.stringify({
+              status: "0",
+              message: "NOTOK",
+              result: "Invalid API Key",
+            })
+          );
+          return;
+        }
+        res.end(JSON.stringify(handle(params)));
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      apiUrl = `http://127.0.0.1:${server.address().port}/api`;
+      done();
+    });
+  });
+
+  after((done) => server.close(done));
+
+  const factoryAbi = [
+    {
+      type: "constructor",
+      inputs: [{ name: "_identityAddress", type: "address" }],
+      stateMutability: "nonpayable",
+    },
+  ];
+  const input = { language: "Solidity", sources: {}, settings: {} };
+  const artifacts = {
+    readArtifactSync: (name) => ({
+      contractName: name,
+      sourceName: `contracts/${name}.sol`,
+      abi: name === "DaoFactory" ? factoryAbi : [],
+    }),
+    getBuildInfo: async () => ({
+      solcLongVersion: "0.8.9+commit.e5eed63a",
+      input,
+    }),
+  };
+
+  it("should use the explorer of the network and its API key", () => {
+    expect(
+      getExplorer("polygon", { POLYGONSCAN_API_KEY: "key" })
+    ).to.be.deep.equal({
+      apiUrl: "https://api.polygonscan.com/api",
+      apiKey: "key",
+    });
+    expect(() => getExplorer("harmony", {})).to.throw(
+      "No Etherscan-compatible explorer for harmony network, set the EXPLORER_API_URL env var"
+    );
+    expect(() => getExplorer("mainnet", {})).to.throw(
+      "Missing the ETHERSCAN_API_KEY env var to verify the contracts on mainnet network"
+    );
+  });
+
+  it("should encode the constructor args of the deployment record", () => {
+    expect(encodeConstructorArgs(factoryAbi, [identityAddress])).to.be.equal(
+      ethers.utils.defaultAbiCoder
+        .encode(["address"], [identityAddress])
+        .slice(2)
+    );
+    expect(() => encodeConstructorArgs(factoryAbi, undefined)).to.throw(
+      "The constructor args are not in the deployment record, deploy it again to record them"
+    );
+  });
+
+  it("should submit the standard JSON input and poll the verification status", async () => {
+    const registry = {
+      registryVersion: 1,
+      contracts: {
+        DaoRegistry: {
+          name: "DaoRegistry",
+          address: registryAddress,
+          createdBy: "DaoFactory",
+        },
+        DaoFactory: {
+          name: "DaoFactory",
+          address: factoryAddress,
+          constructorArgs: [identityAddress],
+        },
+        VotingContract: {
+          name: "VotingContract",
+          address: votingAddress,
+          constructorArgs: [],
+        },
+        Multicall: { name: "Multicall", address: identityAddress },
+      },
+    };
+
+    const results = await verifyContracts({
+      registry,
+      client: createExplorerClient({ apiUrl, apiKey: "test-key" }),
+      artifacts,
+      skip: ["Multicall"],
+      pollInterval: 0,
+      delay: 0,
+    });
+
+    expect(results.map((r) => [r.name, r.status, r.message])).to.be.deep.equal([
+      ["DaoRegistry", "skipped", "clone created by DaoFactory"],
+      ["DaoFactory", "verified", "Pass - Verified"],
+      [
+        "VotingContract",
+        "already-verified",
+        "Contract source code already verified",
+      ],
+      ["Multicall", "skipped", "skipped"],
+    ]);
+    expect(statusChecks[`guid-${factoryAddress}`]).to.be.equal(2);
+    expect(submissions[0]).to.include({
+      module: "contract",
+      contractaddress: factoryAddress,
+      codeformat: "solidity-standard-json-input",
+      contractname: "contracts/DaoFactory.sol:DaoFactory",
+      compilerversion: "v0.8.9+commit.e5eed63a",
+      constructorArguements: encodeConstructorArgs(factoryAbi, [
+        identityAddress,
+      ]),
+    });
+    expect(JSON.parse(submissions[0].sourceCode)).to.be.deep.equal(input);
+  });
+
+  it("should report the contracts that failed to be verified", async () => {
+    const results = await verifyContracts({
+      registry: {
+        contracts: {
+          DaoFactory: {
+            name: "DaoFactory",
+            address: factoryAddress,
+            constructorArgs: [identityAddress],
+          },
+        },
+      },
+      client: createExplorerClient({ apiUrl, apiKey: "wrong-key" }),
+      artifacts,
+      pollInterval: 0,
+      delay: 0,
+    });
+    expect(results).to.be.deep.equal([
+      {
+        name: "DaoFactory",
+        address: factoryAddress,
+        status: "failed",
+        message: "Invalid API Key",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,229 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { toBN, toHex } = require("../../utils/contract-util");
+const {
+  getFeeStrategy,
+  estimateFees,
+  waitForAcceptableFees,
+  bumpFees,
+  sendTransaction,
+} = require("../../utils/fee-strategy-util");
+const { rejection } = require("../../utils/hardhat-test-util");
+
+describe("Utils - Fee Strategy", () => {
+  const gwei = (value) => ethers.utils.parseUnits(String(value), "gwei");
+  const sender = "0x00000000000000000000000000000000000000a1";
+
+  const strategy = (overrides) => ({
+    ...getFeeStrategy("mainnet", undefined, {}),
+    maxFeePerGas: gwei(100),
+    minPriorityFeePerGas: gwei(1),
+    pollInterval: 0,
+    replaceAfter: 0,
+    ...overrides,
+  });
+
+  // Each eth_feeHistory call on this EIP-1193 provider returns the next base fee of the list
+  const createProvider = ({ baseFees, rewards = [gwei(2), gwei(4)] }) => {
+    const state = { baseFees: [...baseFees], sent: [], mined: [], nonce: 7 };
+    state.request = async ({ method, params }) => {
+      switch (method) {
+        case "eth_feeHistory": {
+          const baseFee =
+            state.baseFees.length > 1
+              ? state.baseFees.shift()
+              : state.baseFees[0];
+          return {
+            baseFeePerGas: [toHex(baseFee), toHex(baseFee)],
+            reward: rewards.map((r) => [toHex(r)]),
+          };
+        }
+        case "eth_gasPrice":
+          return toHex(state.baseFees[0]);
+        case "eth_accounts":
+          return [sender];
+        case "eth_getTransactionCount":
+          return toHex(state.nonce);
+        case "eth_sendTransaction": {
+          state.sent.push(params[0]);
+          return `0x${state.sent.length}`;
+        }
+        case "eth_getTransactionReceipt":
+          return state.mined.includes(params[0]) ? { status: "0x1" } : null;
+        default:
+          throw new Error(`Unexpected method ${method}`);
+      }
+    };
+    return state;
+  };
+
+  it("should be possible to build the fee strategy of a network", async () => {
+    expect(getFeeStrategy("hardhat", undefined, {})).to.be.undefined;
+    expect(getFeeStrategy("mainnet", undefined, { FEE_STRATEGY: "disabled" }))
+      .to.be.undefined;
+
+    const mainnet = getFeeStrategy(
+      "mainnet",
+      { replaceAfter: 60, minPriorityFeePerGas: "2000000000" },
+      { MAX_FEE_PER_GAS_GWEI: "80" }
+    );
+    expect(mainnet.type).to.equal("eip1559");
+    expect(mainnet.replaceAfter).to.equal(60);
+    expect(mainnet.maxFeePerGas.toString()).to.equal(gwei(80).toString());
+    expect(mainnet.minPriorityFeePerGas.toString()).to.equal(
+      gwei(2).toString()
+    );
+    expect(getFeeStrategy("harmony", undefined, {}).type).to.equal("legacy");
+    expect(() =>
+      getFeeStrategy("mainnet", undefined, { FEE_STRATEGY: "fast" })
+    ).to.throw("Invalid fee strategy type: fast");
+  });
+
+  it("should be possible to estimate the fees from the fee history", async () => {
+    const provider = createProvider({ baseFees: [gwei(30)] });
+    const fees = await estimateFees(provider, strategy());
+    expect(fees.baseFeePerGas.toString()).to.equal(gwei(30).toString());
+    // average of the rewards
+    expect(fees.maxPriorityFeePerGas.toString()).to.equal(gwei(3).toString());
+    expect(fees.maxFeePerGas.toString()).to.equal(gwei(63).toString());
+
+    // the max fee is limited by the cap, and the priority fee by the min priority fee
+    const capped = await estimateFees(
+      provider,
+      strategy({ maxFeePerGas: gwei(40), minPriorityFeePerGas: gwei(5) })
+    );
+    expect(capped.maxPriorityFeePerGas.toString()).to.equal(gwei(5).toString());
+    expect(capped.maxFeePerGas.toString()).to.equal(gwei(40).toString());
+
+    const legacy = await estimateFees(
+      provider,
+      strategy({ type: "legacy", minGasPrice: gwei(50) })
+    );
+    expect(legacy.gasPrice.toString()).to.equal(gwei(50).toString());
+  });
+
+  it("should pause until the fees drop below the max fee cap", async () => {
+    const provider = createProvider({
+      baseFees: [gwei(150), gwei(120), gwei(20)],
+    });
+    const fees = await waitForAcceptableFees(provider, strategy());
+    expect(fees.baseFeePerGas.toString()).to.equal(gwei(20).toString());
+    expect(provider.baseFees).to.be.deep.equal([gwei(20)]);
+
+    const expensive = createProvider({ baseFees: [gwei(150)] });
+    expect(
+      await rejection(
+        waitForAcceptableFees(expensive, strategy({ maxWait: 0.01 }))
+      )
+    ).to.match(/remained above the max fee of 100.0 gwei/);
+  });
+
+  it("should not bump the fees above the max fee cap", async () => {
+    const fees = {
+      maxFeePerGas: gwei(80),
+      maxPriorityFeePerGas: gwei(2),
+    };
+    const bumped = bumpFees(fees, strategy());
+    expect(bumped.maxFeePerGas.toString()).to.equal(gwei(92).toString());
+    expect(bumped.maxPriorityFeePerGas.toString()).to.equal(
+      gwei(2.3).toString()
+    );
+    expect(bumpFees(bumped, strategy())).to.be.undefined;
+    expect(
+      bumpFees({ gasPrice: gwei(10) }, strategy()).gasPrice.toString()
+    ).to.equal(gwei(11.5).toString());
+  });
+
+  it("should send the transaction with the estimated fees", async () => {
+    const provider = createProvider({ baseFees: [gwei(30)] });
+    const hash = await sendTransaction(provider, { data: "0x" }, strategy());
+    expect(hash).to.equal("0x1");
+    expect(provider.sent).to.be.deep.equal([
+      {
+        data: "0x",
+        from: sender,
+        nonce: "0x7",
+        maxFeePerGas: toHex(gwei(63)),
+        maxPriorityFeePerGas: toHex(gwei(3)),
+      },
+    ]);
+
+    // the transactions with explicit fees are sent as they are
+    const tx = { from: sender, data: "0x", gasPrice: "0x0" };
+    await sendTransaction(provider, tx, strategy());
+    expect(provider.sent[1]).to.equal(tx);
+  });
+
+  it("should replace a stuck transaction with bumped fees", async () => {
+    const provider = createProvider({ baseFees: [gwei(30)] });
+    const send = sendTransaction(
+      provider,
+      { from: sender, data: "0x" },
+      strategy({ replaceAfter: 0.001, pollInterval: 0.005 })
+    );
+    // mine the replacement transaction as soon as it is sent
+    const mine = setInterval(() => {
+      if (provider.sent.length > 1) provider.mined.push("0x2");
+    }, 1);
+    const hash = await send.finally(() => clearInterval(mine));
+
+    expect(hash).to.equal("0x2");
+    expect(provider.sent.map((tx) => tx.nonce)).to.be.deep.equal([
+      "0x7",
+      "0x7",
+    ]);
+    expect(toBN(provider.sent[1].maxFeePerGas).toString()).to.equal(
+      gwei(72.45).toString()
+    );
+  });
+
+  it("should report the hash of the sent transaction when it fails after it was sent", async () => {
+    const provider = createProvider({ baseFees: [gwei(30)] });
+    const send = sendTransaction(
+      provider,
+      { from: sender, data: "0x" },
+      strategy({ replaceAfter: 60, pollInterval: 0.005 })
+    );
+    // another transaction with the same nonce is mined once the transaction is sent
+    const mine = setInterval(() => {
+      if (provider.sent.length > 0) provider.nonce = 8;
+    }, 1);
+    const err = await send
+      .finally(() => clearInterval(mine))
+      .then(
+        () => null,
+        (e) => e
+      );
+
+    expect(err.message).to.equal(
+      "Transaction 0x1 was replaced by another transaction with nonce 7"
+    );
+    expect(err.transactionHash).to.equal("0x1");
+  });
+});
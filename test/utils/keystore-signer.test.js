@@ -0,0 +1,131 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { loadKeystoreWallet } = require("../../utils/keystore-signer-util");
+const {
+  KeystoreSignerProvider,
+} = require("../../signers/KeystoreSignerProvider");
+const { rejection } = require("../../utils/hardhat-test-util");
+
+describe("Utils - Keystore Signer", () => {
+  const wallet = ethers.Wallet.createRandom();
+  const password = "correct horse battery staple";
+  let dir;
+  let file;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "keystore-"));
+    file = path.join(dir, "keystore.json");
+    // A low scrypt cost keeps the test fast
+    fs.writeFileSync(
+      file,
+      await wallet.encrypt(password, { scrypt: { N: 1 << 4 } })
+    );
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("should decrypt the keystore with the passphrase of the config", async () => {
+    const prompt = async () => {
+      throw new Error("should not prompt the passphrase");
+    };
+    const keystoreWallet = await loadKeystoreWallet({ file, password, prompt });
+    expect(keystoreWallet.address).to.be.equal(wallet.address);
+  });
+
+  it("should prompt the passphrase if it is not in the config", async () => {
+    const questions = [];
+    const keystoreWallet = await loadKeystoreWallet({
+      file,
+      prompt: async (question) => {
+        questions.push(question);
+        return password;
+      },
+    });
+    expect(keystoreWallet.address).to.be.equal(wallet.address);
+    expect(questions).to.have.length(1);
+  });
+
+  it("should report a wrong passphrase and an invalid keystore file", async () => {
+    const message = await rejection(
+      loadKeystoreWallet({ file, password: "wrong" })
+    );
+    expect(message).to.match(/^Invalid passphrase for the keystore/);
+
+    const invalidFile = path.join(dir, "invalid.json");
+    fs.writeFileSync(invalidFile, JSON.stringify({ mnemonic: "..." }));
+    expect(
+      await rejection(loadKeystoreWallet({ file: invalidFile, password }))
+    ).to.be.equal(`${invalidFile} is not a V3 keystore file`);
+  });
+
+  it("should sign the transactions and send them to the network as raw transactions", async () => {
+    const requests = [];
+    const network = {
+      request: async ({ method, params }) => {
+        requests.push({ method, params });
+        if (method === "eth_getTransactionCount") return "0x7";
+        return "0x1234";
+      },
+    };
+    const provider = new KeystoreSignerProvider(
+      network,
+      { id: "keystore", enabled: true, file, password },
+      4
+    );
+
+    expect(await provider.request({ method: "eth_accounts" })).to.be.deep.equal(
+      [wallet.address]
+    );
+    const hash = await provider.request({
+      method: "eth_sendTransaction",
+      params: [
+        {
+          to: "0x0000000000000000000000000000000000000da0",
+          data: "0x12345678",
+          gas: "0x5208",
+          maxFeePerGas: "0x3b9aca00",
+          maxPriorityFeePerGas: "0x1",
+        },
+      ],
+    });
+
+    expect(hash).to.be.equal("0x1234");
+    const { method, params } = requests[requests.length - 1];
+    expect(method).to.be.equal("eth_sendRawTransaction");
+    const tx = ethers.utils.parseTransaction(params[0]);
+    expect(tx.from).to.be.equal(wallet.address);
+    expect(tx.nonce).to.be.equal(7);
+    expect(tx.chainId).to.be.equal(4);
+    expect(tx.type).to.be.equal(2);
+    expect(tx.data).to.be.equal("0x12345678");
+  });
+});
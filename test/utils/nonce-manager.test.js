@@ -0,0 +1,143 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const { toHex } = require("../../utils/contract-util");
+const { createNonceManager } = require("../../utils/nonce-manager-util");
+
+describe("Utils - Nonce Manager", () => {
+  const sender = "0x00000000000000000000000000000000000000A1";
+
+  // Fake EIP-1193 provider that only counts the transactions once they are mined,
+  // the `failAfterSend` transactions fail after they are sent, and stay pending unless they are `dropped`
+  const createProvider = ({
+    pending = 3,
+    reject = [],
+    failAfterSend = [],
+    dropped = [],
+  } = {}) => {
+    const state = { pending, sent: [], attempts: 0 };
+    state.request = async ({ method, params }) => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      switch (method) {
+        case "eth_accounts":
+          return [sender];
+        case "eth_getTransactionCount":
+          return toHex(state.pending);
+        case "eth_sendTransaction": {
+          const attempt = state.attempts++;
+          if (reject.includes(attempt)) throw new Error("insufficient funds");
+          state.sent.push(params[0]);
+          if (failAfterSend.includes(attempt)) {
+            if (!dropped.includes(attempt)) state.pending++;
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            const err = new Error("transaction replaced");
+            err.transactionHash = `0x${state.sent.length}`;
+            throw err;
+          }
+          return `0x${state.sent.length}`;
+        }
+        default:
+          throw new Error(`Unexpected method ${method}`);
+      }
+    };
+    return state;
+  };
+
+  it("should assign a different nonce to each transaction sent in parallel", async () => {
+    const provider = createProvider();
+    const nonceManager = createNonceManager(provider);
+    await Promise.all(
+      [1, 2, 3].map(() => nonceManager.sendTransaction({ data: "0x" }))
+    );
+    expect(provider.sent.map((tx) => tx.nonce)).to.be.deep.equal([
+      "0x3",
+      "0x4",
+      "0x5",
+    ]);
+    expect(provider.sent[0].from).to.equal(sender);
+
+    // the transactions sent by other tools are taken into account
+    provider.pending = 9;
+    await nonceManager.sendTransaction({ from: sender, data: "0x" });
+    expect(provider.sent[3].nonce).to.equal("0x9");
+
+    // the transactions with a nonce are sent as they are
+    await nonceManager.sendTransaction({ from: sender, nonce: "0x1" });
+    expect(provider.sent[4].nonce).to.equal("0x1");
+  });
+
+  it("should reuse the nonce of a rejected transaction", async () => {
+    const provider = createProvider({ reject: [1] });
+    const nonceManager = createNonceManager(provider);
+    await nonceManager.sendTransaction({ from: sender });
+    const err = await nonceManager.sendTransaction({ from: sender }).then(
+      () => null,
+      (e) => e.message
+    );
+    expect(err).to.equal("insufficient funds");
+    provider.pending = 4;
+    await nonceManager.sendTransaction({ from: sender });
+    expect(provider.sent.map((tx) => tx.nonce)).to.be.deep.equal([
+      "0x3",
+      "0x4",
+    ]);
+  });
+
+  it("should keep the nonce of a transaction that failed after it was sent", async () => {
+    const provider = createProvider({ failAfterSend: [0] });
+    const nonceManager = createNonceManager(provider);
+    const failed = nonceManager.sendTransaction({ from: sender }).then(
+      () => null,
+      (e) => e.message
+    );
+    // assigned while the failed transaction is sent, but not sent yet
+    expect(await nonceManager.next(sender)).to.equal(4);
+    expect(await failed).to.equal("transaction replaced");
+
+    await nonceManager.sendTransaction({ from: sender });
+    expect(provider.sent.map((tx) => tx.nonce)).to.be.deep.equal([
+      "0x3",
+      "0x5",
+    ]);
+  });
+
+  it("should reuse the nonce of a sent transaction dropped by the network", async () => {
+    const provider = createProvider({ failAfterSend: [0], dropped: [0] });
+    const nonceManager = createNonceManager(provider);
+    const err = await nonceManager.sendTransaction({ from: sender }).then(
+      () => null,
+      (e) => e.message
+    );
+    expect(err).to.equal("transaction replaced");
+
+    await nonceManager.sendTransaction({ from: sender });
+    expect(provider.sent.map((tx) => tx.nonce)).to.be.deep.equal([
+      "0x3",
+      "0x3",
+    ]);
+  });
+});
@@ -0,0 +1,259 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  createRemoteSigner,
+  toRpcTransaction,
+} = require("../../utils/remote-signer-util");
+const { RemoteSignerProvider } = require("../../signers/RemoteSignerProvider");
+const { rejection } = require("../../utils/hardhat-test-util");
+
+describe("Utils - Remote Signer", () => {
+  const wallet = ethers.Wallet.createRandom();
+  const requests = [];
+  let server;
+  let url;
+
+  const signTransaction = async ([tx]) => {
+    if (tx.from.toLowerCase() !== wallet.address.toLowerCase())
+      throw new Error(`unknown account ${tx.from}`);
+    const { from, gas, ...unsignedTx } = tx;
+    return {
+      raw: await wallet.signTransaction({
+        ...unsignedTx,
+        chainId: Number(tx.chainId),
+        gasLimit: gas,
+        type: tx.maxFeePerGas ? 2 : 0,
+      }),
+      tx,
+    };
+  };
+  const signTypedData = ({ domain, types, message }) => {
+    const { EIP712Domain, ...messageTypes } = types;
+    return wallet._signTypedData(domain, messageTypes, message);
+  };
+
+  // Stand-in for web3signer and the external API of Clef that signs with a local wallet,
+  // Clef only accepts the typed data as a JSON object
+  const signerMethods = {
+    eth_accounts: async () => [wallet.address],
+    eth_signTransaction: signTransaction,
+    eth_signTypedData_v4: async ([, data]) => signTypedData(JSON.parse(data)),
+    account_list: async () => [wallet.address],
+    account_signTransaction: signTransaction,
+    account_signTypedData: async ([, data]) => {
+      if (typeof data !== "object") throw new Error("invalid typed data");
+      return signTypedData(data);
+    },
+  };
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", async () => {
+        const { id, method, params } = JSON.parse(body);
+        requests.push({ method, params, headers: req.headers });
+        const reply = (payload) =>
+          res.end(JSON.stringify({ jsonrpc: "2.0", id, ...payload }));
+        if (!signerMethods[method])
+          return reply({
+            error: { code: -32601, message: "method not found" },
+          });
+        try {
+          reply({ result: await signerMethods[method](params) });
+        } catch (err) {
+          reply({ error: { code: -32000, message: err.message } });
+        }
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => server.close(done));
+
+  beforeEach(() => requests.splice(0));
+
+  it("should convert the transaction to the JSON-RPC format of the signer", () => {
+    expect(
+      toRpcTransaction(
+        {
+          from: wallet.address,
+          to: "0x0000000000000000000000000000000000000da0",
+          gas: "0x05208",
+          nonce: 3,
+          gasPrice: "0x3b9aca00",
+        },
+        4
+      )
+    ).to.be.deep.equal({
+      from: wallet.address,
+      to: "0x0000000000000000000000000000000000000da0",
+      gas: "0x5208",
+      value: "0x0",
+      data: "0x",
+      nonce: "0x3",
+      chainId: "0x4",
+      gasPrice: "0x3b9aca00",
+    });
+  });
+
+  it("should report the errors of the signer", async () => {
+    const signer = createRemoteSigner({
+      url,
+      headers: { Authorization: "Bearer token" },
+    });
+    const message = await rejection(
+      signer.signTransaction({ from: ethers.constants.AddressZero })
+    );
+    expect(message).to.match(
+      /Remote signer .* rejected eth_signTransaction: unknown account/
+    );
+    expect(requests[0].headers.authorization).to.be.equal("Bearer token");
+  });
+
+  it("should sign with the remote signer and send the raw transaction to the network", async () => {
+    const sent = [];
+    const network = {
+      request: async ({ method, params }) => {
+        sent.push({ method, params });
+        if (method === "eth_getTransactionCount") return "0x2";
+        return "0x1234";
+      },
+    };
+    const provider = new RemoteSignerProvider(
+      network,
+      { id: "remote", enabled: true, url },
+      4
+    );
+
+    expect(await provider.request({ method: "eth_accounts" })).to.be.deep.equal(
+      [wallet.address]
+    );
+    const hash = await provider.request({
+      method: "eth_sendTransaction",
+      params: [
+        {
+          to: "0x0000000000000000000000000000000000000da0",
+          data: "0x12345678",
+          gas: "0x5208",
+          maxFeePerGas: "0x3b9aca00",
+          maxPriorityFeePerGas: "0x1",
+        },
+      ],
+    });
+
+    expect(hash).to.be.equal("0x1234");
+    expect(sent.map((r) => r.method)).to.be.deep.equal([
+      "eth_getTransactionCount",
+      "eth_sendRawTransaction",
+    ]);
+    const tx = ethers.utils.parseTransaction(sent[1].params[0]);
+    expect(tx.from).to.be.equal(wallet.address);
+    expect(tx.nonce).to.be.equal(2);
+    expect(tx.chainId).to.be.equal(4);
+    expect(tx.data).to.be.equal("0x12345678");
+  });
+
+  it("should sign the typed data with the remote signer", async () => {
+    const provider = new RemoteSignerProvider(
+      { request: async () => "0x" },
+      { id: "remote", enabled: true, url, address: wallet.address },
+      4
+    );
+    const domain = { name: "Tribute", version: "1", chainId: 4 };
+    const types = { Message: [{ name: "content", type: "string" }] };
+    const message = { content: "hello" };
+    const signature = await provider.request({
+      method: "eth_signTypedData_v4",
+      params: [
+        wallet.address,
+        JSON.stringify({
+          domain,
+          types: {
+            EIP712Domain: [
+              { name: "name", type: "string" },
+              { name: "version", type: "string" },
+              { name: "chainId", type: "uint256" },
+            ],
+            ...types,
+          },
+          primaryType: "Message",
+          message,
+        }),
+      ],
+    });
+
+    expect(
+      ethers.utils.verifyTypedData(domain, types, message, signature)
+    ).to.be.equal(wallet.address);
+  });
+
+  it("should sign with the account methods of the Clef external API", async () => {
+    const signer = createRemoteSigner({ url, api: "clef" });
+
+    expect(await signer.getAccounts()).to.be.deep.equal([wallet.address]);
+    const raw = await signer.signTransaction(
+      toRpcTransaction(
+        {
+          from: wallet.address,
+          to: "0x0000000000000000000000000000000000000da0",
+          gas: "0x5208",
+          nonce: 1,
+          gasPrice: "0x3b9aca00",
+        },
+        4
+      )
+    );
+    expect(ethers.utils.parseTransaction(raw).from).to.be.equal(wallet.address);
+
+    const domain = { name: "Tribute", version: "1", chainId: 4 };
+    const types = { Message: [{ name: "content", type: "string" }] };
+    const message = { content: "hello" };
+    const signature = await signer.signTypedData(
+      wallet.address,
+      JSON.stringify({ domain, types, primaryType: "Message", message })
+    );
+    expect(
+      ethers.utils.verifyTypedData(domain, types, message, signature)
+    ).to.be.equal(wallet.address);
+
+    expect(requests.map((r) => r.method)).to.be.deep.equal([
+      "account_list",
+      "account_signTransaction",
+      "account_signTypedData",
+    ]);
+    expect(() => createRemoteSigner({ url, api: "geth" })).to.throw(
+      "Invalid remote signer api geth, use: eth, clef"
+    );
+  });
+});
@@ -0,0 +1,172 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { sha3 } = require("../../utils/contract-util");
+const { extendDao } = require("../../utils/deployment-util");
+const {
+  createSafeBatch,
+  encodeMultiSend,
+  formatTransactionBuilderBatch,
+} = require("../../utils/safe-batch-util");
+const { contracts } = require("../../configs/contracts.config");
+
+describe("Utils - Safe Batch", () => {
+  const safeAddress = "0x0000000000000000000000000000000000005afe";
+  const daoAddress = "0x0000000000000000000000000000000000000da0";
+  const adapterAddress = "0x0000000000000000000000000000000000000001";
+  const daoFactoryAddress = "0x0000000000000000000000000000000000000002";
+
+  const daoInterface = new ethers.utils.Interface([
+    "function finalizeDao()",
+    "function setAddressConfiguration(bytes32 key, address value)",
+  ]);
+
+  it("should encode the calls added to the batch", async () => {
+    const batch = createSafeBatch({ safeAddress, chainId: 4 });
+    const dao = { address: daoAddress, interface: daoInterface };
+    await batch.add({
+      stepId: "setAddressConfiguration:governance.role.default",
+      contract: dao,
+      method: "setAddressConfiguration",
+      args: [sha3("governance.role.default"), adapterAddress],
+    });
+    await batch.add({
+      stepId: "finalizeDao",
+      contract: dao,
+      method: "finalizeDao",
+    });
+
+    expect(batch.transactions.map((tx) => tx.stepId)).to.be.deep.equal([
+      "setAddressConfiguration:governance.role.default",
+      "finalizeDao",
+    ]);
+    expect(batch.transactions[1]).to.be.deep.include({
+      to: daoAddress,
+      value: "0",
+      data: daoInterface.getSighash("finalizeDao"),
+    });
+
+    const builderBatch = formatTransactionBuilderBatch(batch, { name: "test" });
+    expect(builderBatch.chainId).to.be.equal("4");
+    expect(builderBatch.meta.createdFromSafeAddress).to.be.equal(safeAddress);
+    expect(builderBatch.transactions.map((tx) => tx.data)).to.be.deep.equal(
+      batch.transactions.map((tx) => tx.data)
+    );
+  });
+
+  it("should pack the transactions in the multiSend calldata", async () => {
+    const transactions = [
+      { to: daoAddress, value: "0", data: "0x12345678" },
+      { to: adapterAddress, value: "1", data: "0x" },
+    ];
+    const [packed] = new ethers.utils.Interface([
+      "function multiSend(bytes transactions)",
+    ]).decodeFunctionData("multiSend", encodeMultiSend(transactions));
+
+    const pack = (operation, to, value, data) =>
+      ethers.utils.solidityPack(
+        ["uint8", "address", "uint256", "uint256", "bytes"],
+        [operation, to, value, ethers.utils.hexDataLength(data), data]
+      );
+    expect(packed).to.be.equal(
+      ethers.utils.hexConcat([
+        pack(0, daoAddress, 0, "0x12345678"),
+        pack(0, adapterAddress, 1, "0x"),
+      ])
+    );
+    // 1 + 20 + 32 + 32 bytes per transaction plus the data
+    expect(ethers.utils.hexDataLength(packed)).to.be.equal(85 * 2 + 4);
+  });
+
+  it("should add the owner-only calls to the batch instead of sending them", async () => {
+    const sent = [];
+    // Fake contracts that fail if any transaction is sent, and encode the method name as calldata
+    const fake = (address, name) =>
+      new Proxy(
+        {
+          address,
+          configs: contracts.find((c) => c.name === name),
+          interface: { encodeFunctionData: (method) => method },
+        },
+        {
+          get: (target, prop) =>
+            prop in target || prop === "then"
+              ? target[prop]
+              : async () => {
+                  sent.push(prop);
+                  throw new Error(`unexpected transaction ${prop}`);
+                },
+        }
+      );
+    const dao = Object.assign(fake(daoAddress), {
+      state: async () => 0,
+      getExtensionAddress: async () => {
+        throw new Error("extension not found");
+      },
+      getAdapterAddress: async () => {
+        throw new Error("adapter not found");
+      },
+    });
+    const interfaces = contracts.reduce(
+      (all, c) => ({ ...all, [c.name]: { contractName: c.name } }),
+      {}
+    );
+    const safeBatch = createSafeBatch({ safeAddress, chainId: 1 });
+
+    await extendDao({
+      ...interfaces,
+      contractConfigs: contracts,
+      daoAddress,
+      owner: safeAddress,
+      safeBatch,
+      attachFunction: async () => dao,
+      deployFunction: async ({ contractName }) =>
+        fake(
+          contractName === "DaoFactory" ? daoFactoryAddress : adapterAddress,
+          contractName
+        ),
+      contracts: ["LendNFTContract"],
+    });
+
+    expect(sent).to.be.deep.equal([]);
+    expect(safeBatch.transactions).to.be.deep.equal([
+      {
+        stepId: "addAdapters:LendNFTContract",
+        to: daoFactoryAddress,
+        value: "0",
+        data: "addAdapters",
+      },
+      {
+        stepId: "configureDao:LendNFTContract:0",
+        to: adapterAddress,
+        value: "0",
+        data: "configureDao",
+      },
+    ]);
+  });
+});
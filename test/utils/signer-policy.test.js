@@ -0,0 +1,197 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  loadSignerPolicy,
+  createSignerPolicy,
+} = require("../../utils/signer-policy-util");
+const { rejection } = require("../../utils/hardhat-test-util");
+
+describe("Utils - Signer Policy", () => {
+  const deployer = "0x0000000000000000000000000000000000000123";
+  const daoFactoryAddress = "0x0000000000000000000000000000000000000f00";
+  const unknownAddress = "0x0000000000000000000000000000000000000bad";
+  const daoFactoryCode = "0x6080604052348015600f57600080fd5b50";
+  const addAdapters = new ethers.utils.Interface([
+    "function addAdapters(address dao, (bytes32 id, address addr, uint128 flags)[] adapters)",
+  ]).getSighash("addAdapters");
+  let dir;
+  let auditLog;
+
+  const clone = (implementation) =>
+    `0x363d3d373d3d3d363d73${implementation.slice(
+      2
+    )}5af43d82803e903d91602b57fd5bf3`;
+
+  const createPolicy = (policy, code = {}) =>
+    createSignerPolicy({
+      policy: { auditLog, ...policy },
+      provider: {
+        request: async ({ method, params }) => {
+          if (method !== "eth_getCode") throw new Error(`Unexpected ${method}`);
+          return code[params[0]] || "0x";
+        },
+      },
+      artifacts: {
+        readArtifactSync: (contractName) => ({
+          contractName,
+          sourceName: `contracts/${contractName}.sol`,
+          deployedBytecode:
+            contractName === "DaoFactory" ? daoFactoryCode : "0x6080",
+          deployedLinkReferences: {},
+        }),
+        getBuildInfo: async () => undefined,
+      },
+    });
+
+  const readAuditLog = () =>
+    fs
+      .readFileSync(auditLog, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "signer-policy-"));
+    auditLog = path.join(dir, "audit.log");
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("should allow the contracts created by the signer and their clones", async () => {
+    const policy = createPolicy({});
+    const send = async () => "0x01";
+    await policy.sendTransaction(
+      { from: deployer, nonce: "0x5", data: daoFactoryCode },
+      send
+    );
+    const created = ethers.utils
+      .getContractAddress({ from: deployer, nonce: 5 })
+      .toLowerCase();
+    expect(
+      await policy.check({ from: deployer, to: created, data: addAdapters })
+    ).to.be.deep.equal([]);
+
+    const daoAddress = "0x0000000000000000000000000000000000000da0";
+    const clonePolicy = createPolicy(
+      { allowedTargets: [created] },
+      { [daoAddress]: clone(created) }
+    );
+    expect(
+      await clonePolicy.check({ from: deployer, to: daoAddress })
+    ).to.be.deep.equal([]);
+    expect(
+      await clonePolicy.check({ from: deployer, to: unknownAddress })
+    ).to.be.deep.equal([`target ${unknownAddress} is not allowed`]);
+  });
+
+  it("should allow the targets that match the code of the allowed contracts", async () => {
+    const policy = createPolicy(
+      { allowedContracts: ["DaoArtifacts", "DaoFactory"] },
+      { [daoFactoryAddress]: daoFactoryCode, [unknownAddress]: "0x6081" }
+    );
+    expect(
+      await policy.check({ from: deployer, to: daoFactoryAddress })
+    ).to.be.deep.equal([]);
+    expect(
+      await policy.check({ from: deployer, to: unknownAddress })
+    ).to.be.deep.equal([`target ${unknownAddress} is not allowed`]);
+  });
+
+  it("should reject the denied transactions with all the reasons and log them", async () => {
+    const policy = createPolicy({
+      allowedTargets: [daoFactoryAddress],
+      allowedSelectors: [
+        "addAdapters(address,(bytes32,address,uint128)[])",
+        "0x12345678",
+      ],
+      maxValue: "0",
+      maxFeePerGas: "100000000000",
+      maxFee: "3000000000000000",
+    });
+    const sent = [];
+    const send = async (tx) => {
+      sent.push(tx);
+      return "0x02";
+    };
+
+    const allowed = {
+      from: deployer,
+      to: daoFactoryAddress,
+      data: addAdapters,
+      gas: "0x5208",
+      maxFeePerGas: "0x3b9aca00",
+      nonce: "0x1",
+    };
+    expect(await policy.sendTransaction(allowed, send)).to.be.equal("0x02");
+
+    const message = await rejection(
+      policy.sendTransaction(
+        {
+          ...allowed,
+          data: "0xdeadbeef",
+          value: "0x1",
+          gas: "0x1e8480",
+          maxFeePerGas: "0x2e90edd000",
+        },
+        send
+      )
+    );
+    expect(message).to.be.equal(
+      "Transaction denied by the signer policy: " +
+        "function selector 0xdeadbeef is not allowed; " +
+        "value 1 exceeds the max value 0; " +
+        "fee per gas 200000000000 exceeds the max fee per gas 100000000000; " +
+        "fee 400000000000000000 exceeds the max fee 3000000000000000"
+    );
+    expect(sent).to.have.length(1);
+
+    const entries = readAuditLog();
+    expect(entries.map((e) => e.decision)).to.be.deep.equal(["sent", "denied"]);
+    expect(entries[0]).to.include({
+      hash: "0x02",
+      to: daoFactoryAddress,
+      selector: addAdapters,
+      nonce: 1,
+    });
+    expect(entries[1].reasons).to.have.length(4);
+  });
+
+  it("should only load the known policy options", () => {
+    expect(() =>
+      loadSignerPolicy({ allowedTargets: [], maxGasPrice: "1" })
+    ).to.throw("Unknown signer policy options: maxGasPrice");
+
+    const file = path.join(dir, "policy.json");
+    fs.writeFileSync(file, JSON.stringify({ maxValue: "0" }));
+    expect(loadSignerPolicy(file)).to.be.deep.equal({ maxValue: "0" });
+  });
+});
@@ -0,0 +1,169 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { decodeMetadata } = require("../../utils/bytecode-util");
+const {
+  computeIpfsHash,
+  exportSourcifyBundles,
+} = require("../../utils/sourcify-util");
+
+describe("Utils - Sourcify", () => {
+  const factoryAddress = "0x0000000000000000000000000000000000000f00";
+  const votingAddress = "0x0000000000000000000000000000000000000001";
+  const registryAddress = "0x0000000000000000000000000000000000000da0";
+  const sources = {
+    "contracts/DaoFactory.sol": "contract DaoFactory {}",
+    "contracts/Voting.sol": "contract VotingContract {}",
+  };
+  const metadataOf = (source) =>
+    JSON.stringify({
+      compiler: { version: "0.8.9+commit.e5eed63a" },
+      language: "Solidity",
+      sources: {
+        [source]: { keccak256: ethers.utils.id(sources[source]) },
+      },
+    });
+  let dir;
+
+  // The runtime code with the metadata appended by solc: {"ipfs": <multihash>, "solc": 0.8.9}
+  const codeWithMetadata = (metadata) =>
+    "0x6080604052" +
+    "a2646970667358221220" +
+    ethers.utils
+      .hexlify(ethers.utils.base58.decode(computeIpfsHash(metadata)))
+      .slice(6) +
+    "64736f6c6343000809" +
+    "0033";
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sourcify-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("should compute the IPFS hash of the files as solc does", () => {
+    expect(computeIpfsHash("hello world\n")).to.be.equal(
+      "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o"
+    );
+    expect(computeIpfsHash("hello world")).to.be.equal(
+      "Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD"
+    );
+  });
+
+  it("should decode the metadata appended to the bytecode", () => {
+    const metadata = metadataOf("contracts/DaoFactory.sol");
+    const decoded = decodeMetadata(codeWithMetadata(metadata));
+    expect(ethers.utils.base58.encode(decoded.ipfs)).to.be.equal(
+      computeIpfsHash(metadata)
+    );
+    expect(decoded.solc).to.be.equal("0x000809");
+    expect(decodeMetadata("0x6080604052")).to.be.equal(undefined);
+  });
+
+  it("should export the bundles and check the metadata hash of the on-chain code", async () => {
+    const contracts = {
+      DaoFactory: "contracts/DaoFactory.sol",
+      VotingContract: "contracts/Voting.sol",
+    };
+    const artifacts = {
+      readArtifactSync: (name) => ({
+        contractName: name,
+        sourceName: contracts[name],
+      }),
+      getBuildInfo: async () => ({
+        input: {
+          sources: Object.entries(sources).reduce(
+            (all, [source, content]) => ({ ...all, [source]: { content } }),
+            {}
+          ),
+        },
+        output: {
+          contracts: Object.entries(contracts).reduce(
+            (all, [name, source]) => ({
+              ...all,
+              [source]: { [name]: { metadata: metadataOf(source) } },
+            }),
+            {}
+          ),
+        },
+      }),
+    };
+    const code = {
+      [factoryAddress]: codeWithMetadata(
+        metadataOf("contracts/DaoFactory.sol")
+      ),
+      // Deployed from different sources
+      [votingAddress]: codeWithMetadata(metadataOf("contracts/DaoFactory.sol")),
+    };
+
+    const results = await exportSourcifyBundles({
+      registry: {
+        chainId: 1666600000,
+        contracts: {
+          DaoRegistry: {
+            name: "DaoRegistry",
+            address: registryAddress,
+            createdBy: "DaoFactory",
+          },
+          DaoFactory: { name: "DaoFactory", address: factoryAddress },
+          VotingContract: { name: "VotingContract", address: votingAddress },
+        },
+      },
+      provider: { getCode: async (address) => code[address] },
+      artifacts,
+      dir,
+    });
+
+    expect(results.map((r) => [r.name, r.status])).to.be.deep.equal([
+      ["DaoRegistry", "skipped"],
+      ["DaoFactory", "match"],
+      ["VotingContract", "mismatch"],
+    ]);
+    expect(results[2].reason).to.match(
+      /^metadata hash Qm\w+ differs from the local build Qm\w+$/
+    );
+
+    const bundleDir = path.join(
+      dir,
+      "1666600000",
+      ethers.utils.getAddress(factoryAddress)
+    );
+    expect(
+      fs.readFileSync(path.join(bundleDir, "metadata.json"), "utf8")
+    ).to.be.equal(metadataOf("contracts/DaoFactory.sol"));
+    expect(
+      fs.readFileSync(
+        path.join(bundleDir, "sources/contracts/DaoFactory.sol"),
+        "utf8"
+      )
+    ).to.be.equal(sources["contracts/DaoFactory.sol"]);
+  });
+});
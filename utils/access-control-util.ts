@@ -1,4 +1,4 @@
-const { sha3 } = require("./contract-util.js");
+const { sha3, toBN } = require("./contract-util.js");
 const { extensionsIdsMap } = require("./dao-ids-util");
 
 export type ACLValue = {
@@ -95,6 +95,20 @@ export const vestingExtensionAclFlags: Array<string> = Object.values(
   vestingExtensionAclFlagsMap
 );
 
+/**
+ * The ACL flags of each extension indexed by the extension id,
+ * the position of the flag in the array is the flag index in the extension.
+ */
+export const extensionsAclFlags: Record<string, Array<string>> = {
+  [extensionsIdsMap.BANK_EXT]: bankExtensionAclFlags,
+  [extensionsIdsMap.ERC20_EXT]: erc20ExtensionAclFlags,
+  [extensionsIdsMap.ERC721_EXT]: erc721ExtensionAclFlags,
+  [extensionsIdsMap.ERC1155_EXT]: erc1155ExtensionAclFlags,
+  [extensionsIdsMap.ERC1271_EXT]: erc1271ExtensionAclFlags,
+  [extensionsIdsMap.EXECUTOR_EXT]: executorExtensionAclFlags,
+  [extensionsIdsMap.VESTING_EXT]: vestingExtensionAclFlags,
+};
+
 export const parseSelectedFlags = (
   allAclFlags: Array<string>,
   selectedFlags: Array<string>,
@@ -244,3 +258,44 @@ export const calculateFlagValue = (values: Array<boolean>): number => {
     .map((v, idx) => (v === true ? 2 ** idx : 0))
     .reduce((a, b) => a + b);
 };
+
+/**
+ * Decodes a flag value into the names of the enabled flags, the reverse of `calculateFlagValue`.
+ * The bits that do not map to any known flag are named by their index, e.g. `UNKNOWN_FLAG_9`,
+ * so no granted access is hidden.
+ * @param allAclFlags The flags of the DAO or extension, the position is the bit index.
+ * @param value The flag value, e.g. the `acl` stored in the DaoRegistry.
+ * @returns the names of the enabled flags.
+ */
+export const decodeFlags = (
+  allAclFlags: Array<string>,
+  value: number | string | { toString: () => string }
+): Array<string> => {
+  let remaining = toBN(value.toString());
+  const flags: Array<string> = [];
+  for (let idx = 0; !remaining.isZero(); idx++) {
+    if (!remaining.and(1).isZero())
+      flags.push(allAclFlags[idx] || `UNKNOWN_FLAG_${idx}`);
+    remaining = remaining.shr(1);
+  }
+  return flags;
+};
+
+/**
+ * Decodes the flags granted to an adapter in the DaoRegistry.
+ */
+export const decodeDaoFlags = (
+  value: number | string | { toString: () => string }
+): Array<string> => decodeFlags(daoAccessFlags, value);
+
+/**
+ * Decodes the flags granted to an adapter in an extension, e.g: `decodeExtensionFlags("bank", 6)`.
+ */
+export const decodeExtensionFlags = (
+  extensionId: string,
+  value: number | string | { toString: () => string }
+): Array<string> => {
+  const flags = extensionsAclFlags[extensionId];
+  if (!flags) throw Error(`Unknown extension id: ${extensionId}`);
+  return decodeFlags(flags, value);
+};
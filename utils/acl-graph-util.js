@@ -0,0 +1,200 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { ContractType } = require("../configs/contracts.config");
+
+/**
+ * The flags that allow an adapter to replace the adapters of the DAO,
+ * move the funds out of the DAO, or act on behalf of the DAO.
+ * The edges with any of these flags are highlighted in the graph.
+ */
+const dangerousFlags = ["REPLACE_ADAPTER", "WITHDRAW", "EXECUTE", "SIGN"];
+
+/**
+ * Selects the contracts that `configureDao` grants access to in a DAO:
+ * the enabled adapters, and the enabled extensions with access to other extensions.
+ * It returns the same shape of the permission matrix read from a live DAO by `readAclMatrix`.
+ */
+const fromContractConfigs = (contractConfigs) => {
+  const enabled = contractConfigs.filter((c) => c.enabled && !c.skipAutoDeploy);
+  const extensions = enabled.filter((c) => c.type === ContractType.Extension);
+  const adapters = enabled
+    .filter((c) => c.type === ContractType.Adapter)
+    .concat(
+      extensions.filter(
+        (e) => e.acls && Object.keys(e.acls.extensions).length > 0
+      )
+    )
+    .filter((c) => c.acls);
+
+  return {
+    extensions: extensions.map((e) => ({ id: e.id, name: e.name })),
+    adapters: adapters.map((a) => ({
+      id: a.id,
+      name: a.name,
+      acls: a.acls,
+      // The ids of the adapters and extensions can be the same, e.g. bank
+      extension: a.type === ContractType.Extension,
+    })),
+  };
+};
+
+/**
+ * The key of a node in the Mermaid and DOT outputs, e.g: `ext_bank` or `adapter_ragequit`.
+ */
+const nodeKey = (type, id) => `${type}_${id}`.replace(/[^A-Za-z0-9_]/g, "_");
+
+/**
+ * Builds the permission graph of a DAO. The nodes are the DaoRegistry, the extensions
+ * and the adapters, and each edge goes from an adapter to the DaoRegistry or to an extension,
+ * labelled with the flags granted to the adapter in the target.
+ * The extensions that have access to other extensions are the source of their own edges.
+ * @param matrix The permission matrix created by `fromContractConfigs` or `readAclMatrix`.
+ */
+const buildPermissionGraph = (matrix) => {
+  const isExtension = (id) => matrix.extensions.some((e) => e.id === id);
+  // In a live DAO, the extensions with access to other extensions are also registered as adapters
+  const isExtensionAdapter = (a) =>
+    a.extension ||
+    (!!a.address && matrix.extensions.some((e) => e.address === a.address));
+  // The extensions in the acls that are not in the DAO are still shown, named by their id
+  const extensions = matrix.extensions.concat(
+    matrix.adapters
+      .flatMap((a) => Object.keys(a.acls.extensions || {}))
+      .filter((id, i, ids) => ids.indexOf(id) === i && !isExtension(id))
+      .map((id) => ({ id, name: id }))
+  );
+
+  const nodes = [
+    { key: "dao", name: "DaoRegistry", type: "dao", address: matrix.dao },
+  ]
+    .concat(
+      extensions.map((e) => ({
+        key: nodeKey("ext", e.id),
+        name: e.name,
+        type: "extension",
+        address: e.address,
+      }))
+    )
+    .concat(
+      matrix.adapters
+        .filter((a) => !isExtensionAdapter(a))
+        .map((a) => ({
+          key: nodeKey("adapter", a.id),
+          name: a.name,
+          type: "adapter",
+          address: a.address,
+        }))
+    );
+
+  const edges = matrix.adapters.flatMap((a) => {
+    const from = nodeKey(isExtensionAdapter(a) ? "ext" : "adapter", a.id);
+    return [["dao", a.acls.dao || []]]
+      .concat(
+        Object.entries(a.acls.extensions || {}).map(([extId, flags]) => [
+          nodeKey("ext", extId),
+          flags,
+        ])
+      )
+      .filter(([, flags]) => flags.length > 0)
+      .map(([to, flags]) => ({
+        from,
+        to,
+        flags,
+        dangerous: flags.some((flag) => dangerousFlags.includes(flag)),
+      }));
+  });
+
+  return { nodes, edges };
+};
+
+const nodeLabel = (node, separator) =>
+  node.address ? `${node.name}${separator}${node.address}` : node.name;
+
+/**
+ * Formats the permission graph as a Mermaid flowchart, the dangerous edges are drawn in red.
+ */
+const formatMermaid = (graph) => {
+  const shapes = {
+    dao: (label) => `{{"${label}"}}`,
+    extension: (label) => `[("${label}")]`,
+    adapter: (label) => `["${label}"]`,
+  };
+  return ["graph LR"]
+    .concat(
+      graph.nodes.map(
+        (n) => `  ${n.key}${shapes[n.type](nodeLabel(n, "<br/>"))}`
+      )
+    )
+    .concat(
+      graph.edges.map(
+        (e) => `  ${e.from} -->|"${e.flags.join("<br/>")}"| ${e.to}`
+      )
+    )
+    .concat(
+      graph.edges
+        .map((e, i) => (e.dangerous ? i : -1))
+        .filter((i) => i >= 0)
+        .map((i) => `  linkStyle ${i} stroke:#d00,stroke-width:3px,color:#d00`)
+    )
+    .join("\n");
+};
+
+/**
+ * Formats the permission graph in the Graphviz DOT language, the dangerous edges are drawn in red.
+ * e.g: `npx hardhat acl:graph --format dot | dot -Tsvg > permissions.svg`
+ */
+const formatDot = (graph) => {
+  const shapes = { dao: "hexagon", extension: "cylinder", adapter: "box" };
+  return ["digraph permissions {", "  rankdir=LR;"]
+    .concat(
+      graph.nodes.map(
+        (n) =>
+          `  "${n.key}" [label="${nodeLabel(n, "\\n")}", shape=${
+            shapes[n.type]
+          }];`
+      )
+    )
+    .concat(
+      graph.edges.map(
+        (e) =>
+          `  "${e.from}" -> "${e.to}" [label="${e.flags.join("\\n")}"${
+            e.dangerous ? ", color=red, fontcolor=red, penwidth=2" : ""
+          }];`
+      )
+    )
+    .concat("}")
+    .join("\n");
+};
+
+module.exports = {
+  dangerousFlags,
+  fromContractConfigs,
+  buildPermissionGraph,
+  formatMermaid,
+  formatDot,
+};
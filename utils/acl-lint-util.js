@@ -0,0 +1,346 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { ContractType } = require("../configs/contracts.config");
+const { daoAccessFlags, extensionsAclFlags } = require("./access-control-util");
+
+/**
+ * The modifiers that check the ACL flags of the caller: `hasAccess` in the DaoRegistry
+ * and `hasExtensionAccess` in the extensions.
+ */
+const guardModifiers = ["hasAccess", "hasExtensionAccess"];
+
+/**
+ * The modifiers of the functions that the DAO calls in creation mode, e.g. `configureDao`.
+ * `onlyAdapter` lets anyone call them while the DAO is in creation mode, and the DaoRegistry
+ * and the extensions skip the ACL flags in creation mode as well, so their calls do not require any flag.
+ */
+const creationModeModifiers = ["onlyAdapter"];
+
+/**
+ * Visits every AST node nested in a node, including the node itself.
+ */
+const visitNodes = (node, visit) => {
+  if (Array.isArray(node)) return node.forEach((n) => visitNodes(n, visit));
+  if (!node || typeof node !== "object") return;
+  if (node.nodeType) visit(node);
+  Object.values(node).forEach((value) => visitNodes(value, visit));
+};
+
+/**
+ * Indexes the functions and modifiers of the ASTs in a hardhat build info by node id,
+ * so the calls can be followed through the `referencedDeclaration` of each reference.
+ * The `src` of a node, `start:length:sourceIndex`, is resolved to a file and line
+ * using the Solidity sources of the build info.
+ */
+const indexBuildInfo = (buildInfo) => {
+  const definitions = new Map();
+  const contracts = new Map();
+  const sourceNames = {};
+
+  Object.entries(buildInfo.output.sources).forEach(([sourceName, source]) => {
+    sourceNames[source.id] = sourceName;
+    source.ast.nodes.forEach((node) => {
+      if (node.nodeType === "FunctionDefinition") {
+        // Free functions run in the context of the caller, like library functions
+        definitions.set(node.id, { node, contract: null });
+      }
+      if (node.nodeType !== "ContractDefinition") return;
+      contracts.set(node.id, node);
+      node.nodes
+        .filter(
+          (n) =>
+            n.nodeType === "FunctionDefinition" ||
+            n.nodeType === "ModifierDefinition"
+        )
+        .forEach((n) => definitions.set(n.id, { node: n, contract: node }));
+    });
+  });
+
+  const getLocation = (src) => {
+    const [start, , sourceIndex] = src.split(":").map(Number);
+    const sourceName = sourceNames[sourceIndex];
+    const input = buildInfo.input.sources[sourceName];
+    if (!input) return { sourceName };
+    // The offsets of the AST are in bytes, not in characters
+    const line = Buffer.from(input.content, "utf8")
+      .slice(0, start)
+      .toString("utf8")
+      .split("\n").length;
+    return { sourceName, line };
+  };
+
+  const findContract = (name) =>
+    Array.from(contracts.values()).find(
+      (c) => c.name === name && c.contractKind === "contract"
+    );
+
+  return { definitions, contracts, getLocation, findContract };
+};
+
+/**
+ * Reads the ACL flags checked by the guard modifiers of a function,
+ * e.g. `hasExtensionAccess(_dao, AclFlag.WITHDRAW)` returns `["WITHDRAW"]`.
+ */
+const getGuardFlags = (functionNode) =>
+  (functionNode.modifiers || [])
+    .filter((m) => guardModifiers.includes(m.modifierName.name))
+    .map((m) =>
+      (m.arguments || [])
+        .filter((arg) => arg.nodeType === "MemberAccess")
+        .map((arg) => arg.memberName)
+        .pop()
+    )
+    .filter((flag) => flag);
+
+/**
+ * Finds the ACL flags required by a contract: the flags checked by the guarded functions
+ * of the DaoRegistry and the extensions that the contract calls.
+ * The calls are followed from the external and public functions of the contract through
+ * the internal functions, the inherited contracts and the libraries, because they are
+ * executed with the contract as `msg.sender`. The functions only called in creation mode,
+ * see `creationModeModifiers`, are skipped.
+ * The low-level calls, e.g. `address(executor).call(data)`, are not detected.
+ * @param index The build info index created by `indexBuildInfo`.
+ * @param contractName The name of the analysed contract.
+ * @param targets The target id of each guarded contract name, e.g: `{ DaoRegistry: "dao", BankExtension: "bank" }`.
+ * @returns the call sites of each required flag, by target id, e.g: `{ dao: { NEW_MEMBER: [{ sourceName, line, function }] } }`.
+ */
+const findRequiredFlags = ({ index, contractName, targets }) => {
+  const contract = index.findContract(contractName);
+  if (!contract)
+    throw new Error(`Missing the AST of ${contractName} in the build info`);
+
+  const bases = contract.linearizedBaseContracts;
+  const required = {};
+  const visited = new Set();
+  const baseDefinitions = Array.from(index.definitions.values()).filter(
+    (d) =>
+      d.contract &&
+      d.contract.contractKind !== "interface" &&
+      bases.includes(d.contract.id)
+  );
+  // A call to a virtual function runs the function that overrides it
+  const overriding = (definition) =>
+    baseDefinitions.filter((d) =>
+      (d.node.baseFunctions || []).includes(definition.node.id)
+    );
+
+  const walk = (definition) => {
+    if (visited.has(definition.node.id)) return;
+    visited.add(definition.node.id);
+
+    visitNodes(definition.node, (node) => {
+      const target = index.definitions.get(node.referencedDeclaration);
+      if (!target) return;
+      const targetId = target.contract && targets[target.contract.name];
+      if (targetId && !bases.includes(target.contract.id)) {
+        getGuardFlags(target.node).forEach((flag) => {
+          required[targetId] = required[targetId] || {};
+          required[targetId][flag] = (required[targetId][flag] || []).concat({
+            ...index.getLocation(node.src),
+            function: `${target.contract.name}.${target.node.name}`,
+          });
+        });
+      } else if (
+        !target.contract ||
+        target.contract.contractKind === "library" ||
+        bases.includes(target.contract.id)
+      ) {
+        walk(target);
+        overriding(target).forEach(walk);
+      }
+    });
+  };
+
+  const overridden = baseDefinitions.flatMap((d) => d.node.baseFunctions || []);
+  baseDefinitions
+    .filter(
+      (d) =>
+        d.node.nodeType === "FunctionDefinition" &&
+        !overridden.includes(d.node.id) &&
+        (["external", "public"].includes(d.node.visibility) ||
+          ["constructor", "receive", "fallback"].includes(d.node.kind)) &&
+        !(d.node.modifiers || []).some((m) =>
+          creationModeModifiers.includes(m.modifierName.name)
+        )
+    )
+    .forEach(walk);
+
+  return required;
+};
+
+/**
+ * Compares the flags required by a contract with the `acls` of its contract config.
+ * Each finding has a type:
+ * - `unused`: the flag is granted in the config, but the contract never calls a function guarded by it.
+ * - `missing`: the contract calls a function guarded by the flag, but it is not granted in the config.
+ * - `unknown-flag`: the guard checks a flag that is not defined in `utils/access-control-util.ts`.
+ */
+const compareAcls = ({ config, required }) => {
+  const acls = config.acls || { dao: [], extensions: {} };
+  const granted = {
+    dao: acls.dao || [],
+    ...(acls.extensions || {}),
+  };
+  const knownFlags = { dao: daoAccessFlags, ...extensionsAclFlags };
+  const finding = (type, target, flag, extra = {}) => ({
+    contract: config.name,
+    type,
+    target,
+    flag,
+    ...extra,
+  });
+
+  const unknown = Object.entries(required).flatMap(([target, flags]) =>
+    Object.keys(flags)
+      .filter((flag) => !(knownFlags[target] || []).includes(flag))
+      .map((flag) =>
+        finding("unknown-flag", target, flag, { calls: flags[flag] })
+      )
+  );
+  const unused = Object.entries(granted).flatMap(([target, flags]) =>
+    flags
+      .filter((flag) => !(required[target] && required[target][flag]))
+      .map((flag) => finding("unused", target, flag))
+  );
+  const missing = Object.entries(required).flatMap(([target, flags]) =>
+    Object.keys(flags)
+      .filter((flag) => (knownFlags[target] || []).includes(flag))
+      .filter((flag) => !(granted[target] || []).includes(flag))
+      .map((flag) => finding("missing", target, flag, { calls: flags[flag] }))
+  );
+  return unknown.concat(unused, missing);
+};
+
+/**
+ * Describes a finding in one line, e.g. `RagequitContract: unused bank flag ADD_TO_BALANCE`.
+ */
+const describeFinding = (f) =>
+  `${f.contract}: ${f.type} ${f.target === "dao" ? "DAO" : f.target} flag ${
+    f.flag
+  }`;
+
+/**
+ * Lints the `acls` of the enabled adapters and extensions in the contract configs,
+ * using the ASTs of the compiled contracts.
+ * @param contractConfigs The contract configs, e.g. the `contracts` of a network config.
+ * @param artifacts The hardhat artifacts, used to read the build info of each contract.
+ * @param only The names of the contracts to lint, defaults to all of them.
+ * @param allowed The descriptions of the findings that are not reported, e.g. the `knownFindings`.
+ * @returns the required and granted flags of each linted contract, and the findings.
+ */
+const lintAcls = async ({
+  contractConfigs,
+  artifacts,
+  only = [],
+  allowed = [],
+}) => {
+  const targets = contractConfigs
+    .filter((c) => c.type === ContractType.Extension)
+    .reduce((t, c) => ({ ...t, [c.name]: c.id }), { DaoRegistry: "dao" });
+  // The build infos hold the ASTs of many contracts, so each one is read once
+  const buildInfos = [];
+  const indexes = {};
+
+  const configs = contractConfigs.filter(
+    (c) =>
+      c.enabled &&
+      (c.type === ContractType.Adapter || c.type === ContractType.Extension) &&
+      (only.length === 0 || only.includes(c.name))
+  );
+
+  return await configs.reduce(
+    (p, config) =>
+      p.then(async (report) => {
+        const artifact = await artifacts.readArtifact(config.name);
+        const fullName = `${artifact.sourceName}:${artifact.contractName}`;
+        const buildInfo =
+          buildInfos.find((b) => b.output.sources[artifact.sourceName]) ||
+          (await artifacts.getBuildInfo(fullName));
+        if (!buildInfo)
+          throw new Error(
+            `Missing the build info of ${fullName}, run: npx hardhat compile`
+          );
+        if (!buildInfos.includes(buildInfo)) buildInfos.push(buildInfo);
+        indexes[buildInfo.id] =
+          indexes[buildInfo.id] || indexBuildInfo(buildInfo);
+
+        const required = findRequiredFlags({
+          index: indexes[buildInfo.id],
+          contractName: artifact.contractName,
+          targets,
+        });
+        const findings = compareAcls({ config, required }).filter(
+          (f) => !allowed.includes(describeFinding(f))
+        );
+        return {
+          contracts: report.contracts.concat({
+            id: config.id,
+            name: config.name,
+            type: config.type,
+            acls: config.acls,
+            required,
+          }),
+          findings: report.findings.concat(findings),
+        };
+      }),
+    Promise.resolve({ contracts: [], findings: [] })
+  );
+};
+
+/**
+ * Formats the findings of the ACL linter, one line per finding,
+ * with the call sites that require the missing flags.
+ */
+const formatLintReport = (report) => {
+  const lines = report.findings.map((f) => {
+    const head = describeFinding(f);
+    if (!f.calls) return head;
+    return [head]
+      .concat(
+        f.calls.map(
+          (c) => `    ${c.function} called at ${c.sourceName}:${c.line}`
+        )
+      )
+      .join("\n");
+  });
+  return lines
+    .concat(
+      `${report.contracts.length} contracts linted, ${report.findings.length} findings`
+    )
+    .join("\n");
+};
+
+module.exports = {
+  indexBuildInfo,
+  getGuardFlags,
+  findRequiredFlags,
+  compareAcls,
+  lintAcls,
+  formatLintReport,
+};
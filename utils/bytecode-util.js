@@ -0,0 +1,192 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+/**
+ * Finds the start of the CBOR encoded metadata appended by solc to the runtime bytecode.
+ * The last 2 bytes are the length of the metadata, which contains the hash of the
+ * sources and compiler settings, so it changes even if the code is the same.
+ * Returns -1 if the bytecode does not end with the metadata.
+ */
+const getMetadataStart = (hex) => {
+  if (hex.length < 4) return -1;
+  const length = parseInt(hex.slice(-4), 16) * 2;
+  const start = hex.length - 4 - length;
+  // The metadata is a CBOR map, e.g: 0xa264 {"ipfs": ..., "solc": ...}
+  if (start < 0 || (parseInt(hex.slice(start, start + 2), 16) & 0xf0) !== 0xa0)
+    return -1;
+  return start;
+};
+
+/**
+ * Removes the CBOR encoded metadata appended by solc to the runtime bytecode.
+ */
+const stripMetadata = (hex) => {
+  const start = getMetadataStart(hex);
+  return start < 0 ? hex : hex.slice(0, start);
+};
+
+/**
+ * Decodes the metadata appended by solc to the runtime bytecode, e.g:
+ * `{ ipfs: "0x1220...", solc: "0x000809" }`. Only the CBOR types used by solc are supported:
+ * text keys, and byte string, text or boolean values.
+ * Returns undefined if the bytecode does not end with the metadata.
+ */
+const decodeMetadata = (bytecode) => {
+  const hex = bytecode.replace(/^0x/, "").toLowerCase();
+  const start = getMetadataStart(hex);
+  if (start < 0) return undefined;
+  const bytes = Buffer.from(hex.slice(start, -4), "hex");
+
+  let offset = 0;
+  // The major type is in the 3 high bits, and the length in the 5 low bits
+  const readItem = () => {
+    const head = bytes[offset++];
+    const major = head >> 5;
+    let length = head & 0x1f;
+    if (major === 7) return length === 21;
+    if (length === 24) length = bytes[offset++];
+    else if (length === 25) {
+      length = bytes.readUInt16BE(offset);
+      offset += 2;
+    }
+    const value = bytes.slice(offset, offset + length);
+    offset += length;
+    if (major === 2) return `0x${value.toString("hex")}`;
+    if (major === 3) return value.toString("utf8");
+    throw new Error(`Unsupported CBOR type ${major} in the metadata`);
+  };
+
+  const entries = bytes[offset++] & 0x1f;
+  return Array.from({ length: entries }).reduce((metadata) => {
+    const key = readItem();
+    return { ...metadata, [key]: readItem() };
+  }, {});
+};
+
+/**
+ * Replaces the bytes of the immutable variables and of the linked libraries with zeros,
+ * because their values are only known after the deployment.
+ */
+const maskReferences = (hex, references) =>
+  references.reduce(
+    (masked, { start, length }) =>
+      masked.slice(0, start * 2) +
+      "0".repeat(length * 2) +
+      masked.slice((start + length) * 2),
+    hex
+  );
+
+/**
+ * Lists the `{ start, length }` references of the immutables and the linked libraries,
+ * in the format of the solc output: `{ astId: [refs] }` and `{ file: { lib: [refs] } }`.
+ */
+const getReferences = ({ immutableReferences = {}, linkReferences = {} }) =>
+  Object.values(immutableReferences)
+    .flat()
+    .concat(
+      Object.values(linkReferences).flatMap((libraries) =>
+        Object.values(libraries).flat()
+      )
+    );
+
+/**
+ * Normalizes a runtime bytecode so the on-chain code can be compared to the compiled code.
+ */
+const normalizeBytecode = (bytecode, references = {}) =>
+  stripMetadata(
+    maskReferences(
+      bytecode.replace(/^0x/, "").toLowerCase(),
+      getReferences(references)
+    )
+  );
+
+/**
+ * Reads the runtime bytecode, the immutable references and the link references
+ * of a contract compiled in build/artifacts. The immutable references are
+ * only available in the build info of the compilation.
+ */
+const getLocalBytecode = async (artifacts, contractName) => {
+  const artifact = artifacts.readArtifactSync(contractName);
+  const buildInfo = await artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  const output =
+    buildInfo &&
+    buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  return {
+    bytecode: artifact.deployedBytecode,
+    linkReferences: artifact.deployedLinkReferences,
+    immutableReferences: output
+      ? output.evm.deployedBytecode.immutableReferences
+      : {},
+  };
+};
+
+/**
+ * Compares the on-chain runtime bytecode with the compiled one,
+ * ignoring the immutable values, the linked libraries and the metadata hash.
+ */
+const compareBytecode = (onchainBytecode, local) => {
+  if (!onchainBytecode || onchainBytecode === "0x")
+    return { match: false, reason: "no code at the address" };
+  // The immutables are masked at the same positions in both codes
+  const onchain = normalizeBytecode(onchainBytecode, local);
+  const compiled = normalizeBytecode(local.bytecode, local);
+  if (onchain.length !== compiled.length)
+    return {
+      match: false,
+      reason: `code size ${onchain.length / 2} bytes, expected ${
+        compiled.length / 2
+      } bytes`,
+    };
+  if (onchain !== compiled)
+    return { match: false, reason: "code differs from the local build" };
+  return { match: true };
+};
+
+/**
+ * Checks that the code deployed at the address matches the contract compiled in build/artifacts.
+ */
+const checkDeployedBytecode = async ({
+  provider,
+  artifacts,
+  contractName,
+  address,
+}) =>
+  compareBytecode(
+    await provider.getCode(address),
+    await getLocalBytecode(artifacts, contractName)
+  );
+
+module.exports = {
+  stripMetadata,
+  decodeMetadata,
+  normalizeBytecode,
+  getLocalBytecode,
+  compareBytecode,
+  checkDeployedBytecode,
+};
@@ -5,6 +5,7 @@ const {
   ContractConfig,
 } = require("../configs/contracts.config");
 const { deployConfigs } = require("../deploy-config");
+const { info } = require("./log-util");
 const checkpointDir = path.resolve(deployConfigs.checkpointDir);
 const checkpointPath = path.resolve(
   `${checkpointDir}/%network%-checkpoints.json`
@@ -83,3 +84,156 @@ export const restore = async (
   }
   return null;
 };
+
+export type JournalEntry = {
+  hash?: string;
+  address?: string;
+  // The constructor args and the source of the contracts that were not deployed, e.g. DaoArtifacts
+  args?: Array<any>;
+  attachedFrom?: string;
+  // The step was started, but it was not completed, e.g. the deployment stopped
+  // while the tx was being mined
+  pending?: boolean;
+  ts?: number;
+};
+
+// Records the tx hash of a step as soon as the tx is sent, before it is mined
+export type SentCallback = (hash: string, extra?: JournalEntry) => void;
+
+const inMemoryNetworks = ["ganache", "hardhat"];
+
+const journalPath = (network: string, daoName: string) =>
+  path.resolve(
+    `${checkpointDir}/${network}-${daoName.replace(
+      /[^a-zA-Z0-9-_]/g,
+      "_"
+    )}-journal.json`
+  );
+
+/**
+ * Creates the deployment journal of a DAO. The journal records every completed
+ * deployment step (contract deployments and configuration transactions) with its tx hash,
+ * so a failed deployment can be resumed from the first incomplete step, for the same DAO.
+ * Each recorded step is verified on-chain before it is skipped.
+ * A step is recorded as pending before it runs, with the tx hash once it is sent.
+ * On resume, the pending tx is waited for, and the `resume` function of the step,
+ * if any, reads the state of the chain to find out if the step was completed
+ * by a tx that is not recorded, e.g. a tx replaced with higher fees.
+ * Once the deployment is completed the journal is archived, so the next deployment with
+ * the same name creates a new DAO instead of resuming the completed one.
+ * The ganache and hardhat journals are only kept in memory, because these chains are
+ * usually restarted between deployments.
+ */
+export const createJournal = (
+  network: string,
+  daoName: string,
+  provider: any
+) => {
+  const file = inMemoryNetworks.includes(network)
+    ? undefined
+    : journalPath(network, daoName);
+  let steps: Record<string, JournalEntry> = {};
+  try {
+    if (file) steps = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    steps = {};
+  }
+
+  const save = () => {
+    if (!file) return;
+    if (!fs.existsSync(checkpointDir)) {
+      fs.mkdirSync(checkpointDir);
+    }
+    fs.writeFileSync(file, JSON.stringify(steps, null, 2), "utf-8");
+  };
+
+  const verify = async (entry: JournalEntry) => {
+    if (entry.hash) {
+      const receipt = await provider.getTransactionReceipt(entry.hash);
+      if (!receipt || receipt.status !== 1) return false;
+    }
+    if (entry.address) {
+      const code = await provider.getCode(entry.address);
+      if (!code || code === "0x") return false;
+    }
+    return true;
+  };
+
+  const reconcile = async (
+    recorded: JournalEntry,
+    resume?: () => Promise<JournalEntry | undefined>
+  ): Promise<JournalEntry | undefined> => {
+    const { pending, ...entry } = recorded;
+    // The tx is waited for only if the network still knows it, it might have been dropped
+    const tx = entry.hash ? await provider.getTransaction(entry.hash) : null;
+    const receipt = tx ? await provider.waitForTransaction(entry.hash) : null;
+    const mined =
+      receipt && receipt.status === 1
+        ? {
+            ...entry,
+            address: entry.address || receipt.contractAddress || undefined,
+          }
+        : undefined;
+    if (!resume) return mined;
+    const resumed = await resume();
+    return resumed ? { ...mined, ...resumed } : undefined;
+  };
+
+  const complete = (stepId: string, entry: JournalEntry) => {
+    steps[stepId] = { ...entry, ts: new Date().getTime() };
+    save();
+    log(`Journal: ${stepId}:${entry.hash}`);
+    return steps[stepId];
+  };
+
+  const step = async (
+    stepId: string,
+    run: (sent: SentCallback) => Promise<JournalEntry>,
+    resume?: () => Promise<JournalEntry | undefined>
+  ): Promise<JournalEntry> => {
+    const recorded = steps[stepId];
+    if (recorded && recorded.pending) {
+      const entry = await reconcile(recorded, resume);
+      if (entry) {
+        info(`
+    Step reconciled '${stepId}'
+    -------------------------------------------------
+     transaction hash: ${entry.hash}
+     contract address: ${entry.address}`);
+        return complete(stepId, entry);
+      }
+      info(`Step ${stepId} was not completed on-chain, running it again`);
+    } else if (recorded) {
+      if (await verify(recorded)) {
+        info(`
+    Step restored '${stepId}'
+    -------------------------------------------------
+     transaction hash: ${recorded.hash}
+     contract address: ${recorded.address}`);
+        return recorded;
+      }
+      info(`Step ${stepId} not found on-chain, running it again`);
+    }
+
+    steps[stepId] = { pending: true, ts: new Date().getTime() };
+    save();
+    const entry = await run((hash, extra = {}) => {
+      steps[stepId] = { ...steps[stepId], ...extra, hash };
+      save();
+    });
+    return complete(stepId, entry);
+  };
+
+  /**
+   * Renames the journal file to `<network>-<dao name>-journal-<timestamp>.json`,
+   * and returns the archived file.
+   */
+  const archive = () => {
+    if (!file || !fs.existsSync(file)) return undefined;
+    const archived = file.replace(/\.json$/, `-${new Date().getTime()}.json`);
+    fs.renameSync(file, archived);
+    return archived;
+  };
+
+  return { file, steps, step, archive };
+};
@@ -0,0 +1,97 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { ZERO_ADDRESS } = require("./contract-util");
+const { ethers } = require("ethers");
+
+/**
+ * The CloneFactory creates the clones with the CREATE opcode, so the address
+ * of a clone only depends on the factory address and the factory nonce.
+ * The nonce of a contract starts at 1 (EIP-161), and it is incremented by each clone.
+ */
+const predictCloneAddress = (factoryAddress, nonce) =>
+  ethers.utils.getContractAddress({ from: factoryAddress, nonce });
+
+/**
+ * Reads the current nonce of a factory, which is the nonce used by its next clone.
+ */
+const getFactoryNonce = async (provider, factoryAddress) => {
+  const code = await provider.getCode(factoryAddress);
+  if (!code || code === "0x")
+    throw new Error(`Factory ${factoryAddress} is not deployed`);
+  return await provider.getTransactionCount(factoryAddress);
+};
+
+/**
+ * Computes the addresses of the next `count` clones of a factory.
+ * The addresses are only valid if no other clone is created by the same factory
+ * before the predicted ones, e.g. when the factory is shared with other deployers.
+ */
+const predictCloneAddresses = async ({
+  provider,
+  factoryAddress,
+  count = 1,
+}) => {
+  const nonce = await getFactoryNonce(provider, factoryAddress);
+  return Array.from({ length: count }, (_, i) => ({
+    nonce: nonce + i,
+    address: predictCloneAddress(factoryAddress, nonce + i),
+  }));
+};
+
+/**
+ * Computes the address of the DaoRegistry created by the next `createDao` call.
+ * The DAO name is only used to index the DAO in the factory,
+ * so it fails if the name is already taken.
+ */
+const predictDaoAddress = async ({ provider, daoFactory, daoName }) => {
+  const current = await daoFactory.getDaoAddress(daoName);
+  if (current && current !== ZERO_ADDRESS)
+    throw new Error(`DAO name ${daoName} already taken by ${current}`);
+
+  const [clone] = await predictCloneAddresses({
+    provider,
+    factoryAddress: daoFactory.address,
+  });
+  return clone.address;
+};
+
+/**
+ * Computes the address of the extension created by the next `create` call
+ * of an extension factory, e.g. BankFactory or NFTCollectionFactory.
+ */
+const predictExtensionAddress = async ({ provider, factoryAddress }) => {
+  const [clone] = await predictCloneAddresses({ provider, factoryAddress });
+  return clone.address;
+};
+
+module.exports = {
+  predictCloneAddress,
+  predictCloneAddresses,
+  predictDaoAddress,
+  predictExtensionAddress,
+};
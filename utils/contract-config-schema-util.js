@@ -0,0 +1,217 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ContractType } = require("../configs/contracts.config");
+const { adaptersIdsMap, extensionsIdsMap } = require("./dao-ids-util");
+const { daoAccessFlags, extensionsAclFlags } = require("./access-control-util");
+const { knownDeployOptions } = require("./deployment-manifest-util");
+
+/**
+ * The options added by `deployDao` to the deployment options,
+ * so they can be used in the `daoConfigs` without being declared in the manifests.
+ */
+const deploymentOptions = ["daoAddress", "unitTokenToMint", "lootTokenToMint"];
+
+/**
+ * A semantic version, e.g: `1.0.0` or `1.1.0-beta.1`.
+ */
+const versionPattern = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Finds the .sol file that declares a contract, library or interface.
+ * The `path` of the contract configs is relative to `configs/networks`, and its last segment
+ * is the contract name, which is not always the file name, e.g: `contracts/adapters/VotingContract`
+ * is declared in `contracts/adapters/voting/Voting.sol`, so the file is searched in the
+ * directory of the path.
+ */
+const findSolidityFile = (rootDir, contractPath, name) => {
+  const file = path.resolve(rootDir, "configs/networks", contractPath);
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return undefined;
+  const declaration = new RegExp(
+    `^\\s*(abstract\\s+)?(contract|library|interface)\\s+${name}\\b`,
+    "m"
+  );
+  const declares = (f) => declaration.test(fs.readFileSync(f, "utf8"));
+  const candidates = [`${file}.sol`].concat(
+    fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".sol"))
+      .map((f) => path.join(dir, f))
+  );
+  return candidates.find((f) => fs.existsSync(f) && declares(f));
+};
+
+const checkAcls = (acls) => {
+  if (!acls || typeof acls !== "object") return ["acls: is required"];
+  const unknownDaoFlags = (acls.dao || []).filter(
+    (flag) => !daoAccessFlags.includes(flag)
+  );
+  return (
+    unknownDaoFlags.length > 0
+      ? [`acls.dao: unknown flags ${unknownDaoFlags.join(", ")}`]
+      : []
+  ).concat(
+    Object.entries(acls.extensions || {}).flatMap(([extId, flags]) => {
+      const known = extensionsAclFlags[extId];
+      if (!known) return [`acls.extensions: unknown extension id ${extId}`];
+      const unknown = flags.filter((flag) => !known.includes(flag));
+      return unknown.length > 0
+        ? [`acls.extensions.${extId}: unknown flags ${unknown.join(", ")}`]
+        : [];
+    })
+  );
+};
+
+/**
+ * Checks the attributes of a single contract config, and returns the problems found.
+ */
+const checkContractConfig = (config, rootDir) => {
+  const problems = [];
+  ["id", "name", "path", "version"]
+    .filter((attr) => typeof config[attr] !== "string" || !config[attr])
+    .forEach((attr) => problems.push(`${attr}: is required`));
+  if (typeof config.enabled !== "boolean")
+    problems.push("enabled: must be a boolean");
+  if (!Object.values(ContractType).includes(config.type))
+    problems.push(`type: unknown contract type ${config.type}`);
+
+  if (config.version && !versionPattern.test(config.version))
+    problems.push(
+      `version: must be a semantic version, e.g: 1.0.0, got ${config.version}`
+    );
+  if (
+    config.path &&
+    config.name &&
+    !findSolidityFile(rootDir, config.path, config.name)
+  )
+    problems.push(
+      `path: no .sol file in ${path.dirname(config.path)} declares ${
+        config.name
+      }`
+    );
+  if (
+    config.type === ContractType.Extension &&
+    typeof config.buildAclFlag !== "function"
+  )
+    problems.push("buildAclFlag: is required for extensions");
+
+  checkAcls(config.acls).forEach((p) => problems.push(p));
+
+  (config.daoConfigs || []).forEach((entry, i) =>
+    entry
+      .filter(
+        (configName) =>
+          !Object.values(extensionsIdsMap).includes(configName) &&
+          !knownDeployOptions.includes(configName) &&
+          !deploymentOptions.includes(configName)
+      )
+      .forEach((configName) =>
+        problems.push(
+          `daoConfigs[${i}]: ${configName} is not an extension id nor a deployment option`
+        )
+      )
+  );
+  return problems;
+};
+
+/**
+ * Finds the values of an attribute used by more than one contract config.
+ */
+const findDuplicates = (contractConfigs, attr) =>
+  contractConfigs
+    .map((c) => c[attr])
+    .filter((value, i, values) => value && values.indexOf(value) !== i)
+    .filter((value, i, values) => values.indexOf(value) === i);
+
+/**
+ * Checks the contract configs, e.g. `configs/contracts.config.ts` or the `contracts` of a network config,
+ * and returns every problem found, so they can be reported at once.
+ * Each problem points at the offending entry by its index and name, e.g:
+ * `contracts[12] OnboardingContract: version: must be a semantic version, e.g: 1.0.0, got 1.0`.
+ */
+const checkContractConfigs = (
+  contractConfigs,
+  rootDir = path.resolve(__dirname, "..")
+) => {
+  if (!contractConfigs) return ["Missing contract configs"];
+  const configs = Object.values(contractConfigs);
+
+  const entryProblems = configs.flatMap((config, i) =>
+    checkContractConfig(config, rootDir).map(
+      (problem) => `contracts[${i}] ${config.name}: ${problem}`
+    )
+  );
+  // The voting adapters share the same id and alias, only one of them is added to the DAO
+  const withoutVoting = configs.filter(
+    (c) => c.id !== adaptersIdsMap.VOTING_ADAPTER
+  );
+  const adapterIds = findDuplicates(
+    withoutVoting.filter((c) => c.type === ContractType.Adapter),
+    "id"
+  ).map((id) => `Duplicate contract Id detected: ${id}`);
+  const names = findDuplicates(configs, "name").map(
+    (name) => `Duplicate contract name detected: ${name}`
+  );
+  const aliases = findDuplicates(withoutVoting, "alias").map(
+    (alias) => `Duplicate contract alias detected: ${alias}`
+  );
+  return entryProblems.concat(adapterIds, names, aliases);
+};
+
+/**
+ * Checks a network config: its contract configs, and the contract names
+ * referenced by its `disabled` list, which must exist in its contract configs.
+ */
+const checkNetworkConfig = (network, networkConfig, rootDir) => {
+  const names = (networkConfig.contracts || []).map((c) => c.name);
+  return checkContractConfigs(networkConfig.contracts, rootDir)
+    .concat(
+      (networkConfig.disabled || [])
+        .filter((name) => !names.includes(name))
+        .map((name) => `disabled: ${name} is not a known contract name`)
+    )
+    .map((problem) => `${network} config: ${problem}`);
+};
+
+/**
+ * Throws an error with all the problems found in a network config.
+ */
+const validateNetworkConfig = (network, networkConfig, rootDir) => {
+  const problems = checkNetworkConfig(network, networkConfig, rootDir);
+  if (problems.length > 0) throw new Error(problems.join("\n"));
+  return networkConfig;
+};
+
+module.exports = {
+  findSolidityFile,
+  checkContractConfigs,
+  checkNetworkConfig,
+  validateNetworkConfig,
+};
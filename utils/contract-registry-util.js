@@ -0,0 +1,271 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { ContractType } = require("../configs/contracts.config");
+
+/**
+ * The version of the registry format, it must be incremented on breaking changes.
+ * The files created before the registry was versioned are plain `name -> address` maps,
+ * and are loaded as version 0.
+ */
+const registryVersion = 1;
+
+const getContractTypeName = (type) =>
+  Object.keys(ContractType).find((name) => ContractType[name] === type);
+
+/**
+ * Converts the constructor args to JSON values, e.g. the BigNumbers to decimal strings,
+ * so they can be stored in the registry and in the deployment journal.
+ */
+const toJsonArgs = (args) =>
+  (args || []).map((arg) => {
+    if (Array.isArray(arg)) return toJsonArgs(arg);
+    if (ethers.BigNumber.isBigNumber(arg)) return arg.toString();
+    return arg;
+  });
+
+/**
+ * Finds the tx that created a contract in the deployment journal.
+ * The DaoRegistry and the extensions are clones created by the factories,
+ * so their tx is the `createDao` or `createExtension` call.
+ */
+const getDeploymentStep = ({ journal, daoName, config }) => {
+  if (!journal) return {};
+  if (config.name === "DaoRegistry")
+    return journal.steps[`createDao:${daoName}`] || {};
+  if (config.type === ContractType.Extension)
+    return journal.steps[`createExtension:${config.id}`] || {};
+  return journal.steps[`deploy:${config.name}`] || {};
+};
+
+/**
+ * Builds the registry entry of a deployed contract.
+ * The contract may carry the `constructorArgs` and the `attachedFrom` source
+ * set by the deploy function, otherwise they are read from the deployment journal.
+ */
+const buildRegistryEntry = async ({
+  contract,
+  config,
+  journal,
+  daoName,
+  contractConfigs,
+  provider,
+  artifacts,
+}) => {
+  const step = getDeploymentStep({ journal, daoName, config });
+  const code = await provider.getCode(contract.address);
+  const attachedFrom = contract.attachedFrom || step.attachedFrom;
+  const factory =
+    config.name === "DaoRegistry"
+      ? contractConfigs.find((c) => c.name === "DaoFactory")
+      : config.type === ContractType.Extension
+      ? contractConfigs.find(
+          (c) =>
+            c.type === ContractType.Factory &&
+            c.generatesExtensionId === config.id
+        )
+      : undefined;
+
+  return {
+    name: config.name,
+    alias: config.alias,
+    type: getContractTypeName(config.type),
+    version: config.version,
+    address: contract.address,
+    abi: artifacts.readArtifactSync(config.name).abi,
+    bytecodeHash:
+      code && code !== "0x" ? ethers.utils.keccak256(code) : undefined,
+    constructorArgs: toJsonArgs(contract.constructorArgs || step.args || []),
+    transactionHash: contract.deployTransaction
+      ? contract.deployTransaction.hash
+      : step.hash,
+    createdBy: factory ? factory.name : undefined,
+    attached: attachedFrom === "DaoArtifacts",
+    attachedFrom,
+  };
+};
+
+/**
+ * Builds the registry of the contracts used by a DAO deployment.
+ */
+const buildContractRegistry = async ({
+  network,
+  chainId,
+  version,
+  daoName,
+  owner,
+  dao,
+  contracts,
+  contractConfigs,
+  journal,
+  provider,
+  artifacts,
+}) => {
+  const daoConfig = contractConfigs.find((c) => c.name === "DaoRegistry") || {
+    name: "DaoRegistry",
+    type: ContractType.Core,
+  };
+  const entries = await [{ ...dao, configs: daoConfig }]
+    .concat(contracts)
+    .reduce(
+      (p, contract) =>
+        p.then(async (list) =>
+          list.concat(
+            await buildRegistryEntry({
+              contract,
+              config: contract.configs,
+              journal,
+              daoName,
+              contractConfigs,
+              provider,
+              artifacts,
+            })
+          )
+        ),
+      Promise.resolve([])
+    );
+
+  return {
+    registryVersion,
+    package: "tribute-contracts",
+    version,
+    network,
+    chainId,
+    daoName,
+    daoAddress: dao.address,
+    owner,
+    createdAt: new Date().toISOString(),
+    contracts: entries.reduce(
+      (registry, entry) => ({ ...registry, [entry.name]: entry }),
+      {}
+    ),
+  };
+};
+
+/**
+ * Writes the registry to a JSON file.
+ */
+const saveContractRegistry = (registry, file) => {
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2), "utf8");
+  return file;
+};
+
+/**
+ * Parses a registry, the legacy `name -> address` files are converted
+ * to registry entries without ABI.
+ */
+const parseContractRegistry = (data) => {
+  if (data.registryVersion === undefined)
+    return {
+      registryVersion: 0,
+      contracts: Object.entries(data).reduce(
+        (registry, [name, address]) => ({
+          ...registry,
+          [name]: { name, address },
+        }),
+        {}
+      ),
+    };
+  if (data.registryVersion > registryVersion)
+    throw new Error(
+      `Unsupported registry version ${data.registryVersion}, the max supported version is ${registryVersion}`
+    );
+  return data;
+};
+
+/**
+ * Reads a registry from a deployed contracts file.
+ */
+const loadContractRegistry = (file) =>
+  parseContractRegistry(JSON.parse(fs.readFileSync(file, "utf8")));
+
+/**
+ * Finds the registry entry of a contract by name or alias.
+ */
+const getRegistryEntry = (registry, nameOrAlias) => {
+  const entry =
+    registry.contracts[nameOrAlias] ||
+    Object.values(registry.contracts).find((c) => c.alias === nameOrAlias);
+  if (!entry)
+    throw new Error(`Contract ${nameOrAlias} not found in the registry`);
+  return entry;
+};
+
+/**
+ * Returns the addresses of the registry as a `name -> address` map.
+ */
+const getContractAddresses = (registry) =>
+  Object.values(registry.contracts).reduce(
+    (addresses, c) => ({ ...addresses, [c.name]: c.address }),
+    {}
+  );
+
+/**
+ * Creates the ethers contract instance of a registry entry found by name or alias.
+ * The legacy registries do not have the ABI, so the ABI must be provided.
+ */
+const getContract = (registry, nameOrAlias, signerOrProvider, abi) => {
+  const entry = getRegistryEntry(registry, nameOrAlias);
+  if (!entry.abi && !abi)
+    throw new Error(
+      `Missing ABI of ${entry.name}, the registry version ${registry.registryVersion} does not store the ABIs`
+    );
+  return new ethers.Contract(entry.address, entry.abi || abi, signerOrProvider);
+};
+
+/**
+ * Loads all the contracts of a registry file, or of a parsed registry,
+ * as ethers contract instances indexed by name.
+ */
+const loadContracts = ({ file, registry, signerOrProvider }) => {
+  const contractRegistry = registry || loadContractRegistry(file);
+  return Object.values(contractRegistry.contracts)
+    .filter((c) => c.abi)
+    .reduce(
+      (contracts, c) => ({
+        ...contracts,
+        [c.name]: new ethers.Contract(c.address, c.abi, signerOrProvider),
+      }),
+      {}
+    );
+};
+
+module.exports = {
+  registryVersion,
+  toJsonArgs,
+  buildRegistryEntry,
+  buildContractRegistry,
+  saveContractRegistry,
+  parseContractRegistry,
+  loadContractRegistry,
+  getRegistryEntry,
+  getContractAddresses,
+  getContract,
+  loadContracts,
+};
@@ -0,0 +1,177 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { decodeDaoFlags, extensionsAclFlags } = require("./access-control-util");
+const {
+  buildIdsLookup,
+  readRegisteredIds,
+  readAddress,
+  readFlags,
+} = require("./dao-audit-util");
+const { ContractType } = require("../configs/contracts.config");
+
+/**
+ * Finds the name of an adapter or extension id in the contract configs.
+ * The extensions that access other extensions are also added as adapters.
+ */
+const getContractName = (contractConfigs, id, type) => {
+  const config =
+    contractConfigs.find((c) => c.id === id && c.type === type) ||
+    contractConfigs.find((c) => c.id === id);
+  return config ? config.name : id;
+};
+
+/**
+ * Reads the permission matrix of a live DAO: the DAO flags of each adapter,
+ * and the flags of each adapter in each extension.
+ * The adapters and extensions are found via the AdapterAdded/ExtensionAdded events
+ * emitted since `fromBlock`, and the flags are read from the current DAO state.
+ * The `dao` must be an ethers contract instance of the DaoRegistry.
+ */
+const readAclMatrix = async ({ dao, contractConfigs = [], fromBlock = 0 }) => {
+  const idsLookup = buildIdsLookup(contractConfigs);
+  const nameOf = (id) => idsLookup[id] || id;
+
+  const extensions = await (
+    await readRegisteredIds(
+      dao,
+      "ExtensionAdded",
+      "ExtensionRemoved",
+      fromBlock
+    )
+  ).reduce(
+    (p, hash) =>
+      p.then(async (list) => {
+        const id = nameOf(hash);
+        const address = await readAddress(dao, "getExtensionAddress", id);
+        if (!address) return list;
+        return list.concat({
+          id,
+          name: getContractName(contractConfigs, id, ContractType.Extension),
+          address,
+        });
+      }),
+    Promise.resolve([])
+  );
+
+  const adapters = await (
+    await readRegisteredIds(dao, "AdapterAdded", "AdapterRemoved", fromBlock)
+  ).reduce(
+    (p, hash) =>
+      p.then(async (list) => {
+        const id = nameOf(hash);
+        const address = await readAddress(dao, "getAdapterAddress", id);
+        if (!address) return list;
+        const { acl } = await dao.inverseAdapters(address);
+        const extensionFlags = await extensions.reduce(
+          (q, e) =>
+            q.then(async (acls) => ({
+              ...acls,
+              [e.id]: await readFlags(extensionsAclFlags[e.id] || [], (flag) =>
+                dao.hasAdapterAccessToExtension(address, e.address, flag)
+              ),
+            })),
+          Promise.resolve({})
+        );
+        return list.concat({
+          id,
+          name: getContractName(contractConfigs, id, ContractType.Adapter),
+          address,
+          acl: acl.toString(),
+          acls: { dao: decodeDaoFlags(acl), extensions: extensionFlags },
+        });
+      }),
+    Promise.resolve([])
+  );
+
+  return { dao: dao.address, extensions, adapters };
+};
+
+/**
+ * Builds the rows of the permission matrix: one row per adapter,
+ * and one column for the DAO and for each extension.
+ */
+const toMatrixRows = (matrix) => {
+  const header = ["Adapter", "Address", "DaoRegistry"].concat(
+    matrix.extensions.map((e) => e.name)
+  );
+  const rows = matrix.adapters.map((a) =>
+    [a.name, a.address, a.acls.dao].concat(
+      matrix.extensions.map((e) => a.acls.extensions[e.id] || [])
+    )
+  );
+  return { header, rows };
+};
+
+/**
+ * Formats the permission matrix as a text table, the flags of each cell are separated by commas.
+ */
+const formatAclTable = (matrix) => {
+  const { header, rows } = toMatrixRows(matrix);
+  const cells = [header].concat(
+    rows.map((row) =>
+      row.map((cell) => (Array.isArray(cell) ? cell.join(", ") || "-" : cell))
+    )
+  );
+  const widths = header.map((_, i) =>
+    Math.max(...cells.map((row) => row[i].length))
+  );
+  const line = (row) =>
+    row.map((cell, i) => cell.padEnd(widths[i])).join(" | ");
+  return [
+    `DaoRegistry: ${matrix.dao}`,
+    "",
+    line(cells[0]),
+    widths.map((w) => "-".repeat(w)).join("-|-"),
+  ]
+    .concat(cells.slice(1).map(line))
+    .join("\n");
+};
+
+const csvCell = (value) =>
+  /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Formats the permission matrix as CSV, the flags of each cell are separated by `|`.
+ */
+const formatAclCsv = (matrix) => {
+  const { header, rows } = toMatrixRows(matrix);
+  return [header]
+    .concat(
+      rows.map((row) =>
+        row.map((cell) => (Array.isArray(cell) ? cell.join("|") : cell))
+      )
+    )
+    .map((row) => row.map(csvCell).join(","))
+    .join("\n");
+};
+
+module.exports = {
+  readAclMatrix,
+  formatAclTable,
+  formatAclCsv,
+};
@@ -0,0 +1,218 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { sha3, fromAscii, toAscii, ZERO_ADDRESS } = require("./contract-util");
+const { checkDeployedBytecode } = require("./bytecode-util");
+const { ContractType } = require("../configs/contracts.config");
+
+/**
+ * The contract types reused across DAOs through the DaoArtifacts,
+ * the Core, Extension and Test contracts are always deployed.
+ */
+const artifactTypes = [
+  ContractType.Factory,
+  ContractType.Adapter,
+  ContractType.Util,
+];
+
+/**
+ * The max number of artifacts accepted by `DaoArtifacts.updateArtifacts`.
+ */
+const maxArtifactsPerBatch = 20;
+
+/**
+ * Encodes the version of a contract config as the bytes32 version of the DaoArtifacts.
+ */
+const toArtifactVersion = (version) => fromAscii(version).padEnd(66, "0");
+
+const fromArtifactVersion = (version) =>
+  toAscii(version).replace(/\u0000/g, "");
+
+const getTypeName = (type) =>
+  Object.keys(ContractType).find((name) => ContractType[name] === Number(type));
+
+const getArtifactConfigs = (contractConfigs) =>
+  contractConfigs
+    .filter((c) => c.enabled)
+    .filter((c) => artifactTypes.includes(c.type));
+
+/**
+ * Builds the artifacts of every enabled Factory, Adapter and Util contract config
+ * with the addresses of a contract registry. The configs that are not found
+ * in the registry are returned as missing.
+ */
+const buildArtifacts = ({ contractConfigs, registry, owner }) =>
+  getArtifactConfigs(contractConfigs).reduce(
+    (result, config) => {
+      const entry = registry.contracts[config.name];
+      if (!entry || !entry.address)
+        return { ...result, missing: result.missing.concat(config.name) };
+      return {
+        ...result,
+        artifacts: result.artifacts.concat({
+          _id: sha3(config.name),
+          _owner: owner,
+          _version: toArtifactVersion(config.version),
+          _address: entry.address,
+          _type: config.type,
+        }),
+      };
+    },
+    { artifacts: [], missing: [] }
+  );
+
+/**
+ * Publishes the artifacts with `updateArtifacts`, which is restricted to the owner
+ * of the DaoArtifacts contract. The artifacts are sent in batches of 20,
+ * the max size accepted by the contract. Returns the tx hash of each batch.
+ */
+const publishArtifacts = async ({
+  daoArtifacts,
+  artifacts,
+  batchSize = maxArtifactsPerBatch,
+}) => {
+  const batches = Array.from(
+    { length: Math.ceil(artifacts.length / batchSize) },
+    (_, i) => artifacts.slice(i * batchSize, (i + 1) * batchSize)
+  );
+  return await batches.reduce(
+    (p, batch) =>
+      p.then(async (hashes) => {
+        const tx = await daoArtifacts.updateArtifacts(batch);
+        await tx.wait();
+        return hashes.concat(tx.hash);
+      }),
+    Promise.resolve([])
+  );
+};
+
+/**
+ * Lists the artifacts registered by an owner with `addArtifact`, based on the
+ * `NewArtifact` events. The names are resolved from the contract configs,
+ * and the latest event of each artifact version is the current one.
+ */
+const listArtifacts = async ({
+  daoArtifacts,
+  owner,
+  contractConfigs,
+  fromBlock = 0,
+}) => {
+  const names = contractConfigs.reduce(
+    (all, c) => ({ ...all, [sha3(c.name)]: c.name }),
+    {}
+  );
+  const events = await daoArtifacts.queryFilter(
+    daoArtifacts.filters.NewArtifact(),
+    fromBlock
+  );
+  return events
+    .filter((e) => e.args._owner.toLowerCase() === owner.toLowerCase())
+    .map((e) => ({
+      name: names[e.args._id] || e.args._id,
+      version: fromArtifactVersion(e.args._version),
+      type: getTypeName(e.args._type),
+      address: e.args._address,
+      blockNumber: e.blockNumber,
+      transactionHash: e.transactionHash,
+    }));
+};
+
+/**
+ * Reads the address of every configured Factory, Adapter and Util version
+ * registered by the owner. The lookup also finds the artifacts published
+ * with `updateArtifacts`, which does not emit the `NewArtifact` event.
+ */
+const findMissingArtifacts = async ({ daoArtifacts, owner, contractConfigs }) =>
+  await getArtifactConfigs(contractConfigs).reduce(
+    (p, config) =>
+      p.then(async (result) => {
+        const address = await daoArtifacts.getArtifactAddress(
+          sha3(config.name),
+          owner,
+          toArtifactVersion(config.version),
+          config.type
+        );
+        const artifact = {
+          name: config.name,
+          version: config.version,
+          type: getTypeName(config.type),
+        };
+        if (!address || address === ZERO_ADDRESS)
+          return { ...result, missing: result.missing.concat(artifact) };
+        return {
+          ...result,
+          registered: result.registered.concat({ ...artifact, address }),
+        };
+      }),
+    Promise.resolve({ registered: [], missing: [] })
+  );
+
+/**
+ * Compares the code of every configured artifact registered by the owner
+ * with the contracts compiled in build/artifacts. A drift means the contract
+ * changed without bumping its version in the contract configs.
+ */
+const findArtifactsDrift = async ({
+  daoArtifacts,
+  owner,
+  contractConfigs,
+  provider,
+  artifacts,
+}) => {
+  const { registered } = await findMissingArtifacts({
+    daoArtifacts,
+    owner,
+    contractConfigs,
+  });
+  return await registered.reduce(
+    (p, artifact) =>
+      p.then(async (list) =>
+        list.concat({
+          ...artifact,
+          ...(await checkDeployedBytecode({
+            provider,
+            artifacts,
+            contractName: artifact.name,
+            address: artifact.address,
+          })),
+        })
+      ),
+    Promise.resolve([])
+  );
+};
+
+module.exports = {
+  artifactTypes,
+  maxArtifactsPerBatch,
+  toArtifactVersion,
+  fromArtifactVersion,
+  buildArtifacts,
+  publishArtifacts,
+  listArtifacts,
+  findMissingArtifacts,
+  findArtifactsDrift,
+};
@@ -0,0 +1,498 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { ethers } = require("ethers");
+const { daoAccessFlags, extensionsAclFlags } = require("./access-control-util");
+const { adaptersIdsMap, extensionsIdsMap } = require("./dao-ids-util");
+const { UNITS, LOOT, sha3, toBN } = require("./contract-util");
+const { log } = require("./log-util");
+const { ContractType } = require("../configs/contracts.config");
+
+/**
+ * Computes the key of the configurations that are stored per token,
+ * the same way the `_configKey` function of the onboarding adapters does.
+ */
+const tokenConfigKey = (tokenAddr, name) =>
+  ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode(
+      ["address", "bytes32"],
+      [tokenAddr, sha3(name)]
+    )
+  );
+
+const numericConfig = (name, expected, key = sha3(name)) => ({
+  name,
+  key,
+  type: "numeric",
+  expected,
+});
+
+const addressConfig = (name, expected, key = sha3(name)) => ({
+  name,
+  key,
+  type: "address",
+  expected,
+});
+
+/**
+ * Maps the arguments of each `configureDao` call defined in the `daoConfigs`
+ * to the configuration keys that the adapter stores in the DAO.
+ * The adapters that do not store any configuration in `configureDao`,
+ * e.g. TributeContract, are not listed here.
+ */
+const daoConfigKeys = {
+  VotingContract: ([, votingPeriod, gracePeriod]) => [
+    numericConfig("voting.votingPeriod", votingPeriod),
+    numericConfig("voting.gracePeriod", gracePeriod),
+  ],
+  OffchainVotingContract: ([, votingPeriod, gracePeriod]) => [
+    numericConfig("offchainvoting.votingPeriod", votingPeriod),
+    numericConfig("offchainvoting.gracePeriod", gracePeriod),
+  ],
+  Manager: ([, signerAddress]) => [
+    addressConfig("Manager.signerAddress", signerAddress),
+  ],
+  ReimbursementContract: ([
+    ,
+    gasPriceLimit,
+    spendLimitPeriod,
+    spendLimitEth,
+  ]) => [
+    numericConfig("reimbursement.gasPriceLimit", gasPriceLimit),
+    numericConfig("reimbursement.spendLimitPeriod", spendLimitPeriod),
+    numericConfig("reimbursement.spendLimitEth", spendLimitEth),
+  ],
+  OnboardingContract: ([
+    ,
+    unitsToMint,
+    chunkSize,
+    unitsPerChunk,
+    maximumChunks,
+    tokenAddr,
+  ]) =>
+    [
+      ["onboarding.chunkSize", chunkSize, numericConfig],
+      ["onboarding.unitsPerChunk", unitsPerChunk, numericConfig],
+      ["onboarding.maximumChunks", maximumChunks, numericConfig],
+      ["onboarding.tokenAddr", tokenAddr, addressConfig],
+    ].map(([name, expected, config]) =>
+      config(name, expected, tokenConfigKey(unitsToMint, name))
+    ),
+  CouponOnboardingContract: ([, signerAddress, erc20, tokenAddrToMint]) => [
+    addressConfig("coupon-onboarding.signerAddress", signerAddress),
+    addressConfig("coupon-onboarding.erc20.internal.token.address", erc20),
+    addressConfig("coupon-onboarding.tokenAddrToMint", tokenAddrToMint),
+  ],
+  KycOnboardingContract: ([
+    ,
+    signerAddress,
+    chunkSize,
+    unitsPerChunk,
+    maximumChunks,
+    maxUnits,
+    maxMembers,
+    canTopUp,
+    fundTargetAddress,
+    tokenAddr,
+    internalTokensToMint,
+  ]) =>
+    [
+      ["kyc-onboarding.signerAddress", signerAddress, addressConfig],
+      ["kyc-onboarding.chunkSize", chunkSize, numericConfig],
+      ["kyc-onboarding.unitsPerChunk", unitsPerChunk, numericConfig],
+      ["kyc-onboarding.maximumChunks", maximumChunks, numericConfig],
+      ["kyc-onboarding.maximumTotalUnits", maxUnits, numericConfig],
+      ["kyc-onboarding.maxMembers", maxMembers, numericConfig],
+      ["kyc-onboarding.canTopUp", canTopUp, numericConfig],
+      ["kyc-onboarding.fundTargetAddress", fundTargetAddress, addressConfig],
+      ["kyc-onboarding.tokensToMint", internalTokensToMint, addressConfig],
+    ].map(([name, expected, config]) =>
+      // The key is unknown if the token address is not provided
+      config(name, expected, tokenAddr ? tokenConfigKey(tokenAddr, name) : null)
+    ),
+};
+
+/**
+ * The offchain voting adapter is configured by `configureOffchainVoting`
+ * instead of the `daoConfigs` attribute, so its config values are declared here.
+ */
+const offchainVotingDaoConfigs = [
+  ["daoAddress", "votingPeriod", "gracePeriod"],
+];
+
+/**
+ * Selects the adapters and extensions that `deployDao` adds to the DAO,
+ * based on the enabled contracts of the network config.
+ */
+const getExpectedContracts = (contractConfigs, options) => {
+  const enabled = contractConfigs.filter((c) => c.enabled);
+  const extensionIds = enabled
+    .filter((c) => c.type === ContractType.Factory && !c.skipAutoDeploy)
+    .map((c) => c.generatesExtensionId);
+  const extensions = enabled.filter(
+    (c) => c.type === ContractType.Extension && extensionIds.includes(c.id)
+  );
+
+  const configured = enabled.filter(
+    (c) => c.type === ContractType.Adapter && !c.skipAutoDeploy
+  );
+  const offchainVoting = options.offchainVoting
+    ? enabled.find((c) => c.name === "OffchainVotingContract")
+    : undefined;
+  if (options.offchainVoting && !offchainVoting)
+    throw new Error("Missing config OffchainVotingContract");
+
+  // The offchain voting replaces the voting adapter
+  const adapters = configured
+    .filter((c) => !offchainVoting || c.id !== offchainVoting.id)
+    .concat(offchainVoting ? [offchainVoting] : [])
+    // Extensions that access other extensions are added as adapters
+    .concat(
+      extensions.filter((e) => Object.keys(e.acls.extensions).length > 0)
+    );
+
+  // Every adapter that was configured keeps its config values in the DAO
+  const withDaoConfigs = configured
+    .filter((c) => c.daoConfigs && c.daoConfigs.length > 0)
+    .concat(
+      offchainVoting
+        ? [{ ...offchainVoting, daoConfigs: offchainVotingDaoConfigs }]
+        : []
+    );
+
+  return { adapters, extensions, withDaoConfigs };
+};
+
+/**
+ * Maps the sha3 of all known ids back to the id, so the adapters and extensions
+ * found in the DAO events can be identified.
+ */
+const buildIdsLookup = (contractConfigs) =>
+  Object.values(adaptersIdsMap)
+    .concat(Object.values(extensionsIdsMap))
+    .concat(contractConfigs.map((c) => c.id))
+    .reduce((lookup, id) => ({ ...lookup, [sha3(id)]: id }), {});
+
+/**
+ * Replays the added/removed events to find the ids currently registered in the DAO.
+ */
+const readRegisteredIds = async (dao, addedEvent, removedEvent, fromBlock) => {
+  const added = await dao.queryFilter(dao.filters[addedEvent](), fromBlock);
+  const removed = await dao.queryFilter(dao.filters[removedEvent](), fromBlock);
+  const registered = added
+    .map((e) => ({ ...e, added: true }))
+    .concat(removed)
+    .sort((a, b) =>
+      a.blockNumber === b.blockNumber
+        ? a.logIndex - b.logIndex
+        : a.blockNumber - b.blockNumber
+    )
+    .reduce((ids, e) => {
+      const id = e.args[0];
+      return e.added ? ids.add(id) : (ids.delete(id), ids);
+    }, new Set());
+  return Array.from(registered);
+};
+
+const readAddress = (dao, getter, id) =>
+  dao[getter](sha3(id)).catch((err) => {
+    if (err.message.includes("not found")) return null;
+    throw err;
+  });
+
+/**
+ * Checks if the voting adapter registered in the DAO is the offchain voting,
+ * using the adapter name exposed by the IVoting interface.
+ */
+const readOffchainVoting = async (dao) => {
+  const address = await readAddress(
+    dao,
+    "getAdapterAddress",
+    adaptersIdsMap.VOTING_ADAPTER
+  );
+  if (!address) return false;
+  const voting = new ethers.Contract(
+    address,
+    ["function getAdapterName() view returns (string)"],
+    dao.provider
+  );
+  return (await voting.getAdapterName()) === "OffchainVotingContract";
+};
+
+const readFlags = async (flags, hasFlag) => {
+  const enabled = await Promise.all(flags.map((_, index) => hasFlag(index)));
+  return flags.filter((_, index) => enabled[index]);
+};
+
+const diffFlags = (expected, actual) => ({
+  missing: expected.filter((f) => !actual.includes(f)),
+  unexpected: actual.filter((f) => !expected.includes(f)),
+});
+
+const unknownValue = "<unknown>";
+
+const formatValue = (value) =>
+  value === null || value === undefined ? "<not set>" : value.toString();
+
+const sameValue = (type, expected, actual) =>
+  type === "address"
+    ? expected.toLowerCase() === actual.toLowerCase()
+    : toBN(expected.toString()).eq(actual);
+
+/**
+ * Reads the state of a live DAO and compares it with the contract configs of
+ * the network, and the deployment options used to configure the adapters.
+ * The `dao` must be an ethers contract instance of the DaoRegistry.
+ * The adapters and extensions that are not in the configs are found via the
+ * AdapterAdded/ExtensionAdded events emitted since `fromBlock`.
+ * The `options` are optional: without them the expected config values are
+ * reported as unknown and not compared, and `offchainVoting` indicates which
+ * voting adapter is expected.
+ */
+const auditDao = async ({
+  dao,
+  contractConfigs,
+  options,
+  offchainVoting = false,
+  fromBlock = 0,
+}) => {
+  const expected = getExpectedContracts(
+    contractConfigs,
+    options || { offchainVoting }
+  );
+  const idsLookup = buildIdsLookup(contractConfigs);
+  const mismatches = [];
+  const report = (type, contract, message) =>
+    mismatches.push({ type, contract, message });
+
+  const extensions = await Promise.all(
+    expected.extensions.map(async (c) => ({
+      id: c.id,
+      name: c.name,
+      address: await readAddress(dao, "getExtensionAddress", c.id),
+    }))
+  );
+  extensions
+    .filter((e) => !e.address)
+    .forEach((e) =>
+      report("missing-extension", e.name, `Extension ${e.id} not found`)
+    );
+
+  const adapters = await expected.adapters.reduce(
+    (p, c) =>
+      p.then(async (list) => {
+        const address = await readAddress(dao, "getAdapterAddress", c.id);
+        if (!address) {
+          report("missing-adapter", c.name, `Adapter ${c.id} not found`);
+          return list;
+        }
+
+        const daoFlags = await readFlags(daoAccessFlags, (flag) =>
+          dao.hasAdapterAccess(address, flag)
+        );
+        const { missing, unexpected } = diffFlags(c.acls.dao, daoFlags);
+        if (missing.length > 0)
+          report("dao-acl", c.name, `Missing DAO flags: ${missing.join(", ")}`);
+        if (unexpected.length > 0)
+          report(
+            "dao-acl",
+            c.name,
+            `Unexpected DAO flags: ${unexpected.join(", ")}`
+          );
+
+        const extensionFlags = await extensions
+          .filter((e) => e.address)
+          .reduce(
+            (q, e) =>
+              q.then(async (acls) => {
+                const actual = await readFlags(
+                  extensionsAclFlags[e.id] || [],
+                  (flag) =>
+                    dao.hasAdapterAccessToExtension(address, e.address, flag)
+                );
+                const diff = diffFlags(c.acls.extensions[e.id] || [], actual);
+                if (diff.missing.length > 0)
+                  report(
+                    "extension-acl",
+                    c.name,
+                    `Missing ${e.name} flags: ${diff.missing.join(", ")}`
+                  );
+                if (diff.unexpected.length > 0)
+                  report(
+                    "extension-acl",
+                    c.name,
+                    `Unexpected ${e.name} flags: ${diff.unexpected.join(", ")}`
+                  );
+                return actual.length > 0 ? { ...acls, [e.id]: actual } : acls;
+              }),
+            Promise.resolve({})
+          );
+
+        return list.concat({
+          id: c.id,
+          name: c.name,
+          address,
+          acls: { dao: daoFlags, extensions: extensionFlags },
+        });
+      }),
+    Promise.resolve([])
+  );
+
+  const expectedAdapterIds = expected.adapters.map((c) => sha3(c.id));
+  const extraAdapters = (
+    await readRegisteredIds(dao, "AdapterAdded", "AdapterRemoved", fromBlock)
+  ).filter((id) => !expectedAdapterIds.includes(id));
+  extraAdapters.forEach((id) =>
+    report("extra-adapter", idsLookup[id] || id, `Adapter ${id} not expected`)
+  );
+
+  const expectedExtensionIds = expected.extensions.map((c) => sha3(c.id));
+  const extraExtensions = (
+    await readRegisteredIds(
+      dao,
+      "ExtensionAdded",
+      "ExtensionRemoved",
+      fromBlock
+    )
+  ).filter((id) => !expectedExtensionIds.includes(id));
+  extraExtensions.forEach((id) =>
+    report(
+      "extra-extension",
+      idsLookup[id] || id,
+      `Extension ${id} not expected`
+    )
+  );
+
+  const readConfigArg = (argName) => {
+    // The same lookup used by configureDao in deployment-util.js
+    if (Object.values(extensionsIdsMap).includes(argName)) {
+      const extension = extensions.find((e) => e.id === argName);
+      return extension ? extension.address : null;
+    }
+    return {
+      daoAddress: dao.address,
+      unitTokenToMint: UNITS,
+      lootTokenToMint: LOOT,
+      ...options,
+    }[argName];
+  };
+
+  const configs = await expected.withDaoConfigs
+    .filter((c) => daoConfigKeys[c.name])
+    .reduce(
+      (p, c) =>
+        p.then((list) =>
+          c.daoConfigs
+            .flatMap((args) => daoConfigKeys[c.name](args.map(readConfigArg)))
+            .filter((config) => config.key)
+            .reduce(
+              (q, config) =>
+                q.then(async (values) => {
+                  const actual =
+                    config.type === "address"
+                      ? await dao.getAddressConfiguration(config.key)
+                      : await dao.getConfiguration(config.key);
+                  const value = {
+                    contract: c.name,
+                    name: config.name,
+                    key: config.key,
+                    expected: options
+                      ? formatValue(config.expected)
+                      : unknownValue,
+                    actual: formatValue(actual),
+                  };
+                  if (!options) return values.concat(value);
+                  if (config.expected === null || config.expected === undefined)
+                    report(
+                      "config",
+                      c.name,
+                      `Unable to resolve the expected value of ${config.name}`
+                    );
+                  else if (!sameValue(config.type, config.expected, actual))
+                    report(
+                      "config",
+                      c.name,
+                      `Unexpected ${config.name}: ${value.actual}, expected ${value.expected}`
+                    );
+                  return values.concat(value);
+                }),
+              Promise.resolve(list)
+            )
+        ),
+      Promise.resolve([])
+    );
+
+  return {
+    dao: dao.address,
+    adapters,
+    extensions,
+    configs,
+    extraAdapters: extraAdapters.map((id) => idsLookup[id] || id),
+    extraExtensions: extraExtensions.map((id) => idsLookup[id] || id),
+    mismatches,
+  };
+};
+
+/**
+ * Prints the audit report, followed by all the mismatches found.
+ */
+const printAuditReport = (report) => {
+  log(`\nDAO audit ${report.dao}`);
+  log("-------------------------------------------------");
+  log(`Extensions (${report.extensions.length})`);
+  report.extensions.forEach((e) =>
+    log(` ${e.name}: ${formatValue(e.address)}`)
+  );
+  log(`Adapters (${report.adapters.length})`);
+  report.adapters.forEach((a) =>
+    log(` ${a.name}: ${a.address} [${a.acls.dao.join(", ")}]`)
+  );
+  log(`Configurations (${report.configs.length})`);
+  report.configs.forEach((c) => log(` ${c.name}: ${c.actual}`));
+  log("-------------------------------------------------");
+  if (report.mismatches.length === 0) {
+    log("The DAO matches the contract configs");
+    return;
+  }
+  log(`Mismatches (${report.mismatches.length})`);
+  report.mismatches.forEach((m) =>
+    log(` [${m.type}] ${m.contract}: ${m.message}`)
+  );
+};
+
+module.exports = {
+  daoConfigKeys,
+  tokenConfigKey,
+  getExpectedContracts,
+  buildIdsLookup,
+  readRegisteredIds,
+  readAddress,
+  readOffchainVoting,
+  readFlags,
+  auditDao,
+  printAuditReport,
+};
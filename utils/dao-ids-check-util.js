@@ -0,0 +1,268 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * The suffixes of the constant names that are ignored when the Solidity constants
+ * are matched with the TS ids, e.g. `BANK_ADAPT` matches `BANK_ADAPTER` and `BANK` matches `BANK_EXT`.
+ */
+const nameSuffix = /_(ADAPTER|ADAPT|ADPT|EXT)$/;
+
+/**
+ * The Solidity constants that are named differently in the TS maps, by section.
+ */
+const aliases = {
+  adapters: {},
+  extensions: { NFT: "ERC721", INTERNAL_TOKEN_VESTING: "VESTING" },
+};
+
+/**
+ * The placeholder replaced by the adapter address in the governance roles, see `createGovernanceRoles`.
+ */
+const contractAddressPlaceholder = "$contractAddress";
+
+const baseName = (section, name) => {
+  const base = name.replace(nameSuffix, "");
+  return aliases[section][base] || base;
+};
+
+/**
+ * Parses the `bytes32 constant X = keccak256("x")` ids of DaoHelper.sol,
+ * grouped by the `// Adapters` and `// Extensions` sections of the library.
+ */
+const parseSolidityIds = (source) => {
+  const sectionOf = (offset) => {
+    const adapters = source.indexOf("// Adapters");
+    const extensions = source.indexOf("// Extensions");
+    if (extensions >= 0 && offset > extensions) return "extensions";
+    if (adapters >= 0 && offset > adapters) return "adapters";
+    return null;
+  };
+  const pattern =
+    /bytes32\s+internal\s+constant\s+(\w+)\s*=\s*keccak256\(\s*"([^"]*)"\s*\)\s*;/g;
+  const ids = { adapters: [], extensions: [] };
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const section = sectionOf(match.index);
+    if (section) ids[section].push({ name: match[1], value: match[2] });
+  }
+  return ids;
+};
+
+/**
+ * Parses the `ROLE_PREFIX` of GovernanceHelper.sol, used to build the key of each governance role.
+ */
+const parseRolePrefix = (source) => {
+  const match =
+    /string\s+public\s+constant\s+ROLE_PREFIX\s*=\s*"([^"]*)"\s*;/.exec(source);
+  return match ? match[1] : undefined;
+};
+
+const findDuplicates = (section, entries, file) => {
+  const byValue = entries.reduce(
+    (values, e) => ({
+      ...values,
+      [e.value]: (values[e.value] || []).concat(e.name),
+    }),
+    {}
+  );
+  return Object.entries(byValue)
+    .filter(([, names]) => names.length > 1)
+    .map(([value, names]) => ({
+      type: "duplicate",
+      section,
+      name: names.join(", "),
+      message: `${names.join(", ")} share the value "${value}" in ${file}`,
+    }));
+};
+
+/**
+ * Compares the ids of a section of DaoHelper.sol with the ids of a TS map.
+ * The entries are matched by name, ignoring the suffixes and using the aliases,
+ * and reported as `mismatch` if the values are different, `missing` if an entry only
+ * exists on one side, and `duplicate` if the same value is used by more than one entry.
+ */
+const compareIds = ({
+  section,
+  solidity,
+  typescript,
+  solidityFile,
+  tsFile,
+}) => {
+  const tsEntries = Object.entries(typescript).map(([name, value]) => ({
+    name,
+    value,
+  }));
+  const findTs = (solEntry) =>
+    tsEntries.find(
+      (e) => baseName(section, e.name) === baseName(section, solEntry.name)
+    );
+  const findSol = (tsEntry) =>
+    solidity.find(
+      (e) => baseName(section, e.name) === baseName(section, tsEntry.name)
+    );
+
+  const mismatches = solidity
+    .filter((e) => findTs(e) && findTs(e).value !== e.value)
+    .map((e) => ({
+      type: "mismatch",
+      section,
+      name: e.name,
+      message: `${e.name} is "${e.value}" in ${solidityFile}, but ${
+        findTs(e).name
+      } is "${findTs(e).value}" in ${tsFile}`,
+    }));
+  const missingInTs = solidity
+    .filter((e) => !findTs(e))
+    .map((e) => ({
+      type: "missing",
+      section,
+      name: e.name,
+      message: `${e.name} ("${e.value}") of ${solidityFile} is missing in ${tsFile}`,
+    }));
+  const missingInSolidity = tsEntries
+    .filter((e) => !findSol(e))
+    .map((e) => ({
+      type: "missing",
+      section,
+      name: e.name,
+      message: `${e.name} ("${e.value}") of ${tsFile} is missing in ${solidityFile}`,
+    }));
+
+  return mismatches.concat(
+    missingInTs,
+    missingInSolidity,
+    findDuplicates(section, solidity, solidityFile),
+    findDuplicates(section, tsEntries, tsFile)
+  );
+};
+
+/**
+ * Compares the governance roles of the TS map with the `ROLE_PREFIX` of GovernanceHelper.sol.
+ * GovernanceHelper.sol only reads the roles keyed by the prefix and the adapter address,
+ * so each role must be the prefix followed by the `$contractAddress` placeholder.
+ */
+const compareGovernanceRoles = ({ rolePrefix, governanceRoles }) => {
+  const section = "governance";
+  const solidityFile = "GovernanceHelper.sol";
+  const tsFile = "governance-util.ts";
+  if (rolePrefix === undefined)
+    return [
+      {
+        type: "missing",
+        section,
+        name: "ROLE_PREFIX",
+        message: `ROLE_PREFIX is missing in ${solidityFile}`,
+      },
+    ];
+  const expected = `${rolePrefix}${contractAddressPlaceholder}`;
+  const entries = Object.entries(governanceRoles).map(([name, value]) => ({
+    name,
+    value,
+  }));
+
+  return entries
+    .filter((e) => e.value !== expected)
+    .map((e) => ({
+      type: "mismatch",
+      section,
+      name: e.name,
+      message: `${e.name} is "${e.value}" in ${tsFile}, but the ROLE_PREFIX of ${solidityFile} expects "${expected}"`,
+    }))
+    .concat(
+      entries.length === 0
+        ? [
+            {
+              type: "missing",
+              section,
+              name: "ROLE_PREFIX",
+              message: `ROLE_PREFIX ("${rolePrefix}") of ${solidityFile} is missing in ${tsFile}`,
+            },
+          ]
+        : []
+    )
+    .concat(findDuplicates(section, entries, tsFile));
+};
+
+/**
+ * Checks that the ids of `utils/dao-ids-util.ts` and the roles of `utils/governance-util.ts`
+ * match the constants of DaoHelper.sol and GovernanceHelper.sol.
+ * @returns the list of findings, empty if the files are in sync.
+ */
+const checkDaoIds = ({
+  daoHelperSource,
+  governanceHelperSource,
+  adaptersIdsMap,
+  extensionsIdsMap,
+  governanceRoles,
+}) => {
+  const solidityIds = parseSolidityIds(daoHelperSource);
+  const files = { solidityFile: "DaoHelper.sol", tsFile: "dao-ids-util.ts" };
+  return compareIds({
+    section: "adapters",
+    solidity: solidityIds.adapters,
+    typescript: adaptersIdsMap,
+    ...files,
+  }).concat(
+    compareIds({
+      section: "extensions",
+      solidity: solidityIds.extensions,
+      typescript: extensionsIdsMap,
+      ...files,
+    }),
+    compareGovernanceRoles({
+      rolePrefix: parseRolePrefix(governanceHelperSource),
+      governanceRoles,
+    })
+  );
+};
+
+/**
+ * Runs `checkDaoIds` with the Solidity helpers in `contracts/helpers` and the TS maps in `utils`.
+ */
+const checkDaoIdsFiles = (rootDir = path.resolve(__dirname, "..")) => {
+  const read = (file) =>
+    fs.readFileSync(path.resolve(rootDir, "contracts/helpers", file), "utf8");
+  const { adaptersIdsMap, extensionsIdsMap } = require("./dao-ids-util");
+  const { governanceRoles } = require("./governance-util");
+  return checkDaoIds({
+    daoHelperSource: read("DaoHelper.sol"),
+    governanceHelperSource: read("GovernanceHelper.sol"),
+    adaptersIdsMap,
+    extensionsIdsMap,
+    governanceRoles,
+  });
+};
+
+module.exports = {
+  parseSolidityIds,
+  parseRolePrefix,
+  checkDaoIds,
+  checkDaoIdsFiles,
+};
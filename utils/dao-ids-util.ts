@@ -1,5 +1,6 @@
 /**
- * @notice the ids defined in this file must match the ids added to DaoHelper.sol.
+ * @notice the ids defined in this file must match the ids added to DaoHelper.sol,
+ * it is checked by test/utils/dao-ids.test.js.
  */
 
 /** Adapters */
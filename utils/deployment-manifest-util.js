@@ -0,0 +1,375 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const contractUtil = require("./contract-util");
+const { validateDeploymentOptions } = require("./deployment-schema-util");
+const { deployConfigs } = require("../deploy-config");
+
+/**
+ * The options that every network manifest must declare, because `deployDao`
+ * and the contract configs read them during the deployment.
+ */
+const requiredDeployOptions = [
+  "daoName",
+  "owner",
+  "offchainAdmin",
+  "offchainVoting",
+  "finalize",
+  "deployTestTokens",
+  "maxAmount",
+  "unitPrice",
+  "nbUnits",
+  "maxUnits",
+  "maxChunks",
+  "tokenAddr",
+  "erc20TokenName",
+  "erc20TokenSymbol",
+  "erc20TokenDecimals",
+  "erc20TokenAddress",
+  "votingPeriod",
+  "gracePeriod",
+  "maxExternalTokens",
+  "managerSignerAddress",
+  "couponCreatorAddress",
+  "kycSignerAddress",
+  "kycMaxMembers",
+  "kycCanTopUp",
+  "kycFundTargetAddress",
+  "gasPriceLimit",
+  "spendLimitPeriod",
+  "spendLimitEth",
+  "gelato",
+  "weth",
+  "maintainerTokenAddress",
+];
+
+/**
+ * The options that are only required when `deployTestTokens` is enabled.
+ */
+const testTokenDeployOptions = [
+  "supplyTestToken1",
+  "supplyTestToken2",
+  "supplyPixelNFT",
+  "supplyOLToken",
+  "erc1155TestTokenUri",
+];
+
+/**
+ * Options accepted by `deployDao` that can be omitted from the manifest.
+ */
+const optionalDeployOptions = [
+  "creator",
+  "defaultMemberGovernanceToken",
+].concat(testTokenDeployOptions);
+
+const knownDeployOptions = requiredDeployOptions.concat(optionalDeployOptions);
+
+/**
+ * Reads the raw manifest of a network, and merges it with the manifests it extends.
+ * The options declared in the network manifest override the ones from the parent manifests.
+ */
+const loadManifest = (name, dir = deployConfigs.manifestsDir, visited = []) => {
+  if (visited.includes(name))
+    throw new Error(
+      `Circular manifest inheritance: ${visited.concat(name).join(" -> ")}`
+    );
+
+  const file = path.resolve(dir, `${name}.json`);
+  if (!fs.existsSync(file))
+    throw new Error(`Missing deployment manifest ${file}`);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid deployment manifest ${file}: ${err.message}`);
+  }
+
+  const options = manifest.options || {};
+  if (!manifest.extends) return { ...manifest, options };
+
+  const parent = loadManifest(manifest.extends, dir, visited.concat(name));
+  return {
+    ...parent,
+    ...manifest,
+    options: { ...parent.options, ...options },
+  };
+};
+
+/**
+ * Checks that the manifest declares all the required options,
+ * and that it does not declare unknown options (usually typos).
+ * Returns the problems found.
+ */
+const checkManifestOptions = (manifest, network) => {
+  const declared = Object.keys(manifest.options);
+  const problems = [];
+  const unknown = declared.filter((o) => !knownDeployOptions.includes(o));
+  if (unknown.length > 0)
+    problems.push(
+      `Unknown deployment options in ${network} manifest: ${unknown.join(", ")}`
+    );
+
+  const required = manifest.options.deployTestTokens
+    ? requiredDeployOptions.concat(testTokenDeployOptions)
+    : requiredDeployOptions;
+  const missing = required.filter((o) => !declared.includes(o));
+  if (missing.length > 0)
+    problems.push(
+      `Missing deployment options in ${network} manifest: ${missing.join(", ")}`
+    );
+
+  return problems;
+};
+
+/**
+ * Checks that the manifest declares all the required options,
+ * and that it does not declare unknown options (usually typos).
+ */
+const validateManifest = (manifest, network) => {
+  const problems = checkManifestOptions(manifest, network);
+  if (problems.length > 0) throw new Error(problems.join("\n"));
+  return manifest;
+};
+
+/**
+ * Finds the index of the `}` that closes the expression starting at `start`,
+ * taking into account nested `${...}` expressions used as default values.
+ */
+const findClosingBrace = (str, start) => {
+  let depth = 0;
+  for (let i = start; i < str.length; i++) {
+    if (str[i] === "{") depth++;
+    if (str[i] === "}") depth--;
+    if (depth === 0) return i;
+  }
+  throw new Error(`Unterminated env var expression: ${str}`);
+};
+
+/**
+ * Resolves a single `NAME` or `NAME:-default` expression using the env vars.
+ * Empty env vars are treated as not set, the same way the deploy script always did.
+ */
+const resolveEnvExpression = (expression, env, optionName) => {
+  const separator = expression.indexOf(":-");
+  const name = separator < 0 ? expression : expression.slice(0, separator);
+  if (env[name]) return env[name];
+  if (separator < 0)
+    throw new Error(`Missing env var: ${name} (option ${optionName})`);
+  return interpolate(expression.slice(separator + 2), env, optionName);
+};
+
+/**
+ * Replaces every `${NAME}` and `${NAME:-default}` expression found in the value.
+ * If the whole value is a single expression, the resolved value is returned as is,
+ * so it can still be a directive such as `@const:UNITS`.
+ */
+const interpolate = (value, env, optionName) => {
+  if (typeof value !== "string") return value;
+
+  let result = "";
+  let cursor = 0;
+  while (cursor < value.length) {
+    const start = value.indexOf("${", cursor);
+    if (start < 0) break;
+    const end = findClosingBrace(value, start + 1);
+    const resolved = resolveEnvExpression(
+      value.slice(start + 2, end),
+      env,
+      optionName
+    );
+    if (start === 0 && end === value.length - 1) return resolved;
+    result += value.slice(cursor, start) + resolved;
+    cursor = end + 1;
+  }
+  return result + value.slice(cursor);
+};
+
+/**
+ * Resolves the directives that can not be expressed in plain JSON:
+ * - `@const:NAME` reads a constant exported by contract-util.js, e.g: `@const:UNITS`.
+ * - `@account:N` reads the address of the N-th account of the deployer.
+ * - `@deploy:ContractName` deploys the contract and uses its address, e.g: `@deploy:WETH`.
+ */
+const resolveDirective = async (value, optionName, context) => {
+  if (typeof value !== "string" || !value.startsWith("@")) return value;
+
+  const [directive, arg] = value.slice(1).split(":");
+  switch (directive) {
+    case "const": {
+      const constant = contractUtil[arg];
+      if (constant === undefined)
+        throw new Error(`Unknown constant ${arg} (option ${optionName})`);
+      return constant;
+    }
+    case "account": {
+      const account = context.accounts[Number(arg)];
+      if (!account)
+        throw new Error(`Missing account ${arg} (option ${optionName})`);
+      return account.address ? account.address : account;
+    }
+    case "deploy": {
+      const contractInterface = context.contractImports[arg];
+      if (!contractInterface)
+        throw new Error(
+          `Contract ${arg} is not enabled in the network configs (option ${optionName})`
+        );
+      const contract = await context.deployFunction(contractInterface);
+      return contract.address;
+    }
+    default:
+      throw new Error(`Unknown directive ${value} (option ${optionName})`);
+  }
+};
+
+/**
+ * Loads the deployment manifest of the network, resolves all the env vars,
+ * and validates the options against the deployment schema.
+ * Returns the manifest and every problem found: unknown or missing options,
+ * missing env vars and the options that do not match the schema.
+ */
+const checkDeploymentManifest = ({
+  network,
+  env = process.env,
+  dir = deployConfigs.manifestsDir,
+  overrides = {},
+}) => {
+  const loaded = loadManifest(network, dir);
+  const manifest = { ...loaded, options: { ...loaded.options, ...overrides } };
+  const problems = checkManifestOptions(manifest, network);
+
+  const options = Object.entries(manifest.options).reduce(
+    (resolved, [optionName, value]) => {
+      try {
+        return {
+          ...resolved,
+          [optionName]: interpolate(value, env, optionName),
+        };
+      } catch (err) {
+        problems.push(err.message);
+        return resolved;
+      }
+    },
+    {}
+  );
+
+  return {
+    manifest: { ...manifest, options },
+    problems: problems.concat(validateDeploymentOptions(options, network)),
+  };
+};
+
+/**
+ * Loads and validates the deployment manifest of the network, and resolves all the env vars.
+ * The `overrides` options replace the options declared in the manifest.
+ * It does not send any transaction, so it must be called before the deployment starts
+ * to make sure the deployment does not fail halfway because of a missing env var
+ * or an invalid option. All the problems found are reported in the same error.
+ */
+const loadDeploymentManifest = (args) => {
+  const { manifest, problems } = checkDeploymentManifest(args);
+  if (problems.length > 0)
+    throw new Error(
+      `Invalid ${args.network} deployment manifest:\n${problems.join("\n")}`
+    );
+  return manifest;
+};
+
+/**
+ * Loads the manifest of each DAO declared in a batch file. The batch file is a JSON
+ * array of DAO definitions, each definition contains the deployment options that
+ * override the network manifest for that DAO, e.g: `[{ "daoName": "dao-1", "owner": "0x..." }]`.
+ * All the definitions are validated before any DAO is deployed, and the problems
+ * found in every definition are reported at once.
+ */
+const loadBatchManifests = ({
+  network,
+  file,
+  env = process.env,
+  dir = deployConfigs.manifestsDir,
+}) => {
+  let definitions;
+  try {
+    definitions = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid batch file ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(definitions) || definitions.length === 0)
+    throw new Error(`Batch file ${file} must be a non-empty array of DAOs`);
+
+  const problems = [];
+  const manifests = definitions.map((overrides, index) => {
+    const checked = checkDeploymentManifest({ network, env, dir, overrides });
+    if (checked.problems.length === 0) return checked.manifest;
+    checked.problems.forEach((p) => problems.push(`DAO #${index}: ${p}`));
+    return null;
+  });
+
+  const names = manifests.filter((m) => m).map((m) => m.options.daoName);
+  names
+    .filter((name, index) => names.indexOf(name) !== index)
+    .forEach((name) => problems.push(`Duplicate daoName: ${name}`));
+
+  if (problems.length > 0)
+    throw new Error(`Invalid batch file ${file}:\n${problems.join("\n")}`);
+  return manifests;
+};
+
+/**
+ * Resolves the directives of a manifest loaded with `loadDeploymentManifest`
+ * into the options object expected by `deployDao`.
+ */
+const resolveDeploymentOptions = async ({
+  manifest,
+  accounts,
+  deployFunction,
+  contractImports,
+}) => {
+  const context = { accounts, deployFunction, contractImports };
+  return await Object.entries(manifest.options).reduce(
+    (p, [optionName, value]) =>
+      p.then(async (options) => ({
+        ...options,
+        [optionName]: await resolveDirective(value, optionName, context),
+      })),
+    Promise.resolve({})
+  );
+};
+
+module.exports = {
+  knownDeployOptions,
+  requiredDeployOptions,
+  loadManifest,
+  validateManifest,
+  interpolate,
+  checkDeploymentManifest,
+  loadDeploymentManifest,
+  loadBatchManifests,
+  resolveDeploymentOptions,
+};
@@ -0,0 +1,248 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { ethers } = require("ethers");
+const {
+  createProvider,
+} = require("hardhat/internal/core/providers/construction");
+const {
+  BackwardsCompatibilityProviderAdapter,
+} = require("hardhat/internal/core/providers/backwards-compatibility");
+const { ProviderWrapper } = require("hardhat/internal/core/providers/wrapper");
+const { toBN } = require("./contract-util");
+const { log } = require("./log-util");
+
+// Balance given to the deployer accounts in the simulated network
+const simulatedBalance = "0x33b2e3c9fd0803ce8000000";
+
+/**
+ * Records the contracts and transactions of a deployment that is simulated
+ * in a local fork of the target network, so nothing is broadcasted.
+ */
+const createDeploymentPlan = ({ network, gasPrice }) => {
+  const contracts = {};
+  const deployments = [];
+  const attachments = [];
+  const transactions = [];
+
+  const registerContract = (name, address, contractInterface) => {
+    contracts[address.toLowerCase()] = { name, contractInterface };
+  };
+
+  return {
+    network,
+    gasPrice,
+    contracts,
+    deployments,
+    attachments,
+    transactions,
+    registerContract,
+    recordDeployment: (name, address, contractInterface, args = []) => {
+      registerContract(name, address, contractInterface);
+      deployments.push({ name, address, args });
+    },
+    recordAttachment: (name, address, contractInterface, source) => {
+      registerContract(name, address, contractInterface);
+      attachments.push({ name, address, source });
+    },
+    recordTransaction: (tx) => transactions.push(tx),
+  };
+};
+
+/**
+ * Provider that intercepts all the transactions sent during the simulation,
+ * and stores the receipts in the deployment plan.
+ */
+class PlanRecorderProvider extends ProviderWrapper {
+  constructor(provider, plan, accounts) {
+    super(provider);
+    this.plan = plan;
+    this.accounts = accounts;
+  }
+
+  async request(args) {
+    if (
+      args.method === "eth_accounts" ||
+      args.method === "eth_requestAccounts"
+    ) {
+      return this.accounts;
+    }
+
+    if (args.method !== "eth_sendTransaction") {
+      return this._wrappedProvider.request(args);
+    }
+
+    const [tx] = this._getParams(args);
+    const hash = await this._wrappedProvider.request(args);
+    const receipt = await this._wrappedProvider.request({
+      method: "eth_getTransactionReceipt",
+      params: [hash],
+    });
+    this.plan.recordTransaction({
+      hash,
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasUsed: toBN(receipt.gasUsed),
+      contractAddress: receipt.contractAddress,
+    });
+    return hash;
+  }
+}
+
+/**
+ * Replaces the network provider with a simulated network to run the deployment
+ * without broadcasting any transaction. If the network is a remote network,
+ * the simulated network is a fork of it, and the deployer accounts are impersonated.
+ * It must be called before `hre.ethers` is used, so the ethers provider
+ * is created on top of the simulated network.
+ */
+const startDeploymentPlan = async (hre) => {
+  const networkProvider = hre.network.provider;
+  const accounts = await networkProvider.request({ method: "eth_accounts" });
+  const gasPrice = toBN(
+    await networkProvider.request({ method: "eth_gasPrice" })
+  );
+  const plan = createDeploymentPlan({ network: hre.network.name, gasPrice });
+
+  let simulatedProvider = networkProvider;
+  if (hre.network.config.url) {
+    simulatedProvider = createProvider(
+      "hardhat",
+      {
+        ...hre.config.networks.hardhat,
+        chainId: hre.network.config.chainId,
+        accounts: [],
+        forking: { enabled: true, url: hre.network.config.url },
+      },
+      hre.config.paths,
+      hre.artifacts
+    );
+    await accounts.reduce(
+      (p, account) =>
+        p.then(async () => {
+          await simulatedProvider.request({
+            method: "hardhat_impersonateAccount",
+            params: [account],
+          });
+          await simulatedProvider.request({
+            method: "hardhat_setBalance",
+            params: [account, simulatedBalance],
+          });
+        }),
+      Promise.resolve()
+    );
+  }
+
+  hre.network.provider = new BackwardsCompatibilityProviderAdapter(
+    new PlanRecorderProvider(simulatedProvider, plan, accounts)
+  );
+  return plan;
+};
+
+const formatValue = (value) => {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(", ")}]`;
+  if (typeof value === "string") return value;
+  return JSON.stringify(value);
+};
+
+const formatArgs = (inputs, values) =>
+  inputs
+    .map((input, i) => `${input.name || i}: ${formatValue(values[i])}`)
+    .join(", ");
+
+/**
+ * Describes the transaction with the name of the contract,
+ * and the decoded function call or constructor arguments.
+ */
+const describeTransaction = (plan, tx) => {
+  if (!tx.to) {
+    const deployment = plan.deployments.find(
+      (d) => d.address.toLowerCase() === tx.contractAddress.toLowerCase()
+    );
+    const contract = plan.contracts[tx.contractAddress.toLowerCase()];
+    if (!deployment || !contract) return `deploy <unknown contract>`;
+    return `deploy ${deployment.name}(${formatArgs(
+      contract.contractInterface.deploy.inputs,
+      deployment.args
+    )})`;
+  }
+
+  const contract = plan.contracts[tx.to.toLowerCase()];
+  if (!contract) return `call ${tx.to} (${tx.data})`;
+  try {
+    const call = contract.contractInterface.parseTransaction({
+      data: tx.data,
+      value: tx.value,
+    });
+    return `${contract.name}.${call.name}(${formatArgs(
+      call.functionFragment.inputs,
+      call.args
+    )})`;
+  } catch (err) {
+    return `call ${contract.name} (${tx.data})`;
+  }
+};
+
+/**
+ * Prints every transaction of the simulated deployment with the gas estimate,
+ * and the total cost at the current gas price of the target network.
+ */
+const printDeploymentPlan = (plan) => {
+  const { formatEther, formatUnits } = ethers.utils;
+  log(`\nDeployment plan for ${plan.network} network`);
+  log("-------------------------------------------------");
+
+  const totalGas = plan.transactions.reduce((total, tx, i) => {
+    const cost = tx.gasUsed.mul(plan.gasPrice);
+    log(`#${i + 1} ${describeTransaction(plan, tx)}`);
+    log(`    gas: ${tx.gasUsed.toString()} cost: ${formatEther(cost)}`);
+    return total.add(tx.gasUsed);
+  }, toBN(0));
+
+  log("-------------------------------------------------");
+  log(` transactions: ${plan.transactions.length}`);
+  log(` total gas:    ${totalGas.toString()}`);
+  log(` gas price:    ${formatUnits(plan.gasPrice, "gwei")} gwei`);
+  log(` total cost:   ${formatEther(totalGas.mul(plan.gasPrice))}`);
+
+  log(`\nContracts attached (${plan.attachments.length})`);
+  plan.attachments.forEach((a) =>
+    log(` ${a.name}: ${a.address} (from ${a.source})`)
+  );
+  log(`\nContracts deployed (${plan.deployments.length})`);
+  plan.deployments.forEach((d) => log(` ${d.name}`));
+};
+
+module.exports = {
+  createDeploymentPlan,
+  startDeploymentPlan,
+  describeTransaction,
+  printDeploymentPlan,
+};
@@ -0,0 +1,265 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { ethers } = require("ethers");
+const { toBN } = require("./contract-util");
+const { ContractType } = require("../configs/contracts.config");
+
+/**
+ * The phases of the deployment used to group the costs in the report.
+ */
+const phases = {
+  factories: "Factories",
+  extensions: "Extensions",
+  adapters: "Adapters",
+  configuration: "Configuration",
+  offchainVoting: "Offchain voting",
+  other: "Other contracts",
+};
+
+/**
+ * Contracts deployed and configured by `configureOffchainVoting`.
+ */
+const offchainVotingContracts = [
+  "SnapshotProposalContract",
+  "OffchainVotingHashContract",
+  "OffchainVotingHelperContract",
+  "KickBadReporterAdapter",
+  "OffchainVotingContract",
+];
+
+/**
+ * Finds the phase of a deployment journal step based on the step id,
+ * e.g: `deploy:BankFactory`, `createExtension:bank` or `configureDao:VotingContract:0`.
+ * The identity contract of a factory and the `addArtifact` tx of a contract are
+ * reported in the phase of the contract, e.g: `deployIdentity:BankFactory`.
+ */
+const getPhase = (stepId, contractConfigs) => {
+  const [action, target] = stepId.split(":");
+  if (offchainVotingContracts.some((name) => stepId.includes(name)))
+    return "offchainVoting";
+
+  switch (action) {
+    case "deployIdentity":
+      return "factories";
+    case "deploy":
+    case "addArtifact": {
+      const config = contractConfigs.find((c) => c.name === target);
+      if (!config) return "other";
+      if (config.type === ContractType.Factory) return "factories";
+      if (config.type === ContractType.Extension) return "extensions";
+      if (config.type === ContractType.Adapter) return "adapters";
+      return "other";
+    }
+    case "createExtension":
+    case "addExtension":
+      return "extensions";
+    default:
+      return "configuration";
+  }
+};
+
+const getGitCommit = () => {
+  try {
+    return execSync("git rev-parse HEAD", {
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+  } catch (err) {
+    return "unknown";
+  }
+};
+
+const summarize = (transactions) => {
+  const sent = transactions.filter((tx) => !tx.reused);
+  return {
+    transactions: sent.length,
+    gasUsed: sent
+      .reduce((total, tx) => total.add(tx.gasUsed), toBN(0))
+      .toString(),
+    cost: ethers.utils.formatEther(
+      sent.reduce(
+        (total, tx) => total.add(toBN(tx.gasUsed).mul(tx.effectiveGasPrice)),
+        toBN(0)
+      )
+    ),
+  };
+};
+
+/**
+ * Builds the cost report of a deployment from the steps recorded in the deployment journal.
+ * The receipt of each step is read from the network to get the gas used,
+ * the effective gas price and the block number.
+ * The steps without a tx hash are contracts reused from a previous deployment,
+ * and are reported without costs.
+ */
+const buildDeploymentReport = async ({
+  journal,
+  provider,
+  contractConfigs,
+  network,
+  daoName,
+  daoAddress,
+  version,
+}) => {
+  // The pending steps were not completed, so their tx is not part of the deployment
+  const steps = Object.entries(journal.steps)
+    .filter(([, entry]) => !entry.pending)
+    .sort(([, a], [, b]) => (a.ts || 0) - (b.ts || 0));
+
+  const transactions = await steps.reduce(
+    (p, [stepId, entry]) =>
+      p.then(async (list) => {
+        const phase = getPhase(stepId, contractConfigs);
+        const tx = {
+          step: stepId,
+          phase,
+          type: entry.address ? "deployment" : "transaction",
+          address: entry.address,
+          hash: entry.hash,
+        };
+        if (!entry.hash) return list.concat({ ...tx, reused: true });
+
+        const receipt = await provider.getTransactionReceipt(entry.hash);
+        if (!receipt)
+          throw new Error(
+            `Receipt of ${stepId} not found: transaction ${entry.hash} was dropped or replaced`
+          );
+        // Some networks do not return the effective gas price in the receipt
+        const gasPrice = receipt.effectiveGasPrice
+          ? toBN(receipt.effectiveGasPrice)
+          : (await provider.getTransaction(entry.hash)).gasPrice;
+        return list.concat({
+          ...tx,
+          blockNumber: receipt.blockNumber,
+          gasUsed: toBN(receipt.gasUsed).toString(),
+          effectiveGasPrice: gasPrice.toString(),
+          cost: ethers.utils.formatEther(toBN(receipt.gasUsed).mul(gasPrice)),
+        });
+      }),
+    Promise.resolve([])
+  );
+
+  return {
+    package: "tribute-contracts",
+    version,
+    gitCommit: getGitCommit(),
+    network,
+    daoName,
+    daoAddress,
+    createdAt: new Date().toISOString(),
+    phases: Object.keys(phases).reduce(
+      (summary, phase) => ({
+        ...summary,
+        [phase]: summarize(transactions.filter((tx) => tx.phase === phase)),
+      }),
+      {}
+    ),
+    total: summarize(transactions),
+    transactions,
+  };
+};
+
+const formatGwei = (wei) => (wei ? ethers.utils.formatUnits(wei, "gwei") : "");
+
+/**
+ * Formats the deployment report as a Markdown document.
+ */
+const formatMarkdownReport = (report) => {
+  const lines = [
+    `# Deployment report: ${report.daoName}`,
+    "",
+    `- Network: ${report.network}`,
+    `- DAO: ${report.daoAddress}`,
+    `- Version: ${report.package}@${report.version}`,
+    `- Git commit: ${report.gitCommit}`,
+    `- Created at: ${report.createdAt}`,
+    "",
+    "## Costs by phase",
+    "",
+    "| Phase | Transactions | Gas used | Cost (ETH) |",
+    "| --- | --- | --- | --- |",
+  ]
+    .concat(
+      Object.entries(phases).map(([phase, title]) => {
+        const summary = report.phases[phase];
+        return `| ${title} | ${summary.transactions} | ${summary.gasUsed} | ${summary.cost} |`;
+      })
+    )
+    .concat([
+      `| **Total** | **${report.total.transactions}** | **${report.total.gasUsed}** | **${report.total.cost}** |`,
+      "",
+      "## Transactions",
+      "",
+      "| Step | Phase | Address | Tx hash | Block | Gas used | Gas price (gwei) | Cost (ETH) |",
+      "| --- | --- | --- | --- | --- | --- | --- | --- |",
+    ])
+    .concat(
+      report.transactions
+        .map((tx) =>
+          [
+            tx.step,
+            phases[tx.phase],
+            tx.address || "",
+            tx.reused ? "reused" : tx.hash,
+            tx.blockNumber || "",
+            tx.gasUsed || "",
+            formatGwei(tx.effectiveGasPrice),
+            tx.cost || "",
+          ].join(" | ")
+        )
+        .map((row) => `| ${row} |`)
+    );
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Writes the deployment report in JSON and Markdown formats,
+ * and returns the path of both files.
+ */
+const saveDeploymentReport = (report, dir, name) => {
+  const reportDir = path.resolve(dir);
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+  const jsonFile = `${reportDir}/${name}.json`;
+  const markdownFile = `${reportDir}/${name}.md`;
+  fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2), "utf8");
+  fs.writeFileSync(markdownFile, formatMarkdownReport(report), "utf8");
+  return { jsonFile, markdownFile };
+};
+
+module.exports = {
+  getPhase,
+  buildDeploymentReport,
+  formatMarkdownReport,
+  saveDeploymentReport,
+};
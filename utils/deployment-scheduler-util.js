@@ -0,0 +1,159 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+/**
+ * Checks that the task ids are unique, and that the dependencies
+ * exist and do not create a cycle, before any task is started.
+ */
+const validateTasks = (tasks) => {
+  const ids = tasks.map((t) => t.id);
+  const duplicated = ids.filter((id, i) => ids.indexOf(id) !== i);
+  if (duplicated.length > 0)
+    throw new Error(`Duplicate task ids: ${duplicated.join(", ")}`);
+
+  const byId = tasks.reduce((map, t) => ({ ...map, [t.id]: t }), {});
+  tasks.forEach((t) =>
+    (t.dependsOn || []).forEach((dep) => {
+      if (!byId[dep])
+        throw new Error(`Task ${t.id} depends on unknown task ${dep}`);
+    })
+  );
+
+  const visited = {};
+  const visit = (id, path) => {
+    if (path.includes(id))
+      throw new Error(
+        `Circular task dependency: ${path.concat(id).join(" -> ")}`
+      );
+    if (visited[id]) return;
+    (byId[id].dependsOn || []).forEach((dep) => visit(dep, path.concat(id)));
+    visited[id] = true;
+  };
+  ids.forEach((id) => visit(id, []));
+};
+
+/**
+ * Runs a list of tasks as soon as all the tasks they depend on are completed.
+ * Each task declares its `id`, the ids of the tasks it `dependsOn`, and the `run`
+ * function that receives the results of the completed tasks indexed by id.
+ * The ready tasks are started in the order of the list, through the `limit` function.
+ * When a task fails no other task is started, and it fails with the first error
+ * after the running tasks are completed, so every completed step can be resumed.
+ * Returns the results of the tasks indexed by id.
+ */
+const runTasks = (tasks, limit = (run) => run()) => {
+  return new Promise((resolve, reject) => {
+    validateTasks(tasks);
+    const results = {};
+    const completed = new Set();
+    const pending = [...tasks];
+    let running = 0;
+    let failure;
+
+    const next = () => {
+      if (failure) {
+        if (running === 0) reject(failure);
+        return;
+      }
+      if (pending.length === 0 && running === 0) {
+        resolve(results);
+        return;
+      }
+
+      pending
+        .filter((t) => (t.dependsOn || []).every((dep) => completed.has(dep)))
+        .forEach((task) => {
+          pending.splice(pending.indexOf(task), 1);
+          running++;
+          limit(() => {
+            // A task queued before the failure must not be started
+            if (failure) return Promise.resolve();
+            return task.run(results);
+          })
+            .then(
+              (result) => {
+                results[task.id] = result;
+                completed.add(task.id);
+              },
+              (err) => {
+                failure = failure || err;
+              }
+            )
+            .finally(() => {
+              running--;
+              next();
+            });
+        });
+    };
+    next();
+  });
+};
+
+/**
+ * Creates the scheduler of a deployment. The scheduler runs the tasks
+ * of each deployment phase in parallel, and limits the number of tasks
+ * running at the same time across all the phases to `concurrency`.
+ * With `concurrency` 1 the tasks are sent one after another.
+ */
+const createScheduler = ({ concurrency = 1 } = {}) => {
+  if (!Number.isInteger(concurrency) || concurrency < 1)
+    throw new Error(`Invalid concurrency: ${concurrency}`);
+
+  const queue = [];
+  let running = 0;
+
+  const dequeue = () => {
+    while (running < concurrency && queue.length > 0) {
+      const { run, resolve, reject } = queue.shift();
+      running++;
+      Promise.resolve()
+        .then(run)
+        .then(resolve, reject)
+        .finally(() => {
+          running--;
+          dequeue();
+        });
+    }
+  };
+
+  const limit = (run) =>
+    new Promise((resolve, reject) => {
+      queue.push({ run, resolve, reject });
+      dequeue();
+    });
+
+  return {
+    concurrency,
+    limit,
+    run: (tasks) => runTasks(tasks, limit),
+  };
+};
+
+module.exports = {
+  runTasks,
+  createScheduler,
+};
@@ -0,0 +1,199 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { ethers } = require("ethers");
+const contractUtil = require("./contract-util");
+
+/**
+ * The networks deployed with the mainnet manifest, where the DAOs hold real funds,
+ * so the options that are only convenient for testing are rejected.
+ */
+const mainNetworks = ["mainnet", "polygon", "harmony"];
+
+/**
+ * The type and the constraints of each deployment option.
+ * - `address`: a checksummed or lowercase address, `@account:N` or `@deploy:ContractName`.
+ * - `uint`: a non-negative integer, as a number or a decimal string, between `min` and `max`.
+ * - `boolean`: a JSON boolean.
+ * - `string`: a non-empty string.
+ * The options flagged with `requiredOnMainNetworks` can not be the zero address,
+ * nor a contract deployed by the manifest on the main networks.
+ */
+const deploymentSchema = {
+  daoName: { type: "string" },
+  owner: { type: "address", requiredOnMainNetworks: true },
+  creator: { type: "address" },
+  offchainAdmin: { type: "address", requiredOnMainNetworks: true },
+  offchainVoting: { type: "boolean" },
+  finalize: { type: "boolean" },
+  deployTestTokens: { type: "boolean" },
+  maxAmount: { type: "uint", min: 1 },
+  unitPrice: { type: "uint", min: 1 },
+  nbUnits: { type: "uint", min: 1 },
+  maxUnits: { type: "uint", min: 1 },
+  maxChunks: { type: "uint", min: 1 },
+  tokenAddr: { type: "address" },
+  erc20TokenName: { type: "string" },
+  erc20TokenSymbol: { type: "string" },
+  erc20TokenDecimals: { type: "uint", max: 18 },
+  erc20TokenAddress: { type: "address" },
+  votingPeriod: { type: "uint", min: 1 },
+  gracePeriod: { type: "uint" },
+  // DaoHelper.MAX_TOKENS_GUILD_BANK
+  maxExternalTokens: { type: "uint", min: 1, max: 200 },
+  managerSignerAddress: { type: "address", requiredOnMainNetworks: true },
+  couponCreatorAddress: { type: "address", requiredOnMainNetworks: true },
+  kycSignerAddress: { type: "address", requiredOnMainNetworks: true },
+  kycMaxMembers: { type: "uint", min: 1 },
+  kycCanTopUp: { type: "uint", max: 1 },
+  kycFundTargetAddress: { type: "address" },
+  gasPriceLimit: { type: "uint" },
+  spendLimitPeriod: { type: "uint" },
+  spendLimitEth: { type: "uint" },
+  gelato: { type: "address", requiredOnMainNetworks: true },
+  weth: { type: "address", requiredOnMainNetworks: true },
+  maintainerTokenAddress: { type: "address" },
+  defaultMemberGovernanceToken: { type: "address" },
+  supplyTestToken1: { type: "uint" },
+  supplyTestToken2: { type: "uint" },
+  supplyPixelNFT: { type: "uint" },
+  supplyOLToken: { type: "uint" },
+  erc1155TestTokenUri: { type: "string" },
+};
+
+/**
+ * Returns the value of an option as it will be used in the deployment.
+ * The `@const` directives do not send any tx, so they are resolved to check their values,
+ * the other directives are kept as they are.
+ */
+const resolveConstant = (value) => {
+  if (typeof value !== "string" || !value.startsWith("@const:")) return value;
+  const constant = contractUtil[value.slice("@const:".length)];
+  return constant === undefined ? value : constant;
+};
+
+const isZeroAddress = (value) =>
+  typeof value === "string" &&
+  value.toLowerCase() === contractUtil.ZERO_ADDRESS;
+
+const validateAddress = (value) => {
+  if (typeof value !== "string") return "must be an address";
+  if (/^@account:\d+$/.test(value) || /^@deploy:\w+$/.test(value)) return;
+  if (!ethers.utils.isAddress(value.toLowerCase()))
+    return `must be an address, got ${value}`;
+  // Only the mixed-case addresses carry a checksum (EIP-55)
+  if (value !== value.toLowerCase() && !ethers.utils.isAddress(value))
+    return `invalid address checksum ${value}, expected ${ethers.utils.getAddress(
+      value.toLowerCase()
+    )}`;
+};
+
+const validateUint = (value, { min, max }) => {
+  const str = value && value.toString ? value.toString() : "";
+  if (typeof value === "boolean" || !/^\d+$/.test(str))
+    return `must be a non-negative integer, got ${value}`;
+  const number = ethers.BigNumber.from(str);
+  if (min !== undefined && number.lt(min))
+    return `must be greater than or equal to ${min}, got ${str}`;
+  if (max !== undefined && number.gt(max))
+    return `must be less than or equal to ${max}, got ${str}`;
+};
+
+const validators = {
+  address: validateAddress,
+  uint: validateUint,
+  boolean: (value) =>
+    typeof value === "boolean" ? undefined : `must be a boolean, got ${value}`,
+  string: (value) =>
+    typeof value === "string" && value.trim().length > 0
+      ? undefined
+      : "must be a non-empty string",
+};
+
+/**
+ * The rules that depend on more than one option.
+ * Each rule returns the problem found, or nothing if the options are valid.
+ */
+const crossFieldRules = [
+  (options) =>
+    options.kycCanTopUp !== undefined &&
+    resolveConstant(options.kycCanTopUp).toString() === "1" &&
+    (!options.kycFundTargetAddress ||
+      isZeroAddress(resolveConstant(options.kycFundTargetAddress)))
+      ? "kycFundTargetAddress: is required when kycCanTopUp is enabled"
+      : undefined,
+  (options) =>
+    options.offchainVoting === true &&
+    isZeroAddress(resolveConstant(options.offchainAdmin))
+      ? "offchainAdmin: is required when offchainVoting is enabled"
+      : undefined,
+];
+
+/**
+ * Validates the deployment options of a network against the schema,
+ * and returns every problem found, so they can be reported at once.
+ * The options must have their env vars already resolved.
+ */
+const validateDeploymentOptions = (options, network) => {
+  const isMainNetwork = mainNetworks.includes(network);
+  const problems = Object.entries(options).reduce(
+    (list, [optionName, value]) => {
+      const schema = deploymentSchema[optionName];
+      if (!schema) return list;
+
+      const resolved = resolveConstant(value);
+      const problem = validators[schema.type](resolved, schema);
+      if (problem) return list.concat(`${optionName}: ${problem}`);
+
+      if (isMainNetwork && schema.requiredOnMainNetworks) {
+        if (isZeroAddress(resolved))
+          return list.concat(
+            `${optionName}: can not be the zero address on ${network}`
+          );
+        if (/^@deploy:/.test(resolved))
+          return list.concat(
+            `${optionName}: can not be deployed by the manifest on ${network}`
+          );
+      }
+      return list;
+    },
+    []
+  );
+
+  if (isMainNetwork && options.deployTestTokens === true)
+    problems.push(`deployTestTokens: can not be enabled on ${network}`);
+
+  return problems.concat(
+    crossFieldRules.map((rule) => rule(options)).filter((p) => p)
+  );
+};
+
+module.exports = {
+  mainNetworks,
+  deploymentSchema,
+  validateDeploymentOptions,
+};
@@ -38,13 +38,66 @@ const {
   waitTx,
 } = require("./contract-util.js");
 const { debug, info, error } = require("./log-util");
+const { createScheduler, runTasks } = require("./deployment-scheduler-util");
+const { checkContractConfigs } = require("./contract-config-schema-util");
 const { ContractType } = require("../configs/contracts.config");
 
+/**
+ * Runs a deployment step. If a deployment journal is provided in the options,
+ * the step is recorded in the journal, and it is skipped when it was already
+ * completed in a previous run of the deployment.
+ * The step must return the tx hash, and the contract address if it creates one.
+ * The step gets a `sent` callback to record the tx hash before the tx is mined, and
+ * the optional `resume` function reads the result of a pending step from the chain,
+ * or returns undefined if the step must be sent again.
+ */
+const runStep = (options, stepId, run, resume) =>
+  options.journal
+    ? options.journal.step(stepId, run, resume)
+    : run(() => undefined);
+
+/**
+ * Sends a contract call, and records its tx hash with the `sent` callback of the step
+ * before waiting for it. The truffle contracts only return the tx once it is mined.
+ */
+const sendTx = async (sent, p) => {
+  const tx = await p;
+  if (tx && tx.hash) sent(tx.hash);
+  return waitTx(tx);
+};
+
+/**
+ * Sends the transaction of a deployment step that does not create any contract,
+ * e.g: `sendStep(options, "finalizeDao", dao, "finalizeDao", [])`.
+ * These calls are restricted to the members of the DAO, so if a Safe batch is provided
+ * in the options, the call is added to the batch to be sent by the Safe that owns the DAO.
+ */
+const sendStep = (options, stepId, contract, method, args = [], resume) => {
+  if (options.safeBatch)
+    return options.safeBatch.add({ stepId, contract, method, args });
+  return runStep(
+    options,
+    stepId,
+    async (sent) => {
+      const res = await sendTx(sent, contract[method](...args));
+      return { hash: res.hash || res.tx };
+    },
+    resume
+  );
+};
+
+/**
+ * Runs the tasks of a deployment phase with the scheduler of the deployment.
+ * The independent tasks are sent in parallel, up to the concurrency of the deployment.
+ */
+const schedule = (options, tasks) =>
+  (options.scheduler || createScheduler()).run(tasks);
+
 /**
  * Deploys a contract based on the contract name defined in the config parameter.
  * If the contract is not found in the options object the deployment reverts with an error.
  */
-const deployContract = ({ config, options }) => {
+const deployContract = async ({ config, options }) => {
   const contract = options[config.name];
   if (!contract)
     throw new Error(`Contract ${config.name} not found in environment options`);
@@ -77,33 +130,38 @@ const createFactories = async ({ options }) => {
     .filter((config) => !config.skipAutoDeploy);
 
   debug("deploying or reusing ", factoryList.length, " factories...");
-  await factoryList.reduce((p, config) => {
-    return p.then((_) => {
-      const factoryContract = options[config.name];
-      if (!factoryContract)
-        throw new Error(`Missing factory contract ${config.name}`);
-
-      const extensionConfig = options.contractConfigs.find(
-        (c) => c.id === config.generatesExtensionId
-      );
-      if (!extensionConfig)
-        throw new Error(
-          `Missing extension config ${config.generatesExtensionId}`
+  await schedule(
+    options,
+    factoryList.map((config) => ({
+      id: config.name,
+      run: () => {
+        const factoryContract = options[config.name];
+        if (!factoryContract)
+          throw new Error(`Missing factory contract ${config.name}`);
+
+        const extensionConfig = options.contractConfigs.find(
+          (c) => c.id === config.generatesExtensionId
         );
+        if (!extensionConfig)
+          throw new Error(
+            `Missing extension config ${config.generatesExtensionId}`
+          );
 
-      const extensionContract = options[extensionConfig.name];
-      if (!extensionContract)
-        throw new Error(`Missing extension contract ${extensionConfig.name}`);
+        const extensionContract = options[extensionConfig.name];
+        if (!extensionContract)
+          throw new Error(`Missing extension contract ${extensionConfig.name}`);
 
-      return options
-        .deployFunction(factoryContract, [extensionContract])
-        .then((factory) => (factories[factory.configs.alias] = factory))
-        .catch((err) => {
-          error(`Failed factory deployment [${config.name}]. `, err);
-          throw err;
-        });
-    });
-  }, Promise.resolve());
+        // The identity contract is deployed before its factory by the deployFunction
+        return options
+          .deployFunction(factoryContract, [extensionContract])
+          .then((factory) => (factories[factory.configs.alias] = factory))
+          .catch((err) => {
+            error(`Failed factory deployment [${config.name}]. `, err);
+            throw err;
+          });
+      },
+    }))
+  );
 
   return factories;
 };
@@ -131,35 +189,45 @@ const createExtensions = async ({ dao, factories, options }) => {
         `Missing extension configuration <generatesExtensionId> for in ${factoryConfigs.name} configs`
       );
 
-    let tx;
-    if (
-      factoryConfigs.deploymentArgs &&
-      factoryConfigs.deploymentArgs.length > 0
-    ) {
-      const args = factoryConfigs.deploymentArgs.map((argName) => {
-        const arg = options[argName];
-        if (arg !== null && arg !== undefined) return arg;
-        throw new Error(
-          `Missing deployment argument <${argName}> in ${factoryConfigs.name}.create`
-        );
-      });
-      tx = await factory.create(...args);
-    } else {
-      tx = await factory.create();
-    }
-    /**
-     * The tx event is the safest way to read the new extension address.
-     * Event at index 0 indicates the extension was created
-     * Arg at index 1 represents the new extension address
-     */
-    let extensionAddress;
-    if (tx.wait) {
-      const res = await tx.wait();
-      extensionAddress = res.events[0].args[1];
-    } else {
-      const { logs } = tx;
-      extensionAddress = logs[0].args[1];
-    }
+    const { address: extensionAddress } = await runStep(
+      options,
+      `createExtension:${extensionConfigs.id}`,
+      async (sent) => {
+        let tx;
+        if (
+          factoryConfigs.deploymentArgs &&
+          factoryConfigs.deploymentArgs.length > 0
+        ) {
+          const args = factoryConfigs.deploymentArgs.map((argName) => {
+            const arg = options[argName];
+            if (arg !== null && arg !== undefined) return arg;
+            throw new Error(
+              `Missing deployment argument <${argName}> in ${factoryConfigs.name}.create`
+            );
+          });
+          tx = await factory.create(...args);
+        } else {
+          tx = await factory.create();
+        }
+        /**
+         * The tx event is the safest way to read the new extension address.
+         * Event at index 0 indicates the extension was created
+         * Arg at index 1 represents the new extension address
+         */
+        if (tx.wait) {
+          sent(tx.hash);
+          const res = await tx.wait();
+          return { hash: tx.hash, address: res.events[0].args[1] };
+        }
+        const { logs } = tx;
+        return { hash: tx.tx, address: logs[0].args[1] };
+      },
+      // The factory keeps the last extension created for each DAO
+      async () => {
+        const address = await factory.getExtensionAddress(dao.address);
+        return address && address !== ZERO_ADDRESS ? { address } : undefined;
+      }
+    );
     const extensionInterface = options[extensionConfigs.name];
     if (!extensionInterface)
       throw new Error(
@@ -177,11 +245,19 @@ const createExtensions = async ({ dao, factories, options }) => {
         `Unable to embed extension configs for ${extensionConfigs.name}`
       );
 
-    await waitTx(
-      dao["addExtension(bytes32,address)"](
-        sha3(newExtension.configs.id),
-        newExtension.address
-      )
+    await sendStep(
+      options,
+      `addExtension:${newExtension.configs.id}`,
+      dao,
+      "addExtension(bytes32,address)",
+      [sha3(newExtension.configs.id), newExtension.address],
+      async () => {
+        // The DAO reverts if the extension was not added
+        const address = await dao
+          .getExtensionAddress(sha3(newExtension.configs.id))
+          .catch(() => null);
+        return address === newExtension.address ? {} : undefined;
+      }
     );
 
     info(`
@@ -193,22 +269,23 @@ const createExtensions = async ({ dao, factories, options }) => {
     return newExtension;
   };
 
-  await Object.values(factories).reduce(
-    (p, factory) =>
-      p
-        .then(() =>
-          createExtension({
-            dao,
-            factory,
-            options,
-          })
-        )
-        .then((ext) => (extensions[ext.configs.alias] = ext))
-        .catch((err) => {
-          error(`Failed extension deployment ${factory.configs.name}. `, err);
-          throw err;
-        }),
-    Promise.resolve()
+  // The extensions do not depend on each other, so they are created in parallel
+  await schedule(
+    options,
+    Object.values(factories).map((factory) => ({
+      id: factory.configs.name,
+      run: () =>
+        createExtension({
+          dao,
+          factory,
+          options,
+        })
+          .then((ext) => (extensions[ext.configs.alias] = ext))
+          .catch((err) => {
+            error(`Failed extension deployment ${factory.configs.name}. `, err);
+            throw err;
+          }),
+    }))
   );
   return extensions;
 };
@@ -228,16 +305,18 @@ const createAdapters = async ({ options }) => {
     .filter((config) => !config.skipAutoDeploy);
 
   debug("deploying or re-using ", adapterList.length, " adapters...");
-  await adapterList.reduce(
-    (p, config) =>
-      p
-        .then(() => deployContract({ config, options }))
-        .then((adapter) => (adapters[adapter.configs.alias] = adapter))
-        .catch((err) => {
-          error(`Error while creating adapter ${config.name}. `, err);
-          throw err;
-        }),
-    Promise.resolve()
+  await schedule(
+    options,
+    adapterList.map((config) => ({
+      id: config.name,
+      run: () =>
+        deployContract({ config, options })
+          .then((adapter) => (adapters[adapter.configs.alias] = adapter))
+          .catch((err) => {
+            error(`Error while creating adapter ${config.name}. `, err);
+            throw err;
+          }),
+    }))
   );
 
   return adapters;
@@ -253,24 +332,26 @@ const createAdapters = async ({ options }) => {
 const createUtilContracts = async ({ options }) => {
   const utilContracts = {};
 
-  await Object.values(options.contractConfigs)
-    .filter((config) => config.type === ContractType.Util)
-    .filter((config) => config.enabled)
-    .filter((config) => !config.skipAutoDeploy)
-    .reduce(
-      (p, config) =>
-        p
-          .then(() => deployContract({ config, options }))
-          .then(
-            (utilContract) =>
-              (utilContracts[utilContract.configs.alias] = utilContract)
-          )
-          .catch((err) => {
-            error(`Error while creating util contract ${config.name}. `, err);
-            throw err;
-          }),
-      Promise.resolve()
-    );
+  await schedule(
+    options,
+    Object.values(options.contractConfigs)
+      .filter((config) => config.type === ContractType.Util)
+      .filter((config) => config.enabled)
+      .filter((config) => !config.skipAutoDeploy)
+      .map((config) => ({
+        id: config.name,
+        run: () =>
+          deployContract({ config, options })
+            .then(
+              (utilContract) =>
+                (utilContracts[utilContract.configs.alias] = utilContract)
+            )
+            .catch((err) => {
+              error(`Error while creating util contract ${config.name}. `, err);
+              throw err;
+            }),
+      }))
+  );
   return utilContracts;
 };
 
@@ -286,24 +367,26 @@ const createTestContracts = async ({ options }) => {
 
   if (!options.deployTestTokens) return testContracts;
 
-  await Object.values(options.contractConfigs)
-    .filter((config) => config.type === ContractType.Test)
-    .filter((config) => config.enabled)
-    .filter((config) => !config.skipAutoDeploy)
-    .reduce(
-      (p, config) =>
-        p
-          .then(() => deployContract({ config, options }))
-          .then(
-            (testContract) =>
-              (testContracts[testContract.configs.alias] = testContract)
-          )
-          .catch((err) => {
-            error(`Error while creating test contract ${config.name}. `, err);
-            throw err;
-          }),
-      Promise.resolve()
-    );
+  await schedule(
+    options,
+    Object.values(options.contractConfigs)
+      .filter((config) => config.type === ContractType.Test)
+      .filter((config) => config.enabled)
+      .filter((config) => !config.skipAutoDeploy)
+      .map((config) => ({
+        id: config.name,
+        run: () =>
+          deployContract({ config, options })
+            .then(
+              (testContract) =>
+                (testContracts[testContract.configs.alias] = testContract)
+            )
+            .catch((err) => {
+              error(`Error while creating test contract ${config.name}. `, err);
+              throw err;
+            }),
+      }))
+  );
   return testContracts;
 };
 
@@ -320,64 +403,62 @@ const createGovernanceRoles = async ({ options, dao, adapters }) => {
     return configValue;
   };
 
-  await Object.values(options.contractConfigs)
+  // Each role is an independent configuration of the DAO
+  const roleTasks = Object.values(options.contractConfigs)
     .filter((c) => c.enabled)
     .filter((c) => c.governanceRoles)
-    .reduce((p, c) => {
-      const roles = Object.keys(c.governanceRoles);
-      return p.then(() =>
-        roles.reduce(
-          (q, role) =>
-            q.then(async () => {
-              const adapter = Object.values(adapters).find(
-                (a) => a.configs.name === c.name
-              );
-              const configKey = sha3(
-                encodePacked(
-                  role.replace("$contractAddress", ""),
-                  getAddress(adapter.address)
-                )
-              );
-              const configValue = getAddress(
-                readConfigValue(c.governanceRoles[role], c.name)
-              );
-              return await waitTx(
-                dao.setAddressConfiguration(configKey, configValue)
-              );
-            }),
-          Promise.resolve()
-        )
-      );
-    }, Promise.resolve());
+    .flatMap((c) =>
+      Object.keys(c.governanceRoles).map((role) => ({
+        id: `setAddressConfiguration:${c.name}:${role}`,
+        run: async () => {
+          const adapter = Object.values(adapters).find(
+            (a) => a.configs.name === c.name
+          );
+          const configKey = sha3(
+            encodePacked(
+              role.replace("$contractAddress", ""),
+              getAddress(adapter.address)
+            )
+          );
+          const configValue = getAddress(
+            readConfigValue(c.governanceRoles[role], c.name)
+          );
+          return await sendStep(
+            options,
+            `setAddressConfiguration:${c.name}:${role}`,
+            dao,
+            "setAddressConfiguration",
+            [configKey, configValue]
+          );
+        },
+      }))
+    );
 
   if (options.defaultMemberGovernanceToken) {
     const configKey = sha3(encodePacked("governance.role.default"));
-    await waitTx(
-      dao.setAddressConfiguration(
-        configKey,
-        getAddress(options.defaultMemberGovernanceToken)
-      )
-    );
+    roleTasks.push({
+      id: "setAddressConfiguration:governance.role.default",
+      run: () =>
+        sendStep(
+          options,
+          "setAddressConfiguration:governance.role.default",
+          dao,
+          "setAddressConfiguration",
+          [configKey, getAddress(options.defaultMemberGovernanceToken)]
+        ),
+    });
   }
+
+  await schedule(options, roleTasks);
 };
 
+/**
+ * Validates the contract configs before any contract is deployed,
+ * see `checkContractConfigs` for the rules.
+ */
 const validateContractConfigs = (contractConfigs) => {
-  if (!contractConfigs) throw Error(`Missing contract configs`);
-
-  const found = new Map();
-  Object.values(contractConfigs)
-    .filter(
-      (c) =>
-        c.type === ContractType.Adapter &&
-        c.id !== adaptersIdsMap.VOTING_ADAPTER
-    )
-    .forEach((c) => {
-      const current = found.get(c.id);
-      if (current) {
-        throw Error(`Duplicate contract Id detected: ${c.id}`);
-      }
-      found.set(c.id, true);
-    });
+  const problems = checkContractConfigs(contractConfigs);
+  if (problems.length > 0) throw Error(problems.join("\n"));
 };
 
 /**
@@ -391,51 +472,122 @@ const validateContractConfigs = (contractConfigs) => {
  *
  * The Offchain voting is deployed only if it is required via options.offchainVoting parameter.
  *
+ * The independent contracts and transactions are sent in parallel if options.concurrency
+ * is greater than 1, e.g: the adapters are deployed while the DAO is created.
+ * With the default concurrency of 1, the phases and their transactions are sent one after another.
+ *
  * All the deployed contracts will be returned in a map with the aliases defined in the
  * configs/networks/*.config.ts.
  */
 const deployDao = async (options) => {
   validateContractConfigs(options.contractConfigs);
 
-  const { dao, daoFactory } = await cloneDao({
-    ...options,
-    name: options.daoName || "test-dao",
-  });
-
+  const scheduler =
+    options.scheduler || createScheduler({ concurrency: options.concurrency });
   options = {
     ...options,
-    daoAddress: dao.address,
+    scheduler,
     unitTokenToMint: UNITS,
     lootTokenToMint: LOOT,
   };
-
-  const factories = await createFactories({ options });
-  const extensions = await createExtensions({ dao, factories, options });
-  const adapters = await createAdapters({
-    dao,
-    daoFactory,
-    extensions,
-    options,
-  });
-
-  await createGovernanceRoles({ options, dao, adapters });
-
-  await configureDao({
-    owner: options.owner,
-    dao,
-    daoFactory,
-    extensions,
-    adapters,
-    options,
-  });
-
-  const votingHelpers = await configureOffchainVoting({
-    ...options,
-    dao,
-    daoFactory,
-    extensions,
-    adapters,
-  });
+  // The contracts that use the DAO address in the constructor must wait for the DAO
+  const daoDependency = (type) =>
+    Object.values(options.contractConfigs).some(
+      (c) =>
+        c.type === type &&
+        c.enabled &&
+        (c.deploymentArgs || []).includes("daoAddress")
+    )
+      ? ["dao"]
+      : [];
+  const withDao = ({ dao }) => ({ ...options, daoAddress: dao.dao.address });
+
+  const phases = [
+    {
+      id: "dao",
+      run: () =>
+        scheduler.limit(() =>
+          cloneDao({ ...options, name: options.daoName || "test-dao" })
+        ),
+    },
+    { id: "factories", run: () => createFactories({ options }) },
+    {
+      id: "adapters",
+      dependsOn: daoDependency(ContractType.Adapter),
+      run: (done) =>
+        createAdapters({ options: done.dao ? withDao(done) : options }),
+    },
+    {
+      id: "extensions",
+      dependsOn: ["dao", "factories"],
+      run: (done) =>
+        createExtensions({
+          dao: done.dao.dao,
+          factories: done.factories,
+          options: withDao(done),
+        }),
+    },
+    {
+      id: "governanceRoles",
+      dependsOn: ["dao", "adapters"],
+      run: (done) =>
+        createGovernanceRoles({
+          options: withDao(done),
+          dao: done.dao.dao,
+          adapters: done.adapters,
+        }),
+    },
+    {
+      id: "configureDao",
+      dependsOn: ["dao", "extensions", "adapters"],
+      run: (done) =>
+        configureDao({
+          owner: options.owner,
+          dao: done.dao.dao,
+          daoFactory: done.dao.daoFactory,
+          extensions: done.extensions,
+          adapters: done.adapters,
+          options: withDao(done),
+        }),
+    },
+    {
+      // The offchain voting replaces the voting adapter configured in the previous phase
+      id: "offchainVoting",
+      dependsOn: ["dao", "extensions", "adapters", "configureDao"],
+      run: (done) =>
+        configureOffchainVoting({
+          ...withDao(done),
+          dao: done.dao.dao,
+          daoFactory: done.dao.daoFactory,
+          extensions: done.extensions,
+          adapters: done.adapters,
+        }),
+    },
+    {
+      // deploy utility contracts
+      id: "utilContracts",
+      dependsOn: daoDependency(ContractType.Util),
+      run: (done) =>
+        createUtilContracts({ options: done.dao ? withDao(done) : options }),
+    },
+    {
+      // deploy test token contracts for testing convenience
+      id: "testContracts",
+      dependsOn: daoDependency(ContractType.Test),
+      run: (done) =>
+        createTestContracts({ options: done.dao ? withDao(done) : options }),
+    },
+  ];
+
+  // The phases only wait for the phases they depend on, and their
+  // transactions are limited by the concurrency of the scheduler
+  const done = await runTasks(
+    phases,
+    scheduler.concurrency === 1 ? createScheduler().limit : undefined
+  );
+  const { dao, daoFactory } = done.dao;
+  const adapters = done.adapters;
+  const votingHelpers = done.offchainVoting;
 
   // If the offchain contract was created, set it to the adapters map using the alias
   if (votingHelpers.offchainVoting) {
@@ -443,24 +595,18 @@ const deployDao = async (options) => {
       votingHelpers.offchainVoting;
   }
 
-  // deploy utility contracts
-  const utilContracts = await createUtilContracts({ options });
-
-  // deploy test token contracts for testing convenience
-  const testContracts = await createTestContracts({ options });
-
   if (options.finalize) {
-    await waitTx(dao.finalizeDao());
+    await sendStep(options, "finalizeDao", dao, "finalizeDao");
   }
 
   return {
     dao: dao,
     adapters: adapters,
-    extensions: extensions,
-    testContracts: testContracts,
-    utilContracts: utilContracts,
+    extensions: done.extensions,
+    testContracts: done.testContracts,
+    utilContracts: done.utilContracts,
     votingHelpers: votingHelpers,
-    factories: { ...factories, daoFactory },
+    factories: { ...done.factories, daoFactory },
     owner: options.owner,
   };
 };
@@ -477,15 +623,184 @@ const cloneDao = async ({
   DaoRegistry,
   DaoFactory,
   name,
+  journal,
 }) => {
   const daoFactory = await deployFunction(DaoFactory, [DaoRegistry]);
-  await waitTx(daoFactory.createDao(name, creator ? creator : owner));
-  const daoAddress = await daoFactory.getDaoAddress(name);
+  const { address: daoAddress } = await runStep(
+    { journal },
+    `createDao:${name}`,
+    async (sent) => {
+      const res = await sendTx(
+        sent,
+        daoFactory.createDao(name, creator ? creator : owner)
+      );
+      return {
+        hash: res.hash || res.tx,
+        address: await daoFactory.getDaoAddress(name),
+      };
+    },
+    // The name is taken once the DAO is created, so it can not be sent again
+    async () => {
+      const address = await daoFactory.getDaoAddress(name);
+      return address !== ZERO_ADDRESS ? { address } : undefined;
+    }
+  );
   if (daoAddress === ZERO_ADDRESS) throw Error("Invalid dao address");
   const daoInstance = await attachFunction(DaoRegistry, daoAddress);
   return { dao: daoInstance, daoFactory, daoName: name };
 };
 
+/**
+ * Attaches the extensions of the contract configs that were already added to the DAO.
+ */
+const attachDaoExtensions = async ({ dao, options }) => {
+  const extensions = {};
+  await Object.values(options.contractConfigs)
+    .filter((config) => config.type === ContractType.Extension)
+    .filter((config) => config.enabled)
+    .reduce(
+      (p, config) =>
+        p.then(async () => {
+          // The DAO reverts if the extension was not added
+          const address = await dao
+            .getExtensionAddress(sha3(config.id))
+            .catch(() => null);
+          if (!address || address === ZERO_ADDRESS) return;
+
+          const extensionInterface = options[config.name];
+          if (!extensionInterface)
+            throw new Error(`Extension contract not found for ${config.name}`);
+          extensions[config.alias] = embedConfigs(
+            await options.attachFunction(extensionInterface, address),
+            config.name,
+            options.contractConfigs
+          );
+        }),
+      Promise.resolve()
+    );
+  return extensions;
+};
+
+/**
+ * Deploys or reuses the selected adapters and extensions of the configs/contracts.config.ts,
+ * and adds them to an existing DAO, e.g: `options.contracts = ["LendNFTContract"]`.
+ * The DAO must not be finalized, because the DaoFactory only configures DAOs in CREATION state,
+ * and the deployer must be a member of the DAO.
+ * Only the steps of the selected contracts are sent: the extension creation,
+ * `addAdapters`, `configureExtension` and `configureDao`. The extensions that were
+ * already added to the DAO are attached, so the new adapters get access to them.
+ */
+const extendDao = async (options) => {
+  validateContractConfigs(options.contractConfigs);
+  const { daoAddress, contracts } = options;
+  if (!daoAddress) throw Error("Missing the address of the DAO");
+  if (!contracts || contracts.length === 0)
+    throw Error("Missing the adapters or extensions to add to the DAO");
+
+  const selected = contracts.map((name) => {
+    const config = options.contractConfigs.find((c) => c.name === name);
+    if (!config) throw Error(`${name} contract not found in contract configs`);
+    if (!config.enabled)
+      throw Error(`${name} is not enabled in the network configs`);
+    if (
+      (config.type !== ContractType.Adapter &&
+        config.type !== ContractType.Extension) ||
+      config.skipAutoDeploy
+    )
+      throw Error(`${name} is not an adapter or extension that can be added`);
+    return config;
+  });
+
+  const scheduler =
+    options.scheduler || createScheduler({ concurrency: options.concurrency });
+  options = {
+    ...options,
+    scheduler,
+    unitTokenToMint: UNITS,
+    lootTokenToMint: LOOT,
+  };
+
+  const dao = await options.attachFunction(options.DaoRegistry, daoAddress);
+  // DaoRegistry.DaoState.CREATION
+  if ((await dao.state()).toString() !== "0")
+    throw Error(
+      `DAO ${daoAddress} is finalized, use a proposal to add adapters`
+    );
+  const daoFactory = await options.deployFunction(options.DaoFactory, [
+    options.DaoRegistry,
+  ]);
+
+  const existingExtensions = await attachDaoExtensions({ dao, options });
+  const selectedExtensionIds = selected
+    .filter((c) => c.type === ContractType.Extension)
+    .map((c) => {
+      if (existingExtensions[c.alias])
+        throw Error(`${c.name} was already added to DAO ${daoAddress}`);
+      return c.id;
+    });
+  await selected
+    .filter((c) => c.type === ContractType.Adapter)
+    .reduce(
+      (p, c) =>
+        p.then(async () => {
+          const current = await dao
+            .getAdapterAddress(sha3(c.id))
+            .catch(() => null);
+          if (current && current !== ZERO_ADDRESS)
+            info(`${c.name} replaces the adapter ${c.id}: ${current}`);
+        }),
+      Promise.resolve()
+    );
+
+  // The other contracts of the same type are removed from the configs, so the
+  // deployment phases only deploy and configure the selected contracts
+  const withSelected = (type, isSelected) => ({
+    ...options,
+    daoAddress,
+    contractConfigs: options.contractConfigs.filter(
+      (c) => c.type !== type || isSelected(c)
+    ),
+  });
+  const adapterOptions = withSelected(ContractType.Adapter, (c) =>
+    selected.includes(c)
+  );
+
+  const factories = await createFactories({
+    options: withSelected(ContractType.Factory, (c) =>
+      selectedExtensionIds.includes(c.generatesExtensionId)
+    ),
+  });
+  const extensions = await createExtensions({
+    dao,
+    factories,
+    options: { ...options, daoAddress },
+  });
+  const adapters = await createAdapters({ options: adapterOptions });
+  // The default member governance token was set when the DAO was created
+  await createGovernanceRoles({
+    options: { ...adapterOptions, defaultMemberGovernanceToken: undefined },
+    dao,
+    adapters,
+  });
+  await configureDao({
+    dao,
+    daoFactory,
+    extensions,
+    adapters,
+    existingExtensions,
+    options: { ...options, daoAddress },
+  });
+
+  return {
+    dao,
+    adapters,
+    extensions,
+    existingExtensions,
+    factories,
+    owner: options.owner,
+  };
+};
+
 /**
  * Configures an instance of the DAO to work with the provided factories, extension, and adapters.
  * It ensures that every extension and adapter has the correct ACL Flags enabled to be able to communicate
@@ -499,203 +814,233 @@ const configureDao = async ({
   extensions,
   adapters,
   options,
+  existingExtensions = {},
 }) => {
   debug("configure new dao ...");
-  const configureAdaptersWithDAOAccess = async () => {
-    debug("configure adapters with access");
+  // The extensions already added to the DAO are only configured as targets of the new contracts
+  const allExtensions = { ...existingExtensions, ...extensions };
 
-    // If an adapter needs access to the DAO registry or to any enabled Extension,
-    // it needs to be added to the DAO with the correct ACL flags.
+  /**
+   * If an adapter needs access to the DAO registry or to any enabled Extension,
+   * it needs to be added to the DAO with the correct ACL flags.
+   * If an extension needs access to other extension,
+   * that extension needs to be added to the DAO as an adapter contract,
+   * but without any ACL flag enabled.
+   */
+  const addAdaptersTasks = () => {
+    debug("configure adapters with access");
     const adaptersWithAccess = Object.values(adapters)
       .filter((a) => a.configs.enabled)
       .filter((a) => !a.configs.skipAutoDeploy)
       .filter((a) => a.configs.acls.dao);
 
-    await adaptersWithAccess.reduce((p, a) => {
-      info(`
-        Adapter configured '${a.configs.name}'
-        -------------------------------------------------
-         contract address: ${a.address}
-         contract acls: ${JSON.stringify(a.configs.acls)}`);
-
-      return p.then(
-        async () =>
-          await waitTx(
-            daoFactory.addAdapters(dao.address, [
-              entryDao(a.configs.id, a.address, a.configs.acls),
-            ])
-          )
-      );
-    }, Promise.resolve());
-
-    // If an extension needs access to other extension,
-    // that extension needs to be added to the DAO as an adapter contract,
-    // but without any ACL flag enabled.
     const extensionsWithAccess = Object.values(extensions)
       .filter((e) => e.configs.enabled)
       .filter((a) => !a.configs.skipAutoDeploy)
       .filter((e) => Object.keys(e.configs.acls.extensions).length > 0);
 
-    await extensionsWithAccess.reduce((p, e) => {
-      info(`
-        Extension configured '${e.configs.name}'
+    return adaptersWithAccess
+      .map((contract) => ({ contract, type: "Adapter" }))
+      .concat(
+        extensionsWithAccess.map((contract) => ({
+          contract,
+          type: "Extension",
+        }))
+      )
+      .map(({ contract, type }) => ({
+        id: `addAdapters:${contract.configs.name}`,
+        run: () => {
+          info(`
+        ${type} configured '${contract.configs.name}'
         -------------------------------------------------
-         contract address: ${e.address}
-         contract acls: ${JSON.stringify(e.configs.acls)}`);
-
-      return p.then(
-        async () =>
-          await waitTx(
-            daoFactory.addAdapters(dao.address, [
-              entryDao(e.configs.id, e.address, e.configs.acls),
-            ])
-          )
-      );
-    }, Promise.resolve());
-  };
+         contract address: ${contract.address}
+         contract acls: ${JSON.stringify(contract.configs.acls)}`);
 
-  const configureAdaptersWithDAOParameters = async () => {
-    debug("configure adapters ...");
-    const readConfigValue = (configName, contractName) => {
-      // 1st check for configs that are using extension addresses
-      if (Object.values(extensionsIdsMap).includes(configName)) {
-        const extension = Object.values(extensions).find(
-          (e) => e.configs.id === configName
-        );
-        if (!extension || !extension.address)
-          throw new Error(
-            `Error while configuring dao parameter [${configName}] for ${contractName}. Extension not found.`
+          return sendStep(
+            options,
+            `addAdapters:${contract.configs.name}`,
+            daoFactory,
+            "addAdapters",
+            [
+              dao.address,
+              [
+                entryDao(
+                  contract.configs.id,
+                  contract.address,
+                  contract.configs.acls
+                ),
+              ],
+            ]
           );
-        return extension.address;
-      }
-      // 2nd lookup for configs in the options object
-      const configValue = options[configName];
-      if (configValue == null)
+        },
+      }));
+  };
+
+  const readConfigValue = (configName, contractName) => {
+    // 1st check for configs that are using extension addresses
+    if (Object.values(extensionsIdsMap).includes(configName)) {
+      const extension = Object.values(allExtensions).find(
+        (e) => e.configs.id === configName
+      );
+      if (!extension || !extension.address)
         throw new Error(
-          `Error while configuring dao parameter [${configName}] for ${contractName}. Config not found.`
+          `Error while configuring dao parameter [${configName}] for ${contractName}. Extension not found.`
         );
-      return configValue;
-    };
+      return extension.address;
+    }
+    // 2nd lookup for configs in the options object
+    const configValue = options[configName];
+    if (configValue == null)
+      throw new Error(
+        `Error while configuring dao parameter [${configName}] for ${contractName}. Config not found.`
+      );
+    return configValue;
+  };
 
-    const adapterList = Object.values(adapters)
+  /**
+   * The adapters need the SET_CONFIGURATION access to configure the DAO,
+   * so each adapter is configured after it is added to the DAO,
+   * and the config entries of the same adapter are sent in order.
+   */
+  const configureDaoTasks = (addedIds) => {
+    debug("configure adapters ...");
+    return Object.values(adapters)
       .filter((a) => a.configs.enabled)
       .filter((a) => !a.configs.skipAutoDeploy)
-      .filter((a) => a.configs.daoConfigs && a.configs.daoConfigs.length > 0);
-
-    await adapterList.reduce(async (p, adapter) => {
-      const contractConfigs = adapter.configs;
-      return await p.then(() =>
-        contractConfigs.daoConfigs.reduce(
-          (q, configEntry) =>
-            q.then(async () => {
-              const configValues = configEntry.map((configName) =>
-                readConfigValue(configName, contractConfigs.name)
+      .filter((a) => a.configs.daoConfigs && a.configs.daoConfigs.length > 0)
+      .flatMap((adapter) => {
+        const contractConfigs = adapter.configs;
+        const addedId = `addAdapters:${contractConfigs.name}`;
+        return contractConfigs.daoConfigs.map((configEntry, index) => ({
+          id: `configureDao:${contractConfigs.name}:${index}`,
+          dependsOn: (addedIds.includes(addedId) ? [addedId] : []).concat(
+            index > 0
+              ? [`configureDao:${contractConfigs.name}:${index - 1}`]
+              : []
+          ),
+          run: async () => {
+            const configValues = configEntry.map((configName) =>
+              readConfigValue(configName, contractConfigs.name)
+            );
+            return await sendStep(
+              options,
+              `configureDao:${contractConfigs.name}:${index}`,
+              adapter,
+              "configureDao",
+              configValues
+            ).catch((err) => {
+              error(
+                `Error while configuring dao with contract ${contractConfigs.name}. `,
+                err
               );
-              const p = adapter.configureDao(...configValues).catch((err) => {
-                error(
-                  `Error while configuring dao with contract ${contractConfigs.name}. `,
-                  err
-                );
-                throw err;
-              });
-              return await waitTx(p);
-            }),
-          Promise.resolve()
-        )
-      );
-    }, Promise.resolve());
+              throw err;
+            });
+          },
+        }));
+      });
   };
 
-  const configureExtensionAccess = async (contracts, extension) => {
+  /**
+   * Grants the access to the extension for each contract. The DAO only sets the
+   * extension ACLs of registered adapters, so it runs after the contracts are added to the DAO.
+   */
+  const configureExtensionTask = (contracts, extension, addedIds, label) => {
     debug("configure extension access for ", extension.configs.alias);
-    const withAccess = Object.values(contracts).reduce((accessRequired, c) => {
-      const configs = c.configs;
-      accessRequired.push(
-        extension.configs.buildAclFlag(c.address, configs.acls)
-      );
-      return accessRequired;
-    }, []);
-
-    if (withAccess.length > 0)
-      await waitTx(
-        daoFactory.configureExtension(
+    const stepId = `configureExtension:${extension.configs.name}:${contracts
+      .map((c) => c.configs.name)
+      .join(",")}`;
+    return {
+      id: stepId,
+      dependsOn: contracts
+        .map((c) => `addAdapters:${c.configs.name}`)
+        .filter((id) => addedIds.includes(id)),
+      run: () => {
+        const withAccess = contracts.map((c) =>
+          extension.configs.buildAclFlag(c.address, c.configs.acls)
+        );
+        return sendStep(options, stepId, daoFactory, "configureExtension", [
           dao.address,
           extension.address,
-          withAccess
-        )
-      );
+          withAccess,
+        ]).catch((err) => {
+          error(
+            `Error while configuring ${label} access to extension ${extension.configs.name}. `,
+            err
+          );
+          throw err;
+        });
+      },
+    };
   };
 
   /**
-   * Configures all the adapters that need access to the DAO and each enabled extension
+   * Configures all the adapters that need access to each enabled extension
    */
-  const configureAdapters = async () => {
+  const configureAdaptersTasks = (addedIds) => {
     debug("configure adapters ...");
-    await configureAdaptersWithDAOAccess();
-    await configureAdaptersWithDAOParameters();
-    const extensionsList = Object.values(extensions)
+    return Object.values(allExtensions)
       .filter((targetExtension) => targetExtension.configs.enabled)
-      .filter((targetExtension) => !targetExtension.configs.skipAutoDeploy);
-
-    await extensionsList.reduce((p, targetExtension) => {
-      // Filters the enabled adapters that have access to the targetExtension
-      const contracts = Object.values(adapters)
-        .filter((a) => a.configs.enabled)
-        .filter((a) => !a.configs.skipAutoDeploy)
-        .filter((a) =>
-          // The adapters must have at least 1 ACL flag defined to access the targetExtension
-          Object.keys(a.configs.acls.extensions).some(
-            (extId) => extId === targetExtension.configs.id
-          )
-        );
-
-      return p
-        .then(() => configureExtensionAccess(contracts, targetExtension))
-        .catch((err) => {
-          error(
-            `Error while configuring adapters access to extension ${targetExtension.configs.name}. `,
-            err
+      .filter((targetExtension) => !targetExtension.configs.skipAutoDeploy)
+      .map((targetExtension) => {
+        // Filters the enabled adapters that have access to the targetExtension
+        const contracts = Object.values(adapters)
+          .filter((a) => a.configs.enabled)
+          .filter((a) => !a.configs.skipAutoDeploy)
+          .filter((a) =>
+            // The adapters must have at least 1 ACL flag defined to access the targetExtension
+            Object.keys(a.configs.acls.extensions).some(
+              (extId) => extId === targetExtension.configs.id
+            )
           );
-          throw err;
-        });
-    }, Promise.resolve());
+        return { contracts, targetExtension };
+      })
+      .filter(({ contracts }) => contracts.length > 0)
+      .map(({ contracts, targetExtension }) =>
+        configureExtensionTask(contracts, targetExtension, addedIds, "adapters")
+      );
   };
 
   /**
    * Configures all the extensions that need access to
    * other enabled extensions
    */
-  const configureExtensions = async () => {
+  const configureExtensionsTasks = (addedIds) => {
     debug("configure extensions ...");
-    const extensionsList = Object.values(extensions).filter(
-      (targetExtension) => targetExtension.configs.enabled
-    );
-
-    await extensionsList.reduce((p, targetExtension) => {
-      // Filters the enabled extensions that have access to the targetExtension
-      const contracts = Object.values(extensions)
-        .filter((e) => e.configs.enabled)
-        .filter((e) => e.configs.id !== targetExtension.configs.id)
-        .filter((e) =>
-          // The other extensions must have at least 1 ACL flag defined to access the targetExtension
-          Object.keys(e.configs.acls.extensions).some(
-            (extId) => extId === targetExtension.configs.id
-          )
-        );
-
-      return p
-        .then(() => configureExtensionAccess(contracts, targetExtension))
-        .catch((err) => {
-          error(
-            `Error while configuring extensions access to extension ${targetExtension.configs.name}. `
+    return Object.values(allExtensions)
+      .filter((targetExtension) => targetExtension.configs.enabled)
+      .map((targetExtension) => {
+        // Filters the enabled extensions that have access to the targetExtension
+        const contracts = Object.values(extensions)
+          .filter((e) => e.configs.enabled)
+          .filter((e) => e.configs.id !== targetExtension.configs.id)
+          .filter((e) =>
+            // The other extensions must have at least 1 ACL flag defined to access the targetExtension
+            Object.keys(e.configs.acls.extensions).some(
+              (extId) => extId === targetExtension.configs.id
+            )
           );
-          throw err;
-        });
-    }, Promise.resolve());
+        return { contracts, targetExtension };
+      })
+      .filter(({ contracts }) => contracts.length > 0)
+      .map(({ contracts, targetExtension }) =>
+        configureExtensionTask(
+          contracts,
+          targetExtension,
+          addedIds,
+          "extensions"
+        )
+      );
   };
 
-  await configureAdapters();
-  await configureExtensions();
+  const addTasks = addAdaptersTasks();
+  const addedIds = addTasks.map((t) => t.id);
+  await schedule(
+    options,
+    addTasks
+      .concat(configureDaoTasks(addedIds))
+      .concat(configureAdaptersTasks(addedIds))
+      .concat(configureExtensionsTasks(addedIds))
+  );
 };
 
 /**
@@ -717,6 +1062,9 @@ const configureOffchainVoting = async ({
   deployFunction,
   extensions,
   adapters,
+  journal,
+  scheduler,
+  safeBatch,
 }) => {
   debug("configuring offchain voting...");
   const votingHelpers = {
@@ -728,64 +1076,108 @@ const configureOffchainVoting = async ({
 
   // Offchain voting is disabled
   if (!offchainVoting) return votingHelpers;
-  const currentVotingAdapterAddress = await dao.getAdapterAddress(
-    sha3(adaptersIdsMap.VOTING_ADAPTER)
-  );
-
-  const snapshotProposalContract = await deployFunction(
-    SnapshotProposalContract
-  );
-
-  const offchainVotingHashContract = await deployFunction(
-    OffchainVotingHashContract,
-    [snapshotProposalContract.address]
-  );
-
-  const offchainVotingHelper = await deployFunction(
-    OffchainVotingHelperContract,
-    [offchainVotingHashContract.address]
-  );
-
-  const handleBadReporterAdapter = await deployFunction(KickBadReporterAdapter);
-  const offchainVotingContract = await deployFunction(OffchainVotingContract, [
-    currentVotingAdapterAddress,
-    offchainVotingHashContract.address,
-    offchainVotingHelper.address,
-    snapshotProposalContract.address,
-    handleBadReporterAdapter.address,
-    offchainAdmin,
+  // The voting adapter is only added to the DAO when the Safe executes the batch
+  const currentVotingAdapterAddress = safeBatch
+    ? adapters.voting.address
+    : await dao.getAdapterAddress(sha3(adaptersIdsMap.VOTING_ADAPTER));
+
+  const options = { journal, scheduler, safeBatch };
+  const offchainVotingName = OffchainVotingContract.contractName;
+  // The helper contracts are deployed in the order of their constructor args,
+  // and the DAO is configured after the offchain voting replaces the voting adapter
+  const done = await schedule(options, [
+    {
+      id: "snapshotProposal",
+      run: () => deployFunction(SnapshotProposalContract),
+    },
+    {
+      id: "offchainVotingHash",
+      dependsOn: ["snapshotProposal"],
+      run: ({ snapshotProposal }) =>
+        deployFunction(OffchainVotingHashContract, [snapshotProposal.address]),
+    },
+    {
+      id: "offchainVotingHelper",
+      dependsOn: ["offchainVotingHash"],
+      run: ({ offchainVotingHash }) =>
+        deployFunction(OffchainVotingHelperContract, [
+          offchainVotingHash.address,
+        ]),
+    },
+    {
+      id: "handleBadReporter",
+      run: () => deployFunction(KickBadReporterAdapter),
+    },
+    {
+      id: "offchainVoting",
+      dependsOn: [
+        "snapshotProposal",
+        "offchainVotingHash",
+        "offchainVotingHelper",
+        "handleBadReporter",
+      ],
+      run: (contracts) =>
+        deployFunction(OffchainVotingContract, [
+          currentVotingAdapterAddress,
+          contracts.offchainVotingHash.address,
+          contracts.offchainVotingHelper.address,
+          contracts.snapshotProposal.address,
+          contracts.handleBadReporter.address,
+          offchainAdmin,
+        ]),
+    },
+    {
+      id: "updateAdapter",
+      dependsOn: ["offchainVoting"],
+      run: ({ offchainVoting }) =>
+        sendStep(
+          options,
+          `updateAdapter:${offchainVotingName}`,
+          daoFactory,
+          "updateAdapter",
+          [
+            dao.address,
+            entryDao(
+              offchainVoting.configs.id,
+              offchainVoting.address,
+              offchainVoting.configs.acls
+            ),
+          ]
+        ),
+    },
+    {
+      id: "setAclToExtensionForAdapter",
+      dependsOn: ["offchainVoting", "updateAdapter"],
+      run: ({ offchainVoting }) =>
+        sendStep(
+          options,
+          `setAclToExtensionForAdapter:${extensions.bankExt.configs.name}:${offchainVotingName}`,
+          dao,
+          "setAclToExtensionForAdapter",
+          [
+            extensions.bankExt.address,
+            offchainVoting.address,
+            entryBank(offchainVoting.address, offchainVoting.configs.acls)
+              .flags,
+          ]
+        ),
+    },
+    {
+      id: "configureDao",
+      dependsOn: ["offchainVoting", "updateAdapter"],
+      run: ({ offchainVoting }) =>
+        sendStep(
+          options,
+          `configureDao:${offchainVotingName}`,
+          offchainVoting,
+          "configureDao",
+          [dao.address, votingPeriod, gracePeriod, 10]
+        ),
+    },
   ]);
-
-  await waitTx(
-    daoFactory.updateAdapter(
-      dao.address,
-      entryDao(
-        offchainVotingContract.configs.id,
-        offchainVotingContract.address,
-        offchainVotingContract.configs.acls
-      )
-    )
-  );
-
-  await waitTx(
-    dao.setAclToExtensionForAdapter(
-      extensions.bankExt.address,
-      offchainVotingContract.address,
-      entryBank(
-        offchainVotingContract.address,
-        offchainVotingContract.configs.acls
-      ).flags
-    )
-  );
-
-  await waitTx(
-    offchainVotingContract.configureDao(
-      dao.address,
-      votingPeriod,
-      gracePeriod,
-      10
-    )
-  );
+  const offchainVotingContract = done.offchainVoting;
+  const handleBadReporterAdapter = done.handleBadReporter;
+  const snapshotProposalContract = done.snapshotProposal;
 
   votingHelpers.offchainVoting = offchainVotingContract;
   votingHelpers.handleBadReporterAdapter = handleBadReporterAdapter;
@@ -800,5 +1192,6 @@ module.exports = {
   createExtensions,
   createAdapters,
   deployDao,
+  extendDao,
   cloneDao,
 };
@@ -0,0 +1,275 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { ethers } = require("ethers");
+const { requestJson } = require("./http-util");
+
+/**
+ * The Etherscan-compatible explorer APIs of the supported networks, and the env var of each API key.
+ * The explorer of any other network, e.g. harmony, can be set with the EXPLORER_API_URL env var.
+ */
+const explorers = {
+  mainnet: {
+    apiUrl: "https://api.etherscan.io/api",
+    apiKeyEnv: "ETHERSCAN_API_KEY",
+  },
+  rinkeby: {
+    apiUrl: "https://api-rinkeby.etherscan.io/api",
+    apiKeyEnv: "ETHERSCAN_API_KEY",
+  },
+  ropsten: {
+    apiUrl: "https://api-ropsten.etherscan.io/api",
+    apiKeyEnv: "ETHERSCAN_API_KEY",
+  },
+  goerli: {
+    apiUrl: "https://api-goerli.etherscan.io/api",
+    apiKeyEnv: "ETHERSCAN_API_KEY",
+  },
+  polygon: {
+    apiUrl: "https://api.polygonscan.com/api",
+    apiKeyEnv: "POLYGONSCAN_API_KEY",
+  },
+  polygontest: {
+    apiUrl: "https://api-testnet.polygonscan.com/api",
+    apiKeyEnv: "POLYGONSCAN_API_KEY",
+  },
+  avalanche: {
+    apiUrl: "https://api.snowtrace.io/api",
+    apiKeyEnv: "SNOWTRACE_API_KEY",
+  },
+  avalanchetest: {
+    apiUrl: "https://api-testnet.snowtrace.io/api",
+    apiKeyEnv: "SNOWTRACE_API_KEY",
+  },
+};
+
+/**
+ * Returns the explorer API of a network, the EXPLORER_API_URL and EXPLORER_API_KEY env vars
+ * override the defaults of the network.
+ */
+const getExplorer = (network, env = process.env) => {
+  const explorer = explorers[network] || {};
+  const apiUrl = env.EXPLORER_API_URL || explorer.apiUrl;
+  if (!apiUrl)
+    throw new Error(
+      `No Etherscan-compatible explorer for ${network} network, set the EXPLORER_API_URL env var`
+    );
+  const apiKey =
+    env.EXPLORER_API_KEY || (explorer.apiKeyEnv && env[explorer.apiKeyEnv]);
+  if (!apiKey && !env.EXPLORER_API_URL)
+    throw new Error(
+      `Missing the ${explorer.apiKeyEnv} env var to verify the contracts on ${network} network`
+    );
+  return { apiUrl, apiKey };
+};
+
+/**
+ * Creates the client of the contract verification API of an Etherscan-compatible explorer.
+ */
+const createExplorerClient = ({ apiUrl, apiKey, timeout = 60000 }) => {
+  const call = (params, method = "GET") => {
+    const query = new URLSearchParams({
+      ...params,
+      apikey: apiKey || "",
+    }).toString();
+    return method === "POST"
+      ? requestJson(apiUrl, {
+          method,
+          timeout,
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: query,
+        })
+      : requestJson(`${apiUrl}?${query}`, { timeout });
+  };
+
+  return {
+    submit: ({
+      address,
+      contractName,
+      compilerVersion,
+      input,
+      constructorArgs,
+    }) =>
+      call(
+        {
+          module: "contract",
+          action: "verifysourcecode",
+          contractaddress: address,
+          sourceCode: JSON.stringify(input),
+          codeformat: "solidity-standard-json-input",
+          contractname: contractName,
+          compilerversion: compilerVersion,
+          // The typo is part of the Etherscan API
+          constructorArguements: constructorArgs,
+        },
+        "POST"
+      ),
+    checkStatus: (guid) =>
+      call({ module: "contract", action: "checkverifystatus", guid }),
+  };
+};
+
+/**
+ * Reads the standard JSON input of the compilation of a contract from the Hardhat build info,
+ * with the exact compiler version and settings used to build it.
+ */
+const getVerificationInput = async (artifacts, name) => {
+  const artifact = artifacts.readArtifactSync(name);
+  const contractName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await artifacts.getBuildInfo(contractName);
+  if (!buildInfo)
+    throw new Error(
+      `Missing the build info of ${contractName}, run: npx hardhat compile`
+    );
+  return {
+    contractName,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    input: buildInfo.input,
+    abi: artifact.abi,
+  };
+};
+
+/**
+ * ABI encodes the constructor args of the deployment record, without the 0x prefix.
+ */
+const encodeConstructorArgs = (abi, args) => {
+  const constructor = new ethers.utils.Interface(abi).deploy;
+  if (args === undefined && constructor.inputs.length > 0)
+    throw new Error(
+      "The constructor args are not in the deployment record, deploy it again to record them"
+    );
+  return ethers.utils.defaultAbiCoder
+    .encode(constructor.inputs, args || [])
+    .slice(2);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isAlreadyVerified = (result) => /already verified/i.test(result || "");
+
+/**
+ * Submits the source code of a deployed contract, and polls the status of the verification
+ * until the explorer verifies it or fails to verify it.
+ */
+const verifyContract = async ({
+  client,
+  artifacts,
+  entry,
+  pollInterval = 5000,
+  maxAttempts = 30,
+}) => {
+  const { contractName, compilerVersion, input, abi } =
+    await getVerificationInput(artifacts, entry.name);
+  const submitted = await client.submit({
+    address: entry.address,
+    contractName,
+    compilerVersion,
+    input,
+    constructorArgs: encodeConstructorArgs(abi, entry.constructorArgs),
+  });
+  if (submitted.status !== "1") {
+    if (isAlreadyVerified(submitted.result))
+      return { status: "already-verified", message: submitted.result };
+    throw new Error(submitted.result || submitted.message);
+  }
+
+  const guid = submitted.result;
+  return Array.from({ length: maxAttempts }).reduce(
+    (p, _, attempt) =>
+      p.then(async (result) => {
+        if (result) return result;
+        await sleep(pollInterval);
+        const { status, result: message } = await client.checkStatus(guid);
+        if (status === "1") return { status: "verified", message, guid };
+        if (isAlreadyVerified(message))
+          return { status: "already-verified", message, guid };
+        if (/pending/i.test(message || "")) {
+          if (attempt + 1 === maxAttempts)
+            throw new Error(`Verification ${guid} still pending: ${message}`);
+          return undefined;
+        }
+        throw new Error(`Verification ${guid} failed: ${message}`);
+      }),
+    Promise.resolve(undefined)
+  );
+};
+
+/**
+ * Verifies the contracts of a deployed contracts registry one at a time.
+ * The clones created by the factories, e.g. the DaoRegistry and the extensions,
+ * are skipped because the explorers match them with the verified implementation.
+ * A failed contract does not stop the verification of the others,
+ * and each verification waits `delay` ms to avoid the rate limit of the API.
+ */
+const verifyContracts = async ({
+  registry,
+  client,
+  artifacts,
+  skip = [],
+  delay = 1500,
+  onResult = (result, index) => {},
+  ...opts
+}) =>
+  Object.values(registry.contracts).reduce(
+    (p, entry) =>
+      p.then(async (results) => {
+        const base = { name: entry.name, address: entry.address };
+        let result;
+        if (skip.includes(entry.name)) {
+          result = { ...base, status: "skipped", message: "skipped" };
+        } else if (entry.createdBy) {
+          result = {
+            ...base,
+            status: "skipped",
+            message: `clone created by ${entry.createdBy}`,
+          };
+        } else {
+          try {
+            result = {
+              ...base,
+              ...(await verifyContract({ client, artifacts, entry, ...opts })),
+            };
+          } catch (err) {
+            result = { ...base, status: "failed", message: err.message };
+          }
+          await sleep(delay);
+        }
+        onResult(result, results.length);
+        return results.concat(result);
+      }),
+    Promise.resolve([])
+  );
+
+module.exports = {
+  explorers,
+  getExplorer,
+  createExplorerClient,
+  getVerificationInput,
+  encodeConstructorArgs,
+  verifyContract,
+  verifyContracts,
+};
@@ -0,0 +1,366 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { ethers } = require("ethers");
+const { toBN, toHex } = require("./contract-util");
+const { info } = require("./log-util");
+
+const gwei = (value) => ethers.utils.parseUnits(String(value), "gwei");
+const formatGwei = (wei) => ethers.utils.formatUnits(wei, "gwei");
+
+/**
+ * The default fee strategy, all the fee values are in wei and the times in seconds.
+ * - type: `eip1559` uses maxFeePerGas/maxPriorityFeePerGas, `legacy` uses gasPrice.
+ * - maxFeePerGas: the fee cap, the transactions are paused while the network fees are above it.
+ * - feeHistoryBlocks/rewardPercentile: the `eth_feeHistory` window used to estimate the priority fee.
+ * - baseFeeMultiplier: the max fee is `baseFee * baseFeeMultiplier + priorityFee`.
+ * - bumpPercent/replaceAfter: a transaction not mined after `replaceAfter` seconds
+ *   is replaced by the same transaction with fees bumped by `bumpPercent`.
+ * - pollInterval/maxWait: how often the fees and receipts are checked,
+ *   and how long to wait for the fees to drop below the cap (0 waits forever).
+ */
+const defaultFeeStrategy = {
+  type: "eip1559",
+  maxFeePerGas: undefined,
+  minPriorityFeePerGas: toBN(0),
+  minGasPrice: toBN(0),
+  feeHistoryBlocks: 10,
+  rewardPercentile: 50,
+  baseFeeMultiplier: 2,
+  bumpPercent: 15,
+  replaceAfter: 180,
+  pollInterval: 15,
+  maxWait: 0,
+};
+
+/**
+ * The fee strategy defaults of each network, the local networks are not listed
+ * because their transactions are sent without any fee strategy.
+ */
+const networkFeeDefaults = {
+  // Test Networks
+  goerli: { maxFeePerGas: gwei(50), minPriorityFeePerGas: gwei(1.5) },
+  rinkeby: { maxFeePerGas: gwei(50), minPriorityFeePerGas: gwei(1.5) },
+  ropsten: { maxFeePerGas: gwei(50), minPriorityFeePerGas: gwei(1.5) },
+  harmonytest: { type: "legacy", minGasPrice: gwei(10) },
+  polygontest: { maxFeePerGas: gwei(300), minPriorityFeePerGas: gwei(30) },
+  avalanchetest: { maxFeePerGas: gwei(200), minPriorityFeePerGas: gwei(1.5) },
+  // Main Networks
+  mainnet: { maxFeePerGas: gwei(150), minPriorityFeePerGas: gwei(1.5) },
+  harmony: { type: "legacy", minGasPrice: gwei(100) },
+  polygon: { maxFeePerGas: gwei(1000), minPriorityFeePerGas: gwei(30) },
+  avalanche: { maxFeePerGas: gwei(200), minPriorityFeePerGas: gwei(1.5) },
+};
+
+const feeValues = ["maxFeePerGas", "minPriorityFeePerGas", "minGasPrice"];
+
+/**
+ * Builds the fee strategy of a network from the defaults, the `fees` section of
+ * the network config in hardhat.config.js, and the env vars:
+ * - FEE_STRATEGY: `eip1559`, `legacy` or `disabled`.
+ * - MAX_FEE_PER_GAS_GWEI: the fee cap in gwei.
+ * - MIN_PRIORITY_FEE_PER_GAS_GWEI: the min priority fee in gwei.
+ * Returns undefined if the network does not use a fee strategy.
+ */
+const getFeeStrategy = (network, config, env = process.env) => {
+  if (env.FEE_STRATEGY === "disabled") return undefined;
+  if (!networkFeeDefaults[network] && !config && !env.FEE_STRATEGY)
+    return undefined;
+
+  const strategy = {
+    ...defaultFeeStrategy,
+    ...networkFeeDefaults[network],
+    ...config,
+  };
+  if (env.FEE_STRATEGY) strategy.type = env.FEE_STRATEGY;
+  if (env.MAX_FEE_PER_GAS_GWEI)
+    strategy.maxFeePerGas = gwei(env.MAX_FEE_PER_GAS_GWEI);
+  if (env.MIN_PRIORITY_FEE_PER_GAS_GWEI)
+    strategy.minPriorityFeePerGas = gwei(env.MIN_PRIORITY_FEE_PER_GAS_GWEI);
+
+  if (strategy.type !== "eip1559" && strategy.type !== "legacy")
+    throw new Error(`Invalid fee strategy type: ${strategy.type}`);
+
+  return feeValues.reduce(
+    (s, key) =>
+      s[key] === undefined || s[key] === null
+        ? s
+        : { ...s, [key]: toBN(s[key]) },
+    strategy
+  );
+};
+
+const sleep = (seconds) =>
+  new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+
+const max = (a, b) => (a.gt(b) ? a : b);
+
+const multiply = (value, factor) =>
+  value.mul(Math.round(factor * 100)).div(100);
+
+/**
+ * Estimates the fees of the next block. The priority fee is the average of the
+ * `rewardPercentile` priority fee paid in the last `feeHistoryBlocks` blocks,
+ * and the base fee is the one of the pending block returned by `eth_feeHistory`.
+ * The max fee is limited by the fee cap of the strategy.
+ */
+const estimateFees = async (provider, strategy) => {
+  if (strategy.type === "legacy") {
+    const gasPrice = toBN(await provider.request({ method: "eth_gasPrice" }));
+    return { gasPrice: max(gasPrice, strategy.minGasPrice) };
+  }
+
+  const history = await provider.request({
+    method: "eth_feeHistory",
+    params: [
+      toHex(strategy.feeHistoryBlocks),
+      "latest",
+      [strategy.rewardPercentile],
+    ],
+  });
+  const baseFeePerGas = toBN(
+    history.baseFeePerGas[history.baseFeePerGas.length - 1]
+  );
+  const rewards = (history.reward || []).map((r) => toBN(r[0]));
+  const averageReward = rewards.length
+    ? rewards.reduce((a, b) => a.add(b), toBN(0)).div(rewards.length)
+    : toBN(0);
+  const maxPriorityFeePerGas = max(
+    averageReward,
+    strategy.minPriorityFeePerGas
+  );
+
+  let maxFeePerGas = multiply(baseFeePerGas, strategy.baseFeeMultiplier).add(
+    maxPriorityFeePerGas
+  );
+  if (strategy.maxFeePerGas && maxFeePerGas.gt(strategy.maxFeePerGas))
+    maxFeePerGas = strategy.maxFeePerGas;
+
+  return { baseFeePerGas, maxFeePerGas, maxPriorityFeePerGas };
+};
+
+/**
+ * The min fee per gas required to get the transaction included in the next block.
+ */
+const requiredFee = (fees) =>
+  fees.gasPrice
+    ? fees.gasPrice
+    : fees.baseFeePerGas.add(fees.maxPriorityFeePerGas);
+
+/**
+ * Estimates the fees and pauses until the fees required by the network drop below
+ * the fee cap of the strategy. It fails if the fees do not drop in `maxWait` seconds.
+ */
+const waitForAcceptableFees = async (provider, strategy) => {
+  const start = Date.now();
+  let paused = false;
+  for (;;) {
+    const fees = await estimateFees(provider, strategy);
+    const fee = requiredFee(fees);
+    if (!strategy.maxFeePerGas || fee.lte(strategy.maxFeePerGas)) {
+      if (paused) info(`Network fees dropped to ${formatGwei(fee)} gwei`);
+      return fees;
+    }
+
+    const cap = formatGwei(strategy.maxFeePerGas);
+    if (strategy.maxWait && Date.now() - start >= strategy.maxWait * 1000)
+      throw new Error(
+        `Network fees of ${formatGwei(
+          fee
+        )} gwei remained above the max fee of ${cap} gwei for ${
+          strategy.maxWait
+        }s`
+      );
+    if (!paused)
+      info(
+        `Network fees of ${formatGwei(
+          fee
+        )} gwei are above the max fee of ${cap} gwei, waiting for the fees to drop...`
+      );
+    paused = true;
+    await sleep(strategy.pollInterval);
+  }
+};
+
+/**
+ * Bumps the fees of a transaction by `bumpPercent` so it can replace a pending one.
+ * The nodes reject replacements that do not bump all the fees, so it returns
+ * undefined if the bumped fees would exceed the fee cap.
+ */
+const bumpFees = (fees, strategy) => {
+  const factor = 1 + strategy.bumpPercent / 100;
+  const bumped = fees.gasPrice
+    ? { gasPrice: multiply(fees.gasPrice, factor) }
+    : {
+        maxFeePerGas: multiply(fees.maxFeePerGas, factor),
+        maxPriorityFeePerGas: multiply(fees.maxPriorityFeePerGas, factor),
+      };
+  const fee = bumped.gasPrice || bumped.maxFeePerGas;
+  if (strategy.maxFeePerGas && fee.gt(strategy.maxFeePerGas)) return undefined;
+  return bumped;
+};
+
+/**
+ * The replacement uses the bumped fees, or the current network fees if they are higher.
+ */
+const replacementFees = (fees, current, strategy) => {
+  const bumped = bumpFees(fees, strategy);
+  if (!bumped) return undefined;
+  if (bumped.gasPrice)
+    return { gasPrice: max(bumped.gasPrice, current.gasPrice) };
+  return {
+    maxFeePerGas: max(bumped.maxFeePerGas, current.maxFeePerGas),
+    maxPriorityFeePerGas: max(
+      bumped.maxPriorityFeePerGas,
+      current.maxPriorityFeePerGas
+    ),
+  };
+};
+
+const toRpcFees = (fees) =>
+  fees.gasPrice
+    ? { gasPrice: toHex(fees.gasPrice) }
+    : {
+        maxFeePerGas: toHex(fees.maxFeePerGas),
+        maxPriorityFeePerGas: toHex(fees.maxPriorityFeePerGas),
+      };
+
+const getReceipt = (provider, hash) =>
+  provider.request({ method: "eth_getTransactionReceipt", params: [hash] });
+
+const getNonce = async (provider, from, block) =>
+  toBN(
+    await provider.request({
+      method: "eth_getTransactionCount",
+      params: [from, block],
+    })
+  ).toNumber();
+
+/**
+ * Waits for one of the submitted transactions to be mined, and replaces the
+ * pending transaction with bumped fees every `replaceAfter` seconds.
+ * Returns the hash of the transaction that was mined.
+ */
+const waitOrReplace = async (provider, tx, nonce, fees, hash, strategy) => {
+  const hashes = [hash];
+  let lastFees = fees;
+  let sentAt = Date.now();
+  for (;;) {
+    const receipts = await Promise.all(
+      hashes.map((h) => getReceipt(provider, h))
+    );
+    const mined = receipts.findIndex((r) => r);
+    if (mined >= 0) return hashes[mined];
+
+    // The nonce was used by a transaction that was not sent by this strategy
+    if ((await getNonce(provider, tx.from, "latest")) > nonce) {
+      const retry = await Promise.all(
+        hashes.map((h) => getReceipt(provider, h))
+      );
+      const found = retry.findIndex((r) => r);
+      if (found >= 0) return hashes[found];
+      throw new Error(
+        `Transaction ${hash} was replaced by another transaction with nonce ${nonce}`
+      );
+    }
+
+    if (Date.now() - sentAt >= strategy.replaceAfter * 1000) {
+      const current = await estimateFees(provider, strategy);
+      const nextFees = replacementFees(lastFees, current, strategy);
+      if (nextFees) {
+        try {
+          const replacement = await provider.request({
+            method: "eth_sendTransaction",
+            params: [{ ...tx, ...toRpcFees(nextFees) }],
+          });
+          info(
+            `Transaction ${
+              hashes[hashes.length - 1]
+            } replaced by ${replacement} with max fee ${formatGwei(
+              nextFees.gasPrice || nextFees.maxFeePerGas
+            )} gwei`
+          );
+          hashes.push(replacement);
+          lastFees = nextFees;
+        } catch (err) {
+          // The pending transaction might have been mined in the meantime
+          info(`Unable to replace transaction ${hash}: ${err.message}`);
+        }
+      }
+      sentAt = Date.now();
+    }
+    await sleep(strategy.pollInterval);
+  }
+};
+
+/**
+ * Sends a transaction using the fees of the strategy. The transactions with
+ * explicit fees are sent as they are. When replace-by-fee is enabled
+ * (`replaceAfter` > 0) it only returns after the transaction is mined,
+ * so the returned hash is always the hash of the mined transaction.
+ * The errors thrown after the transaction is sent have its `transactionHash`,
+ * because its nonce might already be used.
+ */
+const sendTransaction = async (provider, tx, strategy) => {
+  if (
+    tx.gasPrice !== undefined ||
+    tx.maxFeePerGas !== undefined ||
+    tx.maxPriorityFeePerGas !== undefined
+  )
+    return provider.request({ method: "eth_sendTransaction", params: [tx] });
+
+  const fees = await waitForAcceptableFees(provider, strategy);
+  const from =
+    tx.from || (await provider.request({ method: "eth_accounts" }))[0];
+  const nonce =
+    tx.nonce !== undefined
+      ? toBN(tx.nonce).toNumber()
+      : await getNonce(provider, from, "pending");
+  const request = { ...tx, from, nonce: toHex(nonce) };
+
+  const hash = await provider.request({
+    method: "eth_sendTransaction",
+    params: [{ ...request, ...toRpcFees(fees) }],
+  });
+  if (!strategy.replaceAfter) return hash;
+
+  return waitOrReplace(provider, request, nonce, fees, hash, strategy).catch(
+    (err) => {
+      err.transactionHash = err.transactionHash || hash;
+      throw err;
+    }
+  );
+};
+
+module.exports = {
+  networkFeeDefaults,
+  getFeeStrategy,
+  estimateFees,
+  waitForAcceptableFees,
+  bumpFees,
+  sendTransaction,
+};
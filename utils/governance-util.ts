@@ -1,6 +1,6 @@
 /**
  * The roles defined here are matching the roles available in the GovernanceHelper.sol,
- * otherwise the roles won't work.
+ * otherwise the roles won't work. It is checked by test/utils/dao-ids.test.js.
  */
 export const governanceRoles: Record<string, string> = {
   ONLY_GOVERNOR: "governance.role.$contractAddress",
@@ -246,6 +246,17 @@ const revertChainSnapshot = async (snapshotId) => {
   ).catch((e) => console.error(e));
 };
 
+/**
+ * Resolves with the message of the error thrown by the promise, or null if it succeeds.
+ * The revertedWith matcher only checks the contract reverts, so the tests of the utils
+ * use it to check the plain errors thrown from the scripts.
+ */
+const rejection = (promise) =>
+  promise.then(
+    () => null,
+    (err) => err.message
+  );
+
 const proposalIdGenerator = () => {
   var idCounter = 0;
   return {
@@ -393,10 +404,12 @@ module.exports = (() => {
     deployDefaultDao,
     deployDefaultNFTDao,
     deployDaoWithOffchainVoting,
+    getDefaultOptions,
     encodeProposalData,
     takeChainSnapshot,
     revertChainSnapshot,
     proposalIdGenerator,
+    rejection,
     advanceTime,
     deployFunction,
     attachFunction: attach,
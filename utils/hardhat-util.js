@@ -22,32 +22,66 @@ SOFTWARE.
  */
 
 const hre = require("hardhat");
-const { ZERO_ADDRESS, sha3, fromAscii, waitTx } = require("./contract-util");
-const { checkpoint, restore } = require("./checkpoint-util");
-const { info } = require("./log-util");
+const { ZERO_ADDRESS, sha3, waitTx } = require("./contract-util");
+const { toArtifactVersion } = require("./dao-artifacts-util");
+const { info, error } = require("./log-util");
+const { checkDeployedBytecode } = require("./bytecode-util");
+const { toJsonArgs } = require("./contract-registry-util");
 const { ContractType } = require("../configs/contracts.config");
 
-const attach = async (contractInterface, address) => {
+const attachFunction = (plan) => async (contractInterface, address) => {
   const factory = await hre.ethers.getContractFactory(
     contractInterface.contractName
   );
+  // Keep track of the contract interface to decode the planned transactions
+  if (plan)
+    plan.registerContract(
+      contractInterface.contractName,
+      address,
+      factory.interface
+    );
   return factory.attach(address);
 };
 
-const deployFunction = async ({ allConfigs, network, daoArtifacts }) => {
-  const deploy = async (contractInterface, contractConfig, args) => {
-    const restored = await restore(
-      contractInterface,
-      contractConfig,
-      attach,
-      network
-    );
-    if (restored)
-      return {
-        ...restored,
-        configs: contractConfig,
-      };
+/**
+ * Checks that a contract registered in the DaoArtifacts matches the local build,
+ * so a contract changed without bumping its version is not attached.
+ * Set DAO_ARTIFACTS_BYTECODE_CHECK to `warn` to attach it anyway, or to `off` to skip the check.
+ */
+const checkArtifactBytecode = async (contractName, address) => {
+  const mode = process.env.DAO_ARTIFACTS_BYTECODE_CHECK || "error";
+  if (mode === "off") return;
+
+  const { match, reason } = await checkDeployedBytecode({
+    provider: hre.ethers.provider,
+    artifacts: hre.artifacts,
+    contractName,
+    address,
+  });
+  if (match) return;
+
+  const message = `${contractName} found in the DaoArtifacts at ${address} does not match the local build: ${reason}`;
+  if (mode === "warn") {
+    error(`Warning: ${message}`);
+    return;
+  }
+  throw new Error(
+    `${message}. Bump the version in configs/contracts.config.ts to deploy a new one, or set DAO_ARTIFACTS_BYTECODE_CHECK=warn to attach it anyway`
+  );
+};
 
+const deployFunction = async ({ allConfigs, daoArtifacts, plan, journal }) => {
+  const attach = attachFunction(plan);
+  // The transactions sent along with a contract deployment are recorded in their own steps,
+  // so the deployment report includes their costs
+  const runStep = (stepId, run) =>
+    journal ? journal.step(stepId, run) : run(() => undefined);
+  const deploy = async (
+    contractInterface,
+    contractConfig,
+    args,
+    sent = () => undefined
+  ) => {
     const contractFactory = await hre.ethers.getContractFactory(
       contractConfig.name
     );
@@ -58,6 +92,9 @@ const deployFunction = async ({ allConfigs, network, daoArtifacts }) => {
     } else {
       res = await contractFactory.deploy();
     }
+    sent(res.deployTransaction.hash, {
+      args: toJsonArgs(args ? args.flat() : []),
+    });
 
     const tx = await res.deployTransaction.wait();
     const contract = await res.deployed();
@@ -68,34 +105,35 @@ const deployFunction = async ({ allConfigs, network, daoArtifacts }) => {
      contract address: ${tx.contractAddress}
      block number:     ${tx.blockNumber}`);
 
-    return checkpoint(
-      {
-        ...contract,
-        configs: contractConfig,
-        address: tx.contractAddress,
-      },
-      network
-    );
-  };
-
-  const loadOrDeploy = async (contractInterface, ...args) => {
-    if (!contractInterface) throw Error("Invalid contract interface");
-
-    const contractConfig = allConfigs.find(
-      (c) => c.name === contractInterface.contractName
-    );
-    if (!contractConfig)
-      throw Error(
-        `${contractInterface.contractName} contract not found in configs/contracts.config`
+    const deployed = {
+      ...contract,
+      configs: contractConfig,
+      address: tx.contractAddress,
+      constructorArgs: toJsonArgs(args ? args.flat() : []),
+    };
+    if (plan)
+      plan.recordDeployment(
+        contractConfig.name,
+        tx.contractAddress,
+        contractFactory.interface,
+        args ? args.flat() : []
       );
+    return deployed;
+  };
 
+  const loadOrDeployContract = async (
+    contractInterface,
+    contractConfig,
+    args,
+    sent
+  ) => {
     if (
       // Always deploy core, extension and test contracts
       contractConfig.type === ContractType.Core ||
       contractConfig.type === ContractType.Extension ||
       contractConfig.type === ContractType.Test
     ) {
-      return await deploy(contractInterface, contractConfig, args);
+      return await deploy(contractInterface, contractConfig, args, sent);
     }
 
     const artifactsOwner = process.env.DAO_ARTIFACTS_OWNER_ADDR
@@ -106,17 +144,29 @@ const deployFunction = async ({ allConfigs, network, daoArtifacts }) => {
     const contractAddress = await daoArtifacts.getArtifactAddress(
       sha3(contractConfig.name),
       artifactsOwner,
-      fromAscii(contractConfig.version).padEnd(66, "0"),
+      toArtifactVersion(contractConfig.version),
       contractConfig.type
     );
 
     if (contractAddress && contractAddress !== ZERO_ADDRESS) {
+      await checkArtifactBytecode(contractConfig.name, contractAddress);
       info(`
     Contract attached '${contractConfig.name}'
     -------------------------------------------------
      contract address: ${contractAddress}`);
       const instance = await attach(contractInterface, contractAddress);
-      return { ...instance, configs: contractConfig };
+      if (plan)
+        plan.recordAttachment(
+          contractConfig.name,
+          contractAddress,
+          instance.interface,
+          "DaoArtifacts"
+        );
+      return {
+        ...instance,
+        configs: contractConfig,
+        attachedFrom: "DaoArtifacts",
+      };
     }
 
     let deployedContract;
@@ -127,14 +177,36 @@ const deployFunction = async ({ allConfigs, network, daoArtifacts }) => {
       const identityConfig = allConfigs.find(
         (c) => c.name === identityInterface.contractName
       );
-      const identityInstance = await deploy(identityInterface, identityConfig);
+      const identity = await runStep(
+        `deployIdentity:${contractConfig.name}`,
+        async (identitySent) => {
+          const instance = await deploy(
+            identityInterface,
+            identityConfig,
+            undefined,
+            identitySent
+          );
+          return {
+            hash: instance.deployTransaction.hash,
+            address: instance.address,
+          };
+        }
+      );
 
       // 2 deploy the factory with the new identity address, so it can be used for cloning ops later on
-      deployedContract = await deploy(contractInterface, contractConfig, [
-        identityInstance.address,
-      ]);
+      deployedContract = await deploy(
+        contractInterface,
+        contractConfig,
+        [identity.address],
+        sent
+      );
     } else {
-      deployedContract = await deploy(contractInterface, contractConfig, args);
+      deployedContract = await deploy(
+        contractInterface,
+        contractConfig,
+        args,
+        sent
+      );
     }
 
     if (
@@ -143,19 +215,71 @@ const deployFunction = async ({ allConfigs, network, daoArtifacts }) => {
       contractConfig.type === ContractType.Adapter ||
       contractConfig.type === ContractType.Util
     ) {
-      await waitTx(
-        daoArtifacts.addArtifact(
-          sha3(contractConfig.name),
-          fromAscii(contractConfig.version).padEnd(66, "0"),
-          deployedContract.address,
-          contractConfig.type
-        )
+      await runStep(
+        `addArtifact:${contractConfig.name}`,
+        async (artifactSent) => {
+          const tx = await daoArtifacts.addArtifact(
+            sha3(contractConfig.name),
+            toArtifactVersion(contractConfig.version),
+            deployedContract.address,
+            contractConfig.type
+          );
+          artifactSent(tx.hash);
+          await waitTx(tx);
+          return { hash: tx.hash };
+        }
       );
     }
 
     return deployedContract;
   };
 
+  const loadOrDeploy = async (contractInterface, ...args) => {
+    if (!contractInterface) throw Error("Invalid contract interface");
+
+    const contractConfig = allConfigs.find(
+      (c) => c.name === contractInterface.contractName
+    );
+    if (!contractConfig)
+      throw Error(
+        `${contractInterface.contractName} contract not found in configs/contracts.config`
+      );
+
+    if (!journal)
+      return loadOrDeployContract(contractInterface, contractConfig, args);
+
+    // Skip the deployment if the contract was already deployed by a previous run
+    let contract;
+    const entry = await journal.step(
+      `deploy:${contractConfig.name}`,
+      async (sent) => {
+        contract = await loadOrDeployContract(
+          contractInterface,
+          contractConfig,
+          args,
+          sent
+        );
+        return {
+          hash: contract.deployTransaction
+            ? contract.deployTransaction.hash
+            : undefined,
+          address: contract.address,
+          args: contract.constructorArgs,
+          attachedFrom: contract.attachedFrom,
+        };
+      }
+    );
+    if (contract) return contract;
+
+    const instance = await attach(contractInterface, entry.address);
+    return {
+      ...instance,
+      configs: contractConfig,
+      constructorArgs: entry.args,
+      attachedFrom: entry.attachedFrom,
+    };
+  };
+
   return loadOrDeploy;
 };
 
@@ -173,7 +297,7 @@ const getConfigsWithFactories = (configs) => {
     });
 };
 
-module.exports = (configs, network) => {
+module.exports = (configs, network, { plan } = {}) => {
   const allConfigs = getConfigsWithFactories(configs);
   const interfaces = allConfigs.reduce((previousValue, contract) => {
     previousValue[contract.name] = contract.interface;
@@ -182,11 +306,18 @@ module.exports = (configs, network) => {
 
   return {
     ...interfaces,
-    attachFunction: attach,
-    deployFunctionFactory: (deployer, daoArtifacts) => {
+    attachFunction: attachFunction(plan),
+    deployFunctionFactory: (deployer, daoArtifacts, journal) => {
       if (!deployer || !daoArtifacts)
         throw Error("Missing deployer or DaoArtifacts contract");
-      return deployFunction({ deployer, daoArtifacts, allConfigs, network });
+      return deployFunction({
+        deployer,
+        daoArtifacts,
+        allConfigs,
+        network,
+        plan,
+        journal,
+      });
     },
   };
 };
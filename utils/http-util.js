@@ -0,0 +1,84 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const http = require("http");
+const https = require("https");
+
+/**
+ * Sends an HTTP request, e.g. to the APIs of the block explorers and the external signers,
+ * and returns the status code and the body of the response.
+ */
+const httpRequest = (
+  url,
+  { method = "GET", headers = {}, body, timeout = 60000 } = {}
+) =>
+  new Promise((resolve, reject) => {
+    const endpoint = new URL(url);
+    const client = endpoint.protocol === "https:" ? https : http;
+    const req = client.request(
+      endpoint,
+      {
+        method,
+        timeout,
+        headers: body
+          ? { ...headers, "Content-Length": Buffer.byteLength(body) }
+          : headers,
+      },
+      (res) => {
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () =>
+          resolve({ statusCode: res.statusCode, body: data })
+        );
+      }
+    );
+    req.on("timeout", () =>
+      req.destroy(new Error(`Request to ${endpoint.host} timed out`))
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+
+/**
+ * Sends an HTTP request and parses the JSON response.
+ */
+const requestJson = async (url, options) => {
+  const { statusCode, body } = await httpRequest(url, options);
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    throw new Error(
+      `Invalid response from ${new URL(url).host}, HTTP ${statusCode}: ${body}`
+    );
+  }
+};
+
+module.exports = {
+  httpRequest,
+  requestJson,
+};
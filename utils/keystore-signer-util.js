@@ -0,0 +1,91 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Asks for the keystore passphrase in the terminal without echoing it.
+ */
+const promptPassphrase = async (message) => {
+  if (!process.stdin.isTTY)
+    throw new Error(
+      "The keystore passphrase can only be prompted in a terminal, set the KEYSTORE_PASSWORD env var instead"
+    );
+  // Only loaded when the passphrase is not set in the signer config
+  const inquirer = require("inquirer");
+  const { passphrase } = await inquirer.prompt([
+    { type: "password", name: "passphrase", message, mask: "*" },
+  ]);
+  return passphrase;
+};
+
+/**
+ * Reads an encrypted Ethereum V3 keystore file.
+ */
+const readKeystore = (file) => {
+  if (!file) throw new Error("The keystore file is not set, see KEYSTORE_FILE");
+  const keystoreFile = path.resolve(file);
+  if (!fs.existsSync(keystoreFile))
+    throw new Error(`Keystore file ${keystoreFile} not found`);
+  const json = fs.readFileSync(keystoreFile, "utf8");
+  if (!ethers.utils.getJsonWalletAddress(json))
+    throw new Error(`${keystoreFile} is not a V3 keystore file`);
+  return json;
+};
+
+/**
+ * Decrypts the keystore file with the passphrase of the signer config,
+ * or with the passphrase typed in the terminal if the config does not have one,
+ * so the private key is never stored in plaintext.
+ */
+const loadKeystoreWallet = async ({
+  file,
+  password,
+  prompt = promptPassphrase,
+}) => {
+  const json = readKeystore(file);
+  const address = ethers.utils.getJsonWalletAddress(json);
+  const passphrase =
+    password !== undefined
+      ? password
+      : await prompt(`Passphrase of the keystore ${address}: `);
+  try {
+    return await ethers.Wallet.fromEncryptedJson(json, passphrase);
+  } catch (err) {
+    if (err.message && err.message.includes("invalid password"))
+      throw new Error(`Invalid passphrase for the keystore ${address}`);
+    throw err;
+  }
+};
+
+module.exports = {
+  promptPassphrase,
+  readKeystore,
+  loadKeystoreWallet,
+};
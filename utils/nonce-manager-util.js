@@ -0,0 +1,121 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { toBN, toHex } = require("./contract-util");
+
+/**
+ * Creates a nonce manager that assigns the nonce of every transaction sent
+ * by each account, so several transactions of the same account can be sent
+ * in parallel without reusing a nonce.
+ * The next nonce is the highest between the last nonce assigned plus one,
+ * and the pending transaction count of the account in the network,
+ * so the transactions sent by other tools are also taken into account.
+ */
+const createNonceManager = (provider) => {
+  const nonces = {};
+  const locks = {};
+
+  const pendingCount = async (account) =>
+    toBN(
+      await provider.request({
+        method: "eth_getTransactionCount",
+        params: [account, "pending"],
+      })
+    ).toNumber();
+
+  /**
+   * Returns the next nonce of the account. The nonces of the same account
+   * are assigned one at a time to avoid reading the same pending count twice.
+   */
+  const next = (from) => {
+    const account = from.toLowerCase();
+    const assigned = (locks[account] || Promise.resolve()).then(async () => {
+      const count = await pendingCount(account);
+      const nonce =
+        nonces[account] !== undefined && nonces[account] > count
+          ? nonces[account]
+          : count;
+      nonces[account] = nonce + 1;
+      return nonce;
+    });
+    locks[account] = assigned.catch(() => undefined);
+    return assigned;
+  };
+
+  /**
+   * Releases a nonce that was not used because the transaction was rejected.
+   * If other nonces were assigned after it, the next nonce is read again
+   * from the network to fill the gap.
+   */
+  const release = (from, nonce) => {
+    const account = from.toLowerCase();
+    nonces[account] = nonces[account] === nonce + 1 ? nonce : undefined;
+  };
+
+  /**
+   * Reads the pending transaction count of the account after a transaction failed
+   * once it was sent, e.g. while the fee strategy waited for it to be mined.
+   * The nonce is only released if the network does not have any transaction with it,
+   * e.g. the transaction was dropped, otherwise it is already used.
+   */
+  const resync = async (from, nonce) => {
+    const count = await pendingCount(from.toLowerCase());
+    if (count <= nonce) release(from, nonce);
+  };
+
+  /**
+   * Sends a transaction with the next nonce of the sender, unless
+   * the transaction already declares its own nonce.
+   * The nonce of a failed transaction is released if it was not sent,
+   * and resynced with the network if it was, see `resync`.
+   */
+  const sendTransaction = async (tx) => {
+    if (tx.nonce !== undefined)
+      return provider.request({ method: "eth_sendTransaction", params: [tx] });
+
+    const from =
+      tx.from || (await provider.request({ method: "eth_accounts" }))[0];
+    const nonce = await next(from);
+    try {
+      return await provider.request({
+        method: "eth_sendTransaction",
+        params: [{ ...tx, from, nonce: toHex(nonce) }],
+      });
+    } catch (err) {
+      // The nonce is kept if the network can not be read
+      if (err.transactionHash) await resync(from, nonce).catch(() => undefined);
+      else release(from, nonce);
+      throw err;
+    }
+  };
+
+  return { next, release, resync, sendTransaction };
+};
+
+module.exports = {
+  createNonceManager,
+};
@@ -0,0 +1,139 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const { toHex } = require("./contract-util");
+const { requestJson } = require("./http-util");
+
+/**
+ * The JSON-RPC methods of each signer API: `eth` for the signers that implement
+ * the `eth_` namespace, e.g. web3signer, and `clef` for the external API of Clef.
+ */
+const signerApis = {
+  eth: {
+    accounts: "eth_accounts",
+    signTransaction: "eth_signTransaction",
+    signTypedData: "eth_signTypedData_v4",
+  },
+  clef: {
+    accounts: "account_list",
+    signTransaction: "account_signTransaction",
+    signTypedData: "account_signTypedData",
+  },
+};
+
+/**
+ * Sends the JSON-RPC requests to an external signer, e.g. Clef or Consensys web3signer.
+ * The signer only signs the transactions, they are sent to the network by the network provider.
+ */
+const createRemoteSigner = ({
+  url,
+  api = "eth",
+  headers = {},
+  timeout = 60000,
+}) => {
+  if (!url)
+    throw new Error("The remote signer url is not set, see REMOTE_SIGNER_URL");
+  const methods = signerApis[api];
+  if (!methods)
+    throw new Error(
+      `Invalid remote signer api ${api}, use: ${Object.keys(signerApis).join(
+        ", "
+      )}`
+    );
+  const host = new URL(url).host;
+  let nextId = 1;
+
+  const request = async (method, params = []) => {
+    const response = await requestJson(url, {
+      method: "POST",
+      timeout,
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: nextId++, method, params }),
+    });
+    if (response.error)
+      throw new Error(
+        `Remote signer ${host} rejected ${method}: ${response.error.message}`
+      );
+    return response.result;
+  };
+
+  return {
+    request,
+    getAccounts: () => request(methods.accounts),
+    /**
+     * Returns the signed raw transaction. Clef returns the raw transaction
+     * with the decoded one, while web3signer only returns the raw transaction.
+     */
+    signTransaction: async (tx) => {
+      const result = await request(methods.signTransaction, [tx]);
+      return typeof result === "string" ? result : result.raw;
+    },
+    /**
+     * Clef expects the typed data as a JSON object, and the `eth_` signers as a JSON string.
+     */
+    signTypedData: (address, typedData) => {
+      const json =
+        typeof typedData === "string" ? typedData : JSON.stringify(typedData);
+      return request(methods.signTypedData, [
+        address,
+        api === "clef" ? JSON.parse(json) : json,
+      ]);
+    },
+  };
+};
+
+/**
+ * Converts the transaction sent by hardhat to the JSON-RPC transaction signed by the remote signer,
+ * with the quantities in hex and either the EIP-1559 fees or the legacy gas price.
+ */
+const toRpcTransaction = (tx, chainId) => {
+  const quantity = (value) =>
+    value === undefined || value === null ? undefined : toHex(value);
+  const rpcTx = {
+    from: tx.from,
+    to: tx.to,
+    gas: quantity(tx.gas),
+    value: quantity(tx.value || 0),
+    data: tx.data || "0x",
+    nonce: quantity(tx.nonce),
+    chainId: toHex(chainId),
+  };
+  if (tx.maxFeePerGas !== undefined) {
+    rpcTx.maxFeePerGas = quantity(tx.maxFeePerGas);
+    rpcTx.maxPriorityFeePerGas = quantity(tx.maxPriorityFeePerGas);
+  } else {
+    rpcTx.gasPrice = quantity(tx.gasPrice);
+  }
+  return Object.fromEntries(
+    Object.entries(rpcTx).filter(([, value]) => value !== undefined)
+  );
+};
+
+module.exports = {
+  createRemoteSigner,
+  toRpcTransaction,
+};
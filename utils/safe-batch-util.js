@@ -0,0 +1,152 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { info } = require("./log-util");
+
+/**
+ * The MultiSendCallOnly v1.3.0 contract, deployed at the same address in the networks
+ * supported by the Safe. The batch is executed with a delegatecall to it.
+ */
+const defaultMultiSendAddress = "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D";
+
+const multiSendInterface = new ethers.utils.Interface([
+  "function multiSend(bytes transactions)",
+]);
+
+/**
+ * Collects the calls that must be sent by the Safe that owns the DAO, e.g: `addAdapters`,
+ * `configureExtension`, `configureDao` and `finalizeDao`, instead of sending them from the deployer.
+ */
+const createSafeBatch = ({ safeAddress, chainId }) => {
+  const transactions = [];
+  return {
+    safeAddress,
+    chainId,
+    transactions,
+    add: async ({ stepId, contract, method, args = [] }) => {
+      const tx = {
+        stepId,
+        to: contract.address,
+        value: "0",
+        data: contract.interface.encodeFunctionData(method, args),
+      };
+      transactions.push(tx);
+      info(`Safe batch #${transactions.length}: ${stepId}`);
+      return tx;
+    },
+  };
+};
+
+/**
+ * Encodes the transactions as the `multiSend` calldata: each transaction is packed as
+ * operation (uint8, 0 = call), to (address), value (uint256), data length (uint256) and data.
+ */
+const encodeMultiSend = (transactions) =>
+  multiSendInterface.encodeFunctionData("multiSend", [
+    ethers.utils.hexConcat(
+      transactions.map((tx) =>
+        ethers.utils.solidityPack(
+          ["uint8", "address", "uint256", "uint256", "bytes"],
+          [0, tx.to, tx.value, ethers.utils.hexDataLength(tx.data), tx.data]
+        )
+      )
+    ),
+  ]);
+
+/**
+ * Formats the batch in the JSON format imported by the Safe Transaction Builder app.
+ */
+const formatTransactionBuilderBatch = (batch, { name, description = "" }) => ({
+  version: "1.0",
+  chainId: batch.chainId.toString(),
+  createdAt: Date.now(),
+  meta: {
+    name,
+    description,
+    createdFromSafeAddress: batch.safeAddress,
+  },
+  transactions: batch.transactions.map((tx) => ({
+    to: tx.to,
+    value: tx.value,
+    data: tx.data,
+    contractMethod: null,
+    contractInputsValues: null,
+  })),
+});
+
+/**
+ * Writes the Transaction Builder batch, and the MultiSend transaction with the same calls,
+ * and returns the path of both files.
+ */
+const saveSafeBatch = (
+  batch,
+  dir,
+  name,
+  multiSendAddress = defaultMultiSendAddress
+) => {
+  const batchDir = path.resolve(dir);
+  if (!fs.existsSync(batchDir)) {
+    fs.mkdirSync(batchDir, { recursive: true });
+  }
+  const batchFile = `${batchDir}/${name}.json`;
+  const multiSendFile = `${batchDir}/${name}-multisend.json`;
+  const builderBatch = formatTransactionBuilderBatch(batch, {
+    name,
+    description: batch.transactions.map((tx) => tx.stepId).join(", "),
+  });
+  fs.writeFileSync(batchFile, JSON.stringify(builderBatch, null, 2), "utf8");
+  fs.writeFileSync(
+    multiSendFile,
+    JSON.stringify(
+      {
+        safe: batch.safeAddress,
+        chainId: batch.chainId.toString(),
+        to: multiSendAddress,
+        value: "0",
+        // Delegatecall, so the calls are sent by the Safe
+        operation: 1,
+        data: encodeMultiSend(batch.transactions),
+        steps: batch.transactions.map((tx) => tx.stepId),
+      },
+      null,
+      2
+    ),
+    "utf8"
+  );
+  return { batchFile, multiSendFile };
+};
+
+module.exports = {
+  defaultMultiSendAddress,
+  createSafeBatch,
+  encodeMultiSend,
+  formatTransactionBuilderBatch,
+  saveSafeBatch,
+};
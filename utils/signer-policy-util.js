@@ -0,0 +1,230 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { toBN } = require("./contract-util");
+const { compareBytecode, getLocalBytecode } = require("./bytecode-util");
+
+/**
+ * The options of a signer policy, the values are in wei:
+ * - allowedTargets: the addresses that can receive transactions.
+ * - allowedContracts: the names of the contracts that can receive transactions, e.g. DaoFactory,
+ *   a target is allowed if its code matches the local build of one of them.
+ * - allowContractCreation: if the signer can deploy contracts, true by default.
+ * - allowedSelectors: the function selectors, or signatures, that can be called.
+ * - maxValue: the max value sent in a transaction.
+ * - maxFeePerGas: the max fee per gas, or gas price, of a transaction.
+ * - maxFee: the max fee of a transaction, the gas limit times the fee per gas.
+ * - auditLog: the file where each transaction is logged, logs/signer-audit.log by default.
+ */
+const policyOptions = [
+  "allowedTargets",
+  "allowedContracts",
+  "allowContractCreation",
+  "allowedSelectors",
+  "maxValue",
+  "maxFeePerGas",
+  "maxFee",
+  "auditLog",
+];
+
+const defaultAuditLog = "logs/signer-audit.log";
+
+// The runtime code of the EIP-1167 clones created by the CloneFactory
+const minimalProxyCode =
+  /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+const toSelector = (selector) =>
+  /^0x[0-9a-fA-F]{8}$/.test(selector)
+    ? selector.toLowerCase()
+    : ethers.utils.id(selector).slice(0, 10);
+
+const optionalBN = (value) =>
+  value === undefined || value === null ? undefined : toBN(value);
+
+const toQuantity = (value) =>
+  value === undefined || value === null ? null : toBN(value).toString();
+
+/**
+ * Loads the signer policy of the network config, either the policy itself
+ * or the path of a JSON file with the policy.
+ */
+const loadSignerPolicy = (config) => {
+  const policy =
+    typeof config === "string"
+      ? JSON.parse(fs.readFileSync(path.resolve(config), "utf8"))
+      : config;
+  const unknown = Object.keys(policy).filter((k) => !policyOptions.includes(k));
+  if (unknown.length > 0)
+    throw new Error(`Unknown signer policy options: ${unknown.join(", ")}`);
+  return policy;
+};
+
+/**
+ * Creates the policy that checks each transaction before it is signed.
+ * The contracts deployed by the signer, and the clones of the allowed contracts,
+ * e.g. the DaoRegistry created by the DaoFactory, are also allowed targets.
+ * Every transaction, sent or denied, is appended to the audit log as a JSON line.
+ */
+const createSignerPolicy = ({ policy, provider, artifacts }) => {
+  const allowContractCreation = policy.allowContractCreation !== false;
+  const allowedContracts = policy.allowedContracts || [];
+  const allowedSelectors = policy.allowedSelectors
+    ? policy.allowedSelectors.map(toSelector)
+    : undefined;
+  const maxValue = optionalBN(policy.maxValue);
+  const maxFeePerGas = optionalBN(policy.maxFeePerGas);
+  const maxFee = optionalBN(policy.maxFee);
+  const auditLog = path.resolve(policy.auditLog || defaultAuditLog);
+  // The allowed targets, and the reason why each one is allowed
+  const targets = (policy.allowedTargets || []).reduce(
+    (all, address) => ({ ...all, [address.toLowerCase()]: "allowlist" }),
+    {}
+  );
+
+  const request = (method, params) => provider.request({ method, params });
+
+  /**
+   * Returns the reason why the target is allowed, or undefined if it is not allowed.
+   */
+  const findTarget = async (address) => {
+    const target = address.toLowerCase();
+    if (targets[target]) return targets[target];
+
+    const code = await request("eth_getCode", [target, "latest"]);
+    const clone = minimalProxyCode.exec(code);
+    if (clone) {
+      const reason = await findTarget(`0x${clone[1]}`);
+      if (reason) return (targets[target] = `clone of ${reason}`);
+      return undefined;
+    }
+    const name = await allowedContracts.reduce(
+      (p, contractName) =>
+        p.then(async (found) => {
+          if (found) return found;
+          const local = await getLocalBytecode(artifacts, contractName);
+          return compareBytecode(code, local).match ? contractName : undefined;
+        }),
+      Promise.resolve(undefined)
+    );
+    if (name) targets[target] = name;
+    return name;
+  };
+
+  const check = async (tx) => {
+    const reasons = [];
+    if (!tx.to) {
+      if (!allowContractCreation)
+        reasons.push("contract creation is not allowed");
+    } else {
+      if (!(await findTarget(tx.to)))
+        reasons.push(`target ${tx.to} is not allowed`);
+      const selector = (tx.data || "0x").slice(0, 10);
+      if (allowedSelectors && !allowedSelectors.includes(selector))
+        reasons.push(`function selector ${selector} is not allowed`);
+    }
+
+    const value = toBN(tx.value || 0);
+    if (maxValue && value.gt(maxValue))
+      reasons.push(`value ${value} exceeds the max value ${maxValue}`);
+
+    const feePerGas = optionalBN(tx.maxFeePerGas || tx.gasPrice);
+    if ((maxFeePerGas || maxFee) && !feePerGas)
+      reasons.push("the fee per gas is not set");
+    if (maxFeePerGas && feePerGas && feePerGas.gt(maxFeePerGas))
+      reasons.push(
+        `fee per gas ${feePerGas} exceeds the max fee per gas ${maxFeePerGas}`
+      );
+    if (maxFee && feePerGas) {
+      if (!tx.gas) reasons.push("the gas limit is not set");
+      else if (feePerGas.mul(tx.gas).gt(maxFee))
+        reasons.push(
+          `fee ${feePerGas.mul(tx.gas)} exceeds the max fee ${maxFee}`
+        );
+    }
+    return reasons;
+  };
+
+  const audit = (tx, entry) => {
+    fs.mkdirSync(path.dirname(auditLog), { recursive: true });
+    fs.appendFileSync(
+      auditLog,
+      JSON.stringify({
+        time: new Date().toISOString(),
+        ...entry,
+        from: tx.from,
+        to: tx.to || null,
+        value: toBN(tx.value || 0).toString(),
+        selector: tx.to ? (tx.data || "0x").slice(0, 10) : null,
+        nonce: tx.nonce === undefined ? null : toBN(tx.nonce).toNumber(),
+        gas: toQuantity(tx.gas),
+        feePerGas: toQuantity(tx.maxFeePerGas || tx.gasPrice),
+      }) + "\n",
+      "utf8"
+    );
+  };
+
+  /**
+   * Checks the transaction and sends it with `send` if it is allowed,
+   * otherwise it is rejected with the reasons of the policy.
+   */
+  const sendTransaction = async (tx, send) => {
+    const reasons = await check(tx);
+    if (reasons.length > 0) {
+      audit(tx, { decision: "denied", reasons });
+      throw new Error(
+        `Transaction denied by the signer policy: ${reasons.join("; ")}`
+      );
+    }
+
+    let hash;
+    try {
+      hash = await send(tx);
+    } catch (err) {
+      audit(tx, { decision: "failed", error: err.message });
+      throw err;
+    }
+    audit(tx, { decision: "sent", hash });
+    if (!tx.to && tx.nonce !== undefined) {
+      const address = ethers.utils.getContractAddress({
+        from: tx.from,
+        nonce: tx.nonce,
+      });
+      targets[address.toLowerCase()] = `contract created by ${hash}`;
+    }
+    return hash;
+  };
+
+  return { check, sendTransaction, auditLog };
+};
+
+module.exports = {
+  loadSignerPolicy,
+  createSignerPolicy,
+};
@@ -0,0 +1,212 @@
+// Whole-script strict mode syntax
+"use strict";
+
+/**
+MIT License
+
+Copyright (c) 2022 Openlaw
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { decodeMetadata } = require("./bytecode-util");
+
+/**
+ * The max size of an IPFS block, the bigger files are split in chunks.
+ */
+const ipfsChunkSize = 262144;
+
+const varint = (value) => {
+  const bytes = [];
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+};
+
+// A protobuf field of type bytes
+const protobufBytes = (field, data) =>
+  Buffer.concat([Buffer.from([(field << 3) | 2]), varint(data.length), data]);
+
+/**
+ * Computes the IPFS hash (CIDv0) of a file, as solc does for the hash of the metadata
+ * appended to the bytecode: the file is wrapped in a UnixFS node of a single DAG-PB block,
+ * and the hash is the base58 sha256 multihash of the block.
+ */
+const computeIpfsHash = (content) => {
+  const data = Buffer.from(content, "utf8");
+  if (data.length > ipfsChunkSize)
+    throw new Error(
+      `Files bigger than ${ipfsChunkSize} bytes are split in chunks, which is not supported`
+    );
+  // UnixFS: type File (2), data, and file size
+  const unixFs = Buffer.concat([
+    Buffer.from([0x08, 0x02]),
+    data.length > 0 ? protobufBytes(2, data) : Buffer.alloc(0),
+    Buffer.from([0x18]),
+    varint(data.length),
+  ]);
+  const block = protobufBytes(1, unixFs);
+  return ethers.utils.base58.encode(
+    ethers.utils.concat(["0x1220", ethers.utils.sha256(block)])
+  );
+};
+
+/**
+ * Reads the solc metadata of a contract, and the sources of its compilation, from the Hardhat build info.
+ */
+const getContractMetadata = async (artifacts, name) => {
+  const artifact = artifacts.readArtifactSync(name);
+  const fullName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await artifacts.getBuildInfo(fullName);
+  const output =
+    buildInfo &&
+    buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  if (!output || !output.metadata)
+    throw new Error(
+      `Missing the metadata of ${fullName} in the build info, run: npx hardhat compile`
+    );
+  const metadata = output.metadata;
+  const sources = Object.keys(JSON.parse(metadata).sources).reduce(
+    (all, source) => {
+      const input = buildInfo.input.sources[source];
+      if (!input)
+        throw new Error(`Missing the source ${source} of ${fullName}`);
+      return { ...all, [source]: input.content };
+    },
+    {}
+  );
+  return { metadata, sources };
+};
+
+/**
+ * Checks that the IPFS hash of the metadata embedded in the on-chain bytecode
+ * is the hash of the metadata of the local build, so the bundle verifies the contract.
+ */
+const checkMetadataHash = (code, metadata) => {
+  if (!code || code === "0x")
+    return { match: false, reason: "no code at the address" };
+  const onchain = decodeMetadata(code);
+  if (!onchain || !onchain.ipfs)
+    return { match: false, reason: "no IPFS metadata hash in the code" };
+  const onchainHash = ethers.utils.base58.encode(onchain.ipfs);
+  const localHash = computeIpfsHash(metadata);
+  if (onchainHash !== localHash)
+    return {
+      match: false,
+      onchainHash,
+      localHash,
+      reason: `metadata hash ${onchainHash} differs from the local build ${localHash}`,
+    };
+  return { match: true, onchainHash, localHash };
+};
+
+/**
+ * Writes a Sourcify bundle of a contract: `<dir>/<chainId>/<address>/metadata.json`
+ * and the sources in `<dir>/<chainId>/<address>/sources/<path>`.
+ */
+const writeSourcifyBundle = ({ dir, chainId, address, metadata, sources }) => {
+  const bundleDir = path.resolve(dir, `${chainId}`, address);
+  fs.mkdirSync(bundleDir, { recursive: true });
+  fs.writeFileSync(path.join(bundleDir, "metadata.json"), metadata, "utf8");
+  Object.entries(sources).forEach(([source, content]) => {
+    const file = path.join(bundleDir, "sources", source);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content, "utf8");
+  });
+  return bundleDir;
+};
+
+/**
+ * Exports the Sourcify bundles of the contracts of a deployed contracts registry,
+ * and checks the metadata hash of each one against the on-chain code.
+ * The clones created by the factories are skipped, because their code is a proxy without metadata.
+ */
+const exportSourcifyBundles = async ({
+  registry,
+  provider,
+  artifacts,
+  dir,
+  skip = [],
+}) => {
+  const { chainId } = registry.chainId ? registry : await provider.getNetwork();
+  return Object.values(registry.contracts).reduce(
+    (p, entry) =>
+      p.then(async (results) => {
+        const base = { name: entry.name, address: entry.address };
+        if (skip.includes(entry.name))
+          return results.concat({
+            ...base,
+            status: "skipped",
+            reason: "skipped",
+          });
+        if (entry.createdBy)
+          return results.concat({
+            ...base,
+            status: "skipped",
+            reason: `clone created by ${entry.createdBy}`,
+          });
+        try {
+          const { metadata, sources } = await getContractMetadata(
+            artifacts,
+            entry.name
+          );
+          const check = checkMetadataHash(
+            await provider.getCode(entry.address),
+            metadata
+          );
+          const bundleDir = writeSourcifyBundle({
+            dir,
+            chainId,
+            address: ethers.utils.getAddress(entry.address),
+            metadata,
+            sources,
+          });
+          return results.concat({
+            ...base,
+            status: check.match ? "match" : "mismatch",
+            reason: check.reason,
+            metadataHash: check.localHash,
+            bundleDir,
+          });
+        } catch (err) {
+          return results.concat({
+            ...base,
+            status: "failed",
+            reason: err.message,
+          });
+        }
+      }),
+    Promise.resolve([])
+  );
+};
+
+module.exports = {
+  computeIpfsHash,
+  getContractMetadata,
+  checkMetadataHash,
+  writeSourcifyBundle,
+  exportSourcifyBundles,
+};